@@ -1,4 +1,8 @@
 import { PermissionFlagsBits, MessageFlags } from 'discord.js';
+
+import commandPermissionService from '../services/commandPermissions.js';
+import database from '../services/database.js';
+
 import logger from './logger.js';
 
 /**
@@ -12,7 +16,10 @@ class CommandUtils {
    * @param {string} requiredPermission - Required permission (default: ManageGuild)
    * @returns {Promise<boolean>} Whether user can use the command
    */
-  static async checkGuildPermissions(interaction, requiredPermission = PermissionFlagsBits.ManageGuild) {
+  static async checkGuildPermissions(
+    interaction,
+    requiredPermission = PermissionFlagsBits.ManageGuild
+  ) {
     // Check if command is used in a guild
     if (!interaction.guild) {
       if (!interaction.replied && !interaction.deferred) {
@@ -38,6 +45,177 @@ class CommandUtils {
     return true;
   }
 
+  /**
+   * Get the command and subcommand names an interaction runs
+   * Components and modals belong to the command named by their custom ID
+   * prefix (see interactionCreate). The action after the prefix maps to a
+   * subcommand through the command's `componentSubcommands`, e.g.
+   * "settings:import-confirm:..." runs `import`
+   * @param {Object} interaction - Discord interaction object
+   * @param {Object} command - Loaded command module
+   * @returns {Object} { commandName, subcommands } with subcommands as [group, subcommand] when set
+   */
+  static getInvocation(interaction, command = {}) {
+    if (interaction.isMessageComponent?.() || interaction.isModalSubmit?.()) {
+      const [commandName, action] = interaction.customId.split(':');
+      const subcommand = command.componentSubcommands?.[action];
+      return {
+        commandName,
+        subcommands: subcommand ? [subcommand] : []
+      };
+    }
+    return {
+      commandName: interaction.commandName,
+      subcommands: [
+        interaction.options.getSubcommandGroup(false),
+        interaction.options.getSubcommand(false)
+      ].filter(Boolean)
+    };
+  }
+
+  /**
+   * Whether a command (or the subcommand being run) is admin-only by default
+   * Commands declare `adminOnly: true`, or a list of admin-only subcommand
+   * (group) names. Admin-only commands need the bound admin role (or Manage
+   * Server if none is bound) unless a /permissions rule grants them to
+   * someone else
+   * @param {Object} command - Loaded command module
+   * @param {Object} interaction - Discord interaction object
+   * @returns {boolean} True if the command needs admin access without a grant
+   */
+  static isAdminOnly(command, interaction) {
+    return this.appliesTo(command.adminOnly, command, interaction);
+  }
+
+  /**
+   * Whether a command (or the subcommand being run) changes stored data
+   * Declared like adminOnly: `writesDatabase: true`, or a list of the
+   * subcommand (group) names that write
+   * @param {Object} command - Loaded command module
+   * @param {Object} interaction - Discord interaction object
+   * @returns {boolean} True if the command writes to the database
+   */
+  static writesDatabase(command, interaction) {
+    return this.appliesTo(command.writesDatabase, command, interaction);
+  }
+
+  /**
+   * Resolve a per-command declaration (adminOnly, writesDatabase)
+   * @private
+   * @param {boolean|Array<string>|undefined} declaration - true for the whole command, or subcommand names
+   * @param {Object} command - Loaded command module
+   * @param {Object} interaction - Discord interaction object
+   * @returns {boolean} True if the declaration covers what the interaction runs
+   */
+  static appliesTo(declaration, command, interaction) {
+    if (Array.isArray(declaration)) {
+      return this.getInvocation(interaction, command).subcommands.some(name =>
+        declaration.includes(name)
+      );
+    }
+    return declaration === true;
+  }
+
+  /**
+   * Check that the database can take the changes a command makes
+   * Commands that write are refused while the database is opened read-only
+   * (DATABASE_READ_ONLY), instead of failing halfway through
+   * @param {Object} interaction - Discord interaction object
+   * @param {Object} command - Loaded command module
+   * @returns {Promise<boolean>} Whether the command may run
+   */
+  static async checkDatabaseWritable(interaction, command) {
+    if (
+      database.getConnectionInfo().mode !== 'read-only' ||
+      !this.writesDatabase(command, interaction)
+    ) {
+      return true;
+    }
+
+    await this.sendErrorResponse(
+      interaction,
+      '❌ The database is read-only right now, so nothing can be changed. Viewing still works.'
+    );
+    return false;
+  }
+
+  /**
+   * Check if the user may run a command in this channel
+   * Applies the guild's /permissions rules, falling back to the admin role
+   * (or Manage Server if none is bound) for admin-only commands. Every
+   * decision is recorded in the permission audit trail. Also used for the
+   * buttons, select menus and modals of every command
+   * @param {Object} interaction - Discord interaction object
+   * @param {Object} command - Loaded command module
+   * @returns {Promise<boolean>} Whether user can use the command
+   */
+  static async checkCommandAccess(interaction, command) {
+    const adminOnly = this.isAdminOnly(command, interaction);
+    const { commandName, subcommands } = this.getInvocation(
+      interaction,
+      command
+    );
+
+    if (!interaction.guild) {
+      if (!adminOnly) return true;
+      await this.sendErrorResponse(
+        interaction,
+        '❌ This command can only be used in a server.'
+      );
+      return false;
+    }
+
+    const permissions = interaction.member.permissions;
+    const decision = await commandPermissionService.evaluate({
+      guildId: interaction.guild.id,
+      commandName,
+      userId: interaction.user.id,
+      roleIds: interaction.member.roles.cache.map(role => role.id),
+      channelIds: [
+        interaction.channelId,
+        ...this.getChannelParentIds(interaction.channel)
+      ],
+      adminOnly,
+      isAdministrator:
+        interaction.guild.ownerId === interaction.user.id ||
+        permissions.has(PermissionFlagsBits.Administrator),
+      canManageGuild: permissions.has(PermissionFlagsBits.ManageGuild)
+    });
+
+    // Not awaited - the audit trail must not delay the command's reply
+    commandPermissionService.recordDecision({
+      guildId: interaction.guild.id,
+      userId: interaction.user.id,
+      commandName: [commandName, ...subcommands].join(' '),
+      channelId: interaction.channelId,
+      allowed: decision.allowed,
+      reason: decision.reason
+    });
+
+    if (!decision.allowed) {
+      await this.sendErrorResponse(interaction, `❌ ${decision.reason}`);
+      logger.info(
+        `Denied /${commandName} to ${interaction.user.tag} in ${interaction.guild.name}: ${decision.reason}`
+      );
+    }
+    return decision.allowed;
+  }
+
+  /**
+   * Get the IDs of a channel's parents (thread parent, category), nearest first
+   * @param {Object} channel - Discord channel object
+   * @returns {Array<string>} Parent channel and category IDs
+   */
+  static getChannelParentIds(channel) {
+    const parentIds = [];
+    let parent = channel?.parent;
+    while (parent) {
+      parentIds.push(parent.id);
+      parent = parent.parent;
+    }
+    return parentIds;
+  }
+
   /**
    * Get human-readable permission name
    * @param {string} permission - Permission flag
@@ -86,7 +264,9 @@ class CommandUtils {
   static logCommandExecution(commandName, interaction, additionalInfo = '') {
     const guildName = interaction.guild ? interaction.guild.name : 'DM';
     const logMessage = `${commandName} command executed by ${interaction.user.tag} in ${guildName}`;
-    logger.info(additionalInfo ? `${logMessage} - ${additionalInfo}` : logMessage);
+    logger.info(
+      additionalInfo ? `${logMessage} - ${additionalInfo}` : logMessage
+    );
   }
 }
 
@@ -1,5 +1,5 @@
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 
 import dotenv from 'dotenv';
 
@@ -31,10 +31,17 @@ class Config {
 
   /**
    * Database configuration
+   * path is DATABASE_PATH resolved from the project root, or ':memory:' for a
+   * database that only lives as long as the process. readOnly opens an
+   * existing database without ever writing to it (e.g. an analytics replica)
    */
   get database() {
+    const path = process.env.DATABASE_PATH?.trim() || './data/bot.db';
     return {
-      path: process.env.DATABASE_PATH || './data/bot.db'
+      path: path === ':memory:' ? path : resolve(this.projectRoot, path),
+      readOnly: ['true', '1', 'yes'].includes(
+        process.env.DATABASE_READ_ONLY?.trim().toLowerCase()
+      )
     };
   }
 
@@ -50,6 +57,31 @@ class Config {
     };
   }
 
+  /**
+   * Permission check configuration
+   * failureMode decides what happens when a permission check itself fails
+   * (e.g. the database is unavailable): 'closed' denies the command, 'open'
+   * allows it. Guilds can override it with the permission_failure_mode setting
+   */
+  get permissions() {
+    return {
+      failureMode:
+        process.env.PERMISSION_FAILURE_MODE === 'open' ? 'open' : 'closed'
+    };
+  }
+
+  /**
+   * Guild data cleanup configuration
+   * graceDays is how long a guild's data is kept after the bot is removed from
+   * it, so re-adding the bot by mistake loses nothing
+   */
+  get guildCleanup() {
+    const graceDays = Number.parseInt(process.env.GUILD_DATA_GRACE_DAYS, 10);
+    return {
+      graceDays: Number.isInteger(graceDays) && graceDays >= 0 ? graceDays : 30
+    };
+  }
+
   /**
    * Validate that all required configuration is present
    * Note: Main validation is done in index.js for better error messages
@@ -1,5 +1,6 @@
 import database from '../services/database.js';
 import emailService from '../services/email.js';
+import guildSettingsService from '../services/guildSettings.js';
 
 import logger from './logger.js';
 import errorHandler from './errorHandler.js';
@@ -107,8 +108,6 @@ class HealthMonitor {
     return results;
   }
 
-
-
   /**
    * Check database health
    */
@@ -120,17 +119,20 @@ class HealthMonitor {
 
       // Test guild settings table
       await database.query(
-        'SELECT COUNT(*) as count FROM guild_settings LIMIT 1'
+        'SELECT COUNT(*) as count FROM guild_setting_values LIMIT 1'
       );
 
       const responseTime = Date.now() - startTime;
+      const { path, mode } = database.getConnectionInfo();
 
       return {
         status: responseTime > 1000 ? 'warning' : 'healthy',
-        message: `Database responding in ${responseTime}ms`,
+        message: `Database (${mode}) responding in ${responseTime}ms`,
         responseTime,
         details: {
           connected: database.isDatabaseConnected(),
+          path,
+          mode,
           responseTime
         }
       };
@@ -209,6 +211,23 @@ class HealthMonitor {
     }
   }
 
+  /**
+   * Report guild settings cache metrics
+   */
+  async checkSettingsCache() {
+    const stats = guildSettingsService.getCacheStats();
+    const hitRate =
+      stats.hitRate === null
+        ? 'no lookups yet'
+        : `${Math.round(stats.hitRate * 100)}% hit rate`;
+
+    return {
+      status: 'healthy',
+      message: `Settings cache: ${stats.size} guild(s), ${hitRate} (${stats.hits} hits, ${stats.misses} misses)`,
+      details: stats
+    };
+  }
+
   /**
    * Check error rates
    */
@@ -248,8 +267,6 @@ class HealthMonitor {
     }
   }
 
-
-
   /**
    * Initialize health monitoring
    */
@@ -264,6 +281,11 @@ class HealthMonitor {
     this.registerHealthCheck('email', () => this.checkEmailHealth(), {
       critical: false
     });
+    this.registerHealthCheck(
+      'settings-cache',
+      () => this.checkSettingsCache(),
+      { critical: false }
+    );
     this.registerHealthCheck('error-rates', () => this.checkErrorRates(), {
       critical: true
     });
@@ -272,28 +294,34 @@ class HealthMonitor {
     await this.runHealthChecks();
 
     // Set up periodic health monitoring
-    setInterval(async() => {
-      try {
-        const healthResults = await this.runHealthChecks();
-
-        // Health report notifications are disabled to reduce email spam
-
-        // Log health status
-        if (healthResults.overall !== 'healthy') {
-          logger.warn(
-            `Health check completed: ${healthResults.overall}`,
-            healthResults
-          );
-        }
-      } catch (error) {
-        logger.critical('Health monitoring failed', 'health-monitor', error);
-      }
-    }, this.healthReportInterval);
+    setInterval(
+      () => this.runScheduledHealthCheck(),
+      this.healthReportInterval
+    );
 
     logger.info('Health monitoring initialized');
   }
 
+  /**
+   * Run the periodic health check and log anything unhealthy
+   */
+  async runScheduledHealthCheck() {
+    try {
+      const healthResults = await this.runHealthChecks();
 
+      // Health report notifications are disabled to reduce email spam
+
+      // Log health status
+      if (healthResults.overall !== 'healthy') {
+        logger.warn(
+          `Health check completed: ${healthResults.overall}`,
+          healthResults
+        );
+      }
+    } catch (error) {
+      logger.critical('Health monitoring failed', 'health-monitor', error);
+    }
+  }
 }
 
 // Export singleton instance
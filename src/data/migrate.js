@@ -0,0 +1,107 @@
+import databaseService from '../services/database.js';
+
+import MigrationRunner from './migrations/migrationRunner.js';
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+Commands:
+  status            List every migration and whether it is applied (default)
+  up [version]      Apply pending migrations, up to a version if given
+  down [steps]      Revert the last applied migration, or the last <steps>
+  create <name>     Add an empty migration file, e.g. create add_badges`;
+
+const STATUS_ICONS = {
+  applied: '✅',
+  pending: '⏳',
+  changed: '⚠️',
+  missing: '❓'
+};
+
+/**
+ * Parse a positive whole number argument
+ * @param {string|undefined} value - Command line argument
+ * @param {string} label - What the number is, for the error message
+ * @param {number} fallback - Value when the argument is left out
+ * @returns {number} The number
+ */
+function parseCount(value, label, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Print the status of every migration
+ * @param {MigrationRunner} runner - Runner for the open database
+ */
+async function printStatus(runner) {
+  const entries = await runner.getStatus();
+  if (entries.length === 0) {
+    console.log('No migrations found.');
+    return;
+  }
+
+  for (const entry of entries) {
+    const version = String(entry.version).padStart(3, '0');
+    const detail = entry.appliedAt
+      ? `${entry.status} ${entry.appliedAt}`
+      : entry.status;
+    console.log(
+      `${STATUS_ICONS[entry.status]} ${version}_${entry.name} (${detail})`
+    );
+  }
+}
+
+/**
+ * Run a migration command
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main([command = 'status', argument]) {
+  if (command === 'create') {
+    const file = await new MigrationRunner(null).create(argument);
+    console.log(`Created ${file}`);
+    return;
+  }
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.log(USAGE);
+    process.exitCode = command === 'help' ? 0 : 1;
+    return;
+  }
+
+  await databaseService.connect();
+  try {
+    const runner = new MigrationRunner(databaseService.getDatabase());
+
+    if (command === 'up') {
+      const applied = await runner.up(
+        parseCount(argument, 'version', Infinity)
+      );
+      console.log(
+        applied.length > 0
+          ? `Applied ${applied.length} migration(s).`
+          : 'Nothing to apply, the schema is up to date.'
+      );
+    } else if (command === 'down') {
+      const reverted = await runner.down(parseCount(argument, 'steps', 1));
+      console.log(
+        reverted.length > 0
+          ? `Reverted ${reverted.length} migration(s).`
+          : 'Nothing to revert.'
+      );
+    }
+
+    await printStatus(runner);
+  } finally {
+    await databaseService.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
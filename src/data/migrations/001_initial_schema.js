@@ -0,0 +1,259 @@
+/**
+ * Initial schema: every table the bot used before migrations were versioned
+ * Tables are created with IF NOT EXISTS, so databases created by older
+ * versions of the bot are adopted as they are
+ */
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function up(db) {
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        discord_id TEXT UNIQUE NOT NULL,
+        username TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS guilds (
+        id TEXT PRIMARY KEY,
+        discord_id TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  // Score ledger - every change to a member's points is recorded here
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS score_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        delta INTEGER NOT NULL,
+        reason TEXT,
+        awarded_by TEXT,
+        source TEXT NOT NULL DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_score_events_guild_user
+      ON score_events (guild_id, user_id, created_at)
+    `);
+
+  // Per-member totals, derived from score_events and rebuildable from it
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS scores (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        total INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, user_id)
+      )
+    `);
+
+  await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_scores_guild_total
+      ON scores (guild_id, total DESC)
+    `);
+
+  // Named scoring seasons, used to rank points earned between two dates
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS guild_seasons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (guild_id, name)
+      )
+    `);
+
+  // Auto-updating leaderboard message tracked per guild
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS leaderboard_messages (
+        guild_id TEXT PRIMARY KEY,
+        channel_id TEXT,
+        message_id TEXT,
+        period TEXT NOT NULL DEFAULT 'all-time',
+        refresh_minutes INTEGER NOT NULL DEFAULT 10,
+        last_refreshed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  // Per-guild rules for earning points through chat activity
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS activity_settings (
+        guild_id TEXT PRIMARY KEY,
+        enabled INTEGER NOT NULL DEFAULT 0,
+        points_per_message INTEGER NOT NULL DEFAULT 1,
+        cooldown_seconds INTEGER NOT NULL DEFAULT 60,
+        min_length INTEGER NOT NULL DEFAULT 5,
+        excluded_channels TEXT NOT NULL DEFAULT '[]',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  // Levelling: XP curve per guild, role ladder and each member's current level
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS level_settings (
+        guild_id TEXT PRIMARY KEY,
+        curve TEXT NOT NULL DEFAULT 'quadratic',
+        base_xp INTEGER NOT NULL DEFAULT 100,
+        announce INTEGER NOT NULL DEFAULT 1,
+        stack_roles INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS level_roles (
+        guild_id TEXT NOT NULL,
+        level INTEGER NOT NULL,
+        role_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, level)
+      )
+    `);
+
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS member_levels (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        level INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, user_id)
+      )
+    `);
+
+  // Guild settings - one JSON value per registered setting (see settingsRegistry.js)
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS guild_setting_values (
+        guild_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, key)
+      )
+    `);
+
+  // Every guild setting change, grouped into per-guild versions
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS guild_setting_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        key TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        changed_by TEXT,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (guild_id, version, key)
+      )
+    `);
+
+  // Per-command permission rules for roles, users and channels
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS command_permissions (
+        guild_id TEXT NOT NULL,
+        command_name TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        allowed INTEGER NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, command_name, target_type, target_id)
+      )
+    `);
+
+  // Audit trail of every command permission decision
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS permission_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        command_name TEXT NOT NULL,
+        channel_id TEXT,
+        allowed INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_permission_decisions_guild
+      ON permission_decisions (guild_id, allowed, created_at)
+    `);
+
+  // Guilds the bot was removed from, whose data is deleted after a grace period
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS guild_removals (
+        guild_id TEXT PRIMARY KEY,
+        guild_name TEXT,
+        removed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  // /setup wizard progress, so an unfinished setup can be resumed
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS setup_sessions (
+        guild_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        step INTEGER NOT NULL DEFAULT 0,
+        draft TEXT NOT NULL DEFAULT '{}',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+  // Admin notifications sent per guild, for rate limiting and deduplication
+  await db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_notifications (
+        guild_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, type, fingerprint)
+      )
+    `);
+}
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS admin_notifications;
+    DROP TABLE IF EXISTS setup_sessions;
+    DROP TABLE IF EXISTS guild_removals;
+    DROP TABLE IF EXISTS permission_decisions;
+    DROP TABLE IF EXISTS command_permissions;
+    DROP TABLE IF EXISTS guild_setting_history;
+    DROP TABLE IF EXISTS guild_setting_values;
+    DROP TABLE IF EXISTS member_levels;
+    DROP TABLE IF EXISTS level_roles;
+    DROP TABLE IF EXISTS level_settings;
+    DROP TABLE IF EXISTS activity_settings;
+    DROP TABLE IF EXISTS leaderboard_messages;
+    DROP TABLE IF EXISTS guild_seasons;
+    DROP TABLE IF EXISTS scores;
+    DROP TABLE IF EXISTS score_events;
+    DROP TABLE IF EXISTS guilds;
+    DROP TABLE IF EXISTS users;
+  `);
+}
@@ -0,0 +1,11 @@
+/**
+ * Drop command_bindings, replaced by the leaderboard and stats channel settings
+ * Irreversible: the table was unused before it was dropped, so down() is left out
+ */
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function up(db) {
+  await db.exec('DROP TABLE IF EXISTS command_bindings');
+}
@@ -0,0 +1,32 @@
+/**
+ * Move the old fixed guild_settings columns into guild_setting_values
+ * Irreversible: the per-column table cannot hold settings added since, so
+ * down() is left out
+ */
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function up(db) {
+  const legacySettings = await db.get(`
+    SELECT name FROM sqlite_master
+    WHERE type='table' AND name='guild_settings'
+  `);
+  if (!legacySettings) {
+    return;
+  }
+
+  const columns = (await db.all('PRAGMA table_info(guild_settings)'))
+    .map(column => column.name)
+    .filter(name => !['guild_id', 'created_at', 'updated_at'].includes(name));
+
+  for (const column of columns) {
+    await db.run(
+      `INSERT OR IGNORE INTO guild_setting_values (guild_id, key, value, updated_at)
+       SELECT guild_id, ?, json_quote("${column}"), COALESCE(updated_at, CURRENT_TIMESTAMP)
+       FROM guild_settings WHERE "${column}" IS NOT NULL`,
+      [column]
+    );
+  }
+  await db.exec('DROP TABLE guild_settings');
+}
@@ -0,0 +1,40 @@
+/**
+ * Single leaderboard and stats channel bindings became allow-lists
+ */
+
+const RENAMED_SETTINGS = [
+  ['leaderboard_channel_id', 'leaderboard_channels'],
+  ['stats_channel_id', 'stats_channels']
+];
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function up(db) {
+  for (const [oldKey, newKey] of RENAMED_SETTINGS) {
+    await db.run(
+      `INSERT OR IGNORE INTO guild_setting_values (guild_id, key, value, created_at, updated_at)
+       SELECT guild_id, ?, json_array(json(value)), created_at, updated_at
+       FROM guild_setting_values WHERE key = ?`,
+      [newKey, oldKey]
+    );
+    await db.run('DELETE FROM guild_setting_values WHERE key = ?', [oldKey]);
+  }
+}
+
+/**
+ * Keeps the first channel of each list
+ * @param {Database} db - sqlite database handle
+ */
+export async function down(db) {
+  for (const [oldKey, newKey] of RENAMED_SETTINGS) {
+    await db.run(
+      `INSERT OR IGNORE INTO guild_setting_values (guild_id, key, value, created_at, updated_at)
+       SELECT guild_id, ?, json_quote(json_extract(value, '$[0]')), created_at, updated_at
+       FROM guild_setting_values
+       WHERE key = ? AND json_array_length(value) > 0`,
+      [oldKey, newKey]
+    );
+    await db.run('DELETE FROM guild_setting_values WHERE key = ?', [newKey]);
+  }
+}
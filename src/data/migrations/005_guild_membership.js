@@ -0,0 +1,19 @@
+/**
+ * Guild membership: when the bot left a guild
+ * Guild rows are kept until their data is purged, so left_at tells current
+ * guilds from ones that removed the bot
+ */
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function up(db) {
+  await db.exec('ALTER TABLE guilds ADD COLUMN left_at DATETIME');
+}
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function down(db) {
+  await db.exec('ALTER TABLE guilds DROP COLUMN left_at');
+}
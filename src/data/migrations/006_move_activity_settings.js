@@ -0,0 +1,98 @@
+/**
+ * Activity rules became guild settings (guild_setting_values), so they share
+ * the settings history, rollback and export
+ */
+
+// activity_settings column -> setting key, with the column default
+const MOVED_COLUMNS = {
+  enabled: { key: 'activity_enabled', fallback: 0 },
+  points_per_message: { key: 'activity_points_per_message', fallback: 1 },
+  cooldown_seconds: { key: 'activity_cooldown_seconds', fallback: 60 },
+  min_length: { key: 'activity_min_length', fallback: 5 },
+  excluded_channels: { key: 'activity_excluded_channels', fallback: '[]' }
+};
+
+const SETTING_KEYS = Object.values(MOVED_COLUMNS).map(({ key }) => key);
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function up(db) {
+  for (const row of await db.all('SELECT * FROM activity_settings')) {
+    const values = {
+      activity_enabled: row.enabled === 1,
+      activity_points_per_message: row.points_per_message,
+      activity_cooldown_seconds: row.cooldown_seconds,
+      activity_min_length: row.min_length,
+      activity_excluded_channels: JSON.parse(row.excluded_channels)
+    };
+
+    for (const [key, value] of Object.entries(values)) {
+      await db.run(
+        `INSERT OR IGNORE INTO guild_setting_values (guild_id, key, value, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          row.guild_id,
+          key,
+          JSON.stringify(value),
+          row.created_at,
+          row.updated_at
+        ]
+      );
+    }
+  }
+  await db.exec('DROP TABLE activity_settings');
+}
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function down(db) {
+  await db.exec(`
+    CREATE TABLE activity_settings (
+      guild_id TEXT PRIMARY KEY,
+      enabled INTEGER NOT NULL DEFAULT 0,
+      points_per_message INTEGER NOT NULL DEFAULT 1,
+      cooldown_seconds INTEGER NOT NULL DEFAULT 60,
+      min_length INTEGER NOT NULL DEFAULT 5,
+      excluded_channels TEXT NOT NULL DEFAULT '[]',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const placeholders = SETTING_KEYS.map(() => '?').join(', ');
+  const rows = await db.all(
+    `SELECT guild_id, key, value FROM guild_setting_values
+     WHERE key IN (${placeholders})`,
+    SETTING_KEYS
+  );
+
+  const guilds = new Map(); // guildId -> { key: JSON value }
+  for (const { guild_id: guildId, key, value } of rows) {
+    guilds.set(guildId, { ...guilds.get(guildId), [key]: value });
+  }
+
+  for (const [guildId, values] of guilds) {
+    const columns = Object.entries(MOVED_COLUMNS).map(
+      ([column, { key, fallback }]) => {
+        if (!(key in values)) return fallback;
+        // Booleans go back to 0/1, lists stay JSON text
+        const value = JSON.parse(values[key]);
+        if (column === 'excluded_channels') return JSON.stringify(value);
+        return Number(value);
+      }
+    );
+
+    await db.run(
+      `INSERT INTO activity_settings (guild_id, ${Object.keys(MOVED_COLUMNS).join(', ')})
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [guildId, ...columns]
+    );
+  }
+
+  await db.run(
+    `DELETE FROM guild_setting_values WHERE key IN (${placeholders})`,
+    SETTING_KEYS
+  );
+}
@@ -0,0 +1,95 @@
+/**
+ * Level settings became guild settings (guild_setting_values), so they share
+ * the settings history, rollback and export
+ */
+
+// level_settings column -> setting key, with the column default
+const MOVED_COLUMNS = {
+  curve: { key: 'level_curve', fallback: 'quadratic' },
+  base_xp: { key: 'level_base_xp', fallback: 100 },
+  announce: { key: 'level_announce', fallback: 1 },
+  stack_roles: { key: 'level_stack_roles', fallback: 1 }
+};
+
+const SETTING_KEYS = Object.values(MOVED_COLUMNS).map(({ key }) => key);
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function up(db) {
+  for (const row of await db.all('SELECT * FROM level_settings')) {
+    const values = {
+      level_curve: row.curve,
+      level_base_xp: row.base_xp,
+      level_announce: row.announce === 1,
+      level_stack_roles: row.stack_roles === 1
+    };
+
+    for (const [key, value] of Object.entries(values)) {
+      await db.run(
+        `INSERT OR IGNORE INTO guild_setting_values (guild_id, key, value, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          row.guild_id,
+          key,
+          JSON.stringify(value),
+          row.created_at,
+          row.updated_at
+        ]
+      );
+    }
+  }
+  await db.exec('DROP TABLE level_settings');
+}
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function down(db) {
+  await db.exec(`
+    CREATE TABLE level_settings (
+      guild_id TEXT PRIMARY KEY,
+      curve TEXT NOT NULL DEFAULT 'quadratic',
+      base_xp INTEGER NOT NULL DEFAULT 100,
+      announce INTEGER NOT NULL DEFAULT 1,
+      stack_roles INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const placeholders = SETTING_KEYS.map(() => '?').join(', ');
+  const rows = await db.all(
+    `SELECT guild_id, key, value FROM guild_setting_values
+     WHERE key IN (${placeholders})`,
+    SETTING_KEYS
+  );
+
+  const guilds = new Map(); // guildId -> { key: JSON value }
+  for (const { guild_id: guildId, key, value } of rows) {
+    guilds.set(guildId, { ...guilds.get(guildId), [key]: value });
+  }
+
+  for (const [guildId, values] of guilds) {
+    const columns = Object.entries(MOVED_COLUMNS).map(
+      ([column, { key, fallback }]) => {
+        if (!(key in values)) return fallback;
+        // Booleans go back to 0/1
+        const value = JSON.parse(values[key]);
+        if (column === 'curve') return value;
+        return Number(value);
+      }
+    );
+
+    await db.run(
+      `INSERT INTO level_settings (guild_id, ${Object.keys(MOVED_COLUMNS).join(', ')})
+       VALUES (?, ?, ?, ?, ?)`,
+      [guildId, ...columns]
+    );
+  }
+
+  await db.run(
+    `DELETE FROM guild_setting_values WHERE key IN (${placeholders})`,
+    SETTING_KEYS
+  );
+}
@@ -0,0 +1,311 @@
+import { createHash } from 'crypto';
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+import logger from '../../core/logger.js';
+
+const MIGRATIONS_DIR = dirname(fileURLToPath(import.meta.url));
+
+// 001_initial_schema.js -> version 1, name initial_schema
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const TEMPLATE = `/**
+ * NAME
+ */
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function up(db) {
+  await db.exec(\`\`);
+}
+
+/**
+ * @param {Database} db - sqlite database handle
+ */
+export async function down(db) {
+  await db.exec(\`\`);
+}
+`;
+
+/**
+ * Applies and reverts the numbered migrations in this directory
+ * A migration exports async up(db) and down(db); leaving out down() marks it
+ * as irreversible. Every migration runs in its own transaction together with
+ * its schema_migrations row, which stores a checksum of the file so that a
+ * migration edited after it was applied is reported instead of ignored
+ */
+export default class MigrationRunner {
+  /**
+   * @param {Database} db - sqlite database handle
+   * @param {string} directory - Directory holding the migration files
+   */
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  /**
+   * Create the schema_migrations table if it does not exist
+   */
+  async ensureTable() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Read the migration files, ordered by version
+   * @returns {Promise<Array<Object>>} Migrations of { version, name, file, checksum }
+   */
+  async loadMigrations() {
+    const migrations = [];
+    for (const file of await readdir(this.directory)) {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) continue;
+
+      const version = Number(match[1]);
+      const duplicate = migrations.find(
+        migration => migration.version === version
+      );
+      if (duplicate) {
+        throw new Error(
+          `Migrations ${duplicate.file} and ${file} share version ${version}`
+        );
+      }
+
+      const source = await readFile(join(this.directory, file), 'utf8');
+      migrations.push({
+        version,
+        name: match[2],
+        file,
+        checksum: createHash('sha256')
+          .update(source.replace(/\r\n/g, '\n'))
+          .digest('hex')
+      });
+    }
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Compare the migration files with the applied migrations
+   * Status is 'applied', 'pending', 'changed' (the file no longer matches the
+   * checksum it was applied with) or 'missing' (applied, but the file is gone)
+   * @returns {Promise<Array<Object>>} Entries of { version, name, status, appliedAt }
+   */
+  async getStatus() {
+    await this.ensureTable();
+    const migrations = await this.loadMigrations();
+    const applied = await this.db.all(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations'
+    );
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const entries = migrations.map(migration => {
+      const row = appliedByVersion.get(migration.version);
+      let status = 'pending';
+      if (row) {
+        status = row.checksum === migration.checksum ? 'applied' : 'changed';
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        status,
+        appliedAt: row?.applied_at || null
+      };
+    });
+
+    for (const row of applied) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        entries.push({
+          version: row.version,
+          name: row.name,
+          status: 'missing',
+          appliedAt: row.applied_at
+        });
+      }
+    }
+    return entries.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply every pending migration, as done on startup
+   * @returns {Promise<Array<Object>>} The applied migrations
+   */
+  async runPendingMigrations() {
+    return this.up();
+  }
+
+  /**
+   * Apply pending migrations in order
+   * Refuses to run while an applied migration was changed or removed, since
+   * the schema would no longer match the files
+   * @param {number} target - Highest version to apply (all by default)
+   * @returns {Promise<Array<Object>>} The applied migrations
+   */
+  async up(target = Infinity) {
+    const status = await this.getStatus();
+    this.assertConsistent(status);
+
+    const migrations = await this.loadMigrations();
+    const pending = migrations.filter(migration =>
+      status.some(
+        entry =>
+          entry.version === migration.version &&
+          entry.status === 'pending' &&
+          entry.version <= target
+      )
+    );
+
+    for (const migration of pending) {
+      await this.apply(migration, 'up');
+    }
+    return pending;
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   * @param {number} steps - How many migrations to revert
+   * @returns {Promise<Array<Object>>} The reverted migrations
+   */
+  async down(steps = 1) {
+    const status = await this.getStatus();
+    this.assertConsistent(status);
+
+    const migrations = await this.loadMigrations();
+    const toRevert = status
+      .filter(entry => entry.status === 'applied')
+      .reverse()
+      .slice(0, steps)
+      .map(entry =>
+        migrations.find(migration => migration.version === entry.version)
+      );
+
+    // Stop before reverting anything if one of them cannot be reverted
+    for (const migration of toRevert) {
+      await this.loadStep(migration, 'down');
+    }
+
+    for (const migration of toRevert) {
+      await this.apply(migration, 'down');
+    }
+    return toRevert;
+  }
+
+  /**
+   * Write a new, empty migration file numbered after the last one
+   * @param {string} name - Short description, e.g. "add_badges"
+   * @returns {Promise<string>} Path of the new file
+   */
+  async create(name) {
+    const slug = String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    if (!slug) {
+      throw new Error(
+        'Invalid migration name: use letters, digits and underscores'
+      );
+    }
+
+    const migrations = await this.loadMigrations();
+    const version = (migrations.at(-1)?.version || 0) + 1;
+    const file = join(
+      this.directory,
+      `${String(version).padStart(3, '0')}_${slug}.js`
+    );
+
+    await writeFile(file, TEMPLATE.replace('NAME', slug.replace(/_/g, ' ')), {
+      flag: 'wx'
+    });
+    return file;
+  }
+
+  /**
+   * Throw if an applied migration no longer matches its file
+   * @private
+   * @param {Array<Object>} status - Result of getStatus()
+   */
+  assertConsistent(status) {
+    const problems = status
+      .filter(entry => ['changed', 'missing'].includes(entry.status))
+      .map(entry => {
+        const file = `${String(entry.version).padStart(3, '0')}_${entry.name}.js`;
+        return entry.status === 'changed'
+          ? `${file} was changed after it was applied`
+          : `${file} was applied but is missing`;
+      });
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Migrations are out of sync: ${problems.join('; ')}. Restore the files, or add a new migration instead of editing an applied one`
+      );
+    }
+  }
+
+  /**
+   * Import the up() or down() function of a migration
+   * @private
+   * @param {Object} migration - Entry from loadMigrations()
+   * @param {string} direction - 'up' or 'down'
+   * @returns {Promise<Function>} The migration step
+   */
+  async loadStep(migration, direction) {
+    const migrationModule = await import(
+      pathToFileURL(join(this.directory, migration.file)).href
+    );
+    if (typeof migrationModule[direction] !== 'function') {
+      throw new Error(
+        direction === 'down'
+          ? `Migration ${migration.file} cannot be reverted`
+          : `Migration ${migration.file} does not export up()`
+      );
+    }
+    return migrationModule[direction];
+  }
+
+  /**
+   * Run one migration in a transaction and record it
+   * @private
+   * @param {Object} migration - Entry from loadMigrations()
+   * @param {string} direction - 'up' or 'down'
+   */
+  async apply(migration, direction) {
+    const step = await this.loadStep(migration, direction);
+
+    const startedAt = Date.now();
+    await this.db.exec('BEGIN');
+    try {
+      await step(this.db);
+
+      if (direction === 'up') {
+        await this.db.run(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      } else {
+        await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [
+          migration.version
+        ]);
+      }
+
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw new Error(
+        `Migration ${migration.file} (${direction}) failed: ${error.message}`,
+        { cause: error }
+      );
+    }
+
+    logger.info(
+      `${direction === 'up' ? 'Applied' : 'Reverted'} migration ${migration.file} in ${Date.now() - startedAt}ms`
+    );
+  }
+}
@@ -0,0 +1,229 @@
+// Table and column names, the only parts of a query not passed as parameters
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * Builds parameterised SQL for one table
+ * Column names are checked against the columns the table was declared with
+ * and every value becomes a ? parameter, so nothing a user typed can end up
+ * in the SQL text. Each method returns { sql, params } for DatabaseService
+ */
+export default class QueryBuilder {
+  /**
+   * @param {string} table - Table name
+   * @param {Array<string>} columns - Every column queries may use
+   */
+  constructor(table, columns) {
+    for (const name of [table, ...columns]) {
+      if (!IDENTIFIER.test(name)) {
+        throw new Error(`Invalid identifier: ${name}`);
+      }
+    }
+    this.table = table;
+    this.columns = new Set(columns);
+  }
+
+  /**
+   * Check that a column belongs to the table
+   * @param {string} name - Column name
+   * @returns {string} The column name
+   */
+  column(name) {
+    if (!this.columns.has(name)) {
+      throw new Error(`Unknown column ${name} in ${this.table}`);
+    }
+    return name;
+  }
+
+  /**
+   * Build a SELECT
+   * @param {Object} options - Query options
+   * @param {Array<string>|null} options.columns - Columns to return (all by default)
+   * @param {Object} options.where - Conditions, see buildWhere()
+   * @param {Array<string>} options.orderBy - Entries like 'version' or 'version DESC'
+   * @param {number|null} options.limit - Maximum number of rows
+   * @param {boolean} options.distinct - Leave out duplicate rows
+   * @returns {Object} { sql, params }
+   */
+  select({
+    columns = null,
+    where = {},
+    orderBy = [],
+    limit = null,
+    distinct = false
+  } = {}) {
+    const selected = columns
+      ? columns.map(name => this.column(name)).join(', ')
+      : '*';
+    const { clause, params } = this.buildWhere(where);
+
+    let sql = `SELECT ${distinct ? 'DISTINCT ' : ''}${selected} FROM ${this.table}${clause}`;
+    if (orderBy.length > 0) {
+      sql += ` ORDER BY ${orderBy.map(entry => this.buildOrder(entry)).join(', ')}`;
+    }
+    if (limit !== null) {
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Invalid limit: ${limit}`);
+      }
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    return { sql, params };
+  }
+
+  /**
+   * Build a SELECT COUNT(*) AS count
+   * @param {Object} where - Conditions, see buildWhere()
+   * @returns {Object} { sql, params }
+   */
+  count(where = {}) {
+    const { clause, params } = this.buildWhere(where);
+    return {
+      sql: `SELECT COUNT(*) AS count FROM ${this.table}${clause}`,
+      params
+    };
+  }
+
+  /**
+   * Build an INSERT
+   * @param {Object} values - Column values
+   * @returns {Object} { sql, params }
+   */
+  insert(values) {
+    const names = Object.keys(values).map(name => this.column(name));
+    return {
+      sql: `INSERT INTO ${this.table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      params: Object.values(values)
+    };
+  }
+
+  /**
+   * Build an INSERT that updates the existing row on a conflict
+   * The row is only updated (and its updated_at refreshed) when one of the
+   * updated columns gets a different value
+   * @param {Object} values - Column values
+   * @param {Array<string>} conflictColumns - The unique key that may conflict
+   * @param {Array<string>|null} updateColumns - Columns to update on a conflict (all others by default)
+   * @returns {Object} { sql, params }
+   */
+  upsert(values, conflictColumns, updateColumns = null) {
+    const { sql, params } = this.insert(values);
+    const conflict = conflictColumns.map(name => this.column(name));
+    const updated = (
+      updateColumns ||
+      Object.keys(values).filter(name => !conflict.includes(name))
+    ).map(name => this.column(name));
+
+    if (updated.length === 0) {
+      return {
+        sql: `${sql} ON CONFLICT (${conflict.join(', ')}) DO NOTHING`,
+        params
+      };
+    }
+
+    const assignments = updated.map(name => `${name} = excluded.${name}`);
+    if (this.touchesUpdatedAt(updated)) {
+      assignments.push('updated_at = CURRENT_TIMESTAMP');
+    }
+    const changed = updated
+      .map(name => `${this.table}.${name} IS NOT excluded.${name}`)
+      .join(' OR ');
+
+    return {
+      sql: `${sql} ON CONFLICT (${conflict.join(', ')}) DO UPDATE SET ${assignments.join(', ')} WHERE ${changed}`,
+      params
+    };
+  }
+
+  /**
+   * Build an UPDATE
+   * updated_at is refreshed on tables that have it
+   * @param {Object} values - Column values
+   * @param {Object} where - Conditions, see buildWhere() (at least one)
+   * @returns {Object} { sql, params }
+   */
+  update(values, where) {
+    const assignments = Object.keys(values).map(
+      name => `${this.column(name)} = ?`
+    );
+    if (this.touchesUpdatedAt(Object.keys(values))) {
+      assignments.push('updated_at = CURRENT_TIMESTAMP');
+    }
+    const { clause, params } = this.buildWhere(where, true);
+
+    return {
+      sql: `UPDATE ${this.table} SET ${assignments.join(', ')}${clause}`,
+      params: [...Object.values(values), ...params]
+    };
+  }
+
+  /**
+   * Build a DELETE
+   * @param {Object} where - Conditions, see buildWhere() (at least one)
+   * @returns {Object} { sql, params }
+   */
+  delete(where) {
+    const { clause, params } = this.buildWhere(where, true);
+    return { sql: `DELETE FROM ${this.table}${clause}`, params };
+  }
+
+  /**
+   * Build a WHERE clause from { column: value } conditions, joined with AND
+   * null matches NULL and an array matches any of its values
+   * @private
+   * @param {Object} where - Conditions
+   * @param {boolean} required - Refuse to match every row (for UPDATE and DELETE)
+   * @returns {Object} { clause, params }
+   */
+  buildWhere(where, required = false) {
+    const conditions = [];
+    const params = [];
+    for (const [name, value] of Object.entries(where)) {
+      this.column(name);
+      if (value === null) {
+        conditions.push(`${name} IS NULL`);
+      } else if (Array.isArray(value)) {
+        conditions.push(
+          value.length > 0
+            ? `${name} IN (${value.map(() => '?').join(', ')})`
+            : '0'
+        );
+        params.push(...value);
+      } else {
+        conditions.push(`${name} = ?`);
+        params.push(value);
+      }
+    }
+
+    if (conditions.length === 0) {
+      if (required) {
+        throw new Error(`Refusing to change every row of ${this.table}`);
+      }
+      return { clause: '', params };
+    }
+    return { clause: ` WHERE ${conditions.join(' AND ')}`, params };
+  }
+
+  /**
+   * Turn 'column' or 'column DESC' into an ORDER BY entry
+   * @private
+   * @param {string} entry - Column and optional direction
+   * @returns {string} SQL
+   */
+  buildOrder(entry) {
+    const [name, direction = 'ASC', ...rest] = entry.trim().split(/\s+/);
+    if (rest.length > 0 || !['ASC', 'DESC'].includes(direction.toUpperCase())) {
+      throw new Error(`Invalid order: ${entry}`);
+    }
+    return `${this.column(name)} ${direction.toUpperCase()}`;
+  }
+
+  /**
+   * Whether a write should also refresh updated_at
+   * @private
+   * @param {Array<string>} names - Columns being written
+   * @returns {boolean} True if the table has updated_at and it is not written explicitly
+   */
+  touchesUpdatedAt(names) {
+    return this.columns.has('updated_at') && !names.includes('updated_at');
+  }
+}
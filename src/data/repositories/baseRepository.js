@@ -0,0 +1,103 @@
+import databaseService from '../../services/database.js';
+import QueryBuilder from '../queryBuilder.js';
+
+/**
+ * Data access for one table, on top of DatabaseService
+ * Subclasses declare the table's columns and add named methods; services
+ * call those instead of writing SQL. Queries run inside the caller's
+ * database.transaction() when there is one
+ */
+export default class BaseRepository {
+  /**
+   * @param {string} table - Table name
+   * @param {Array<string>} columns - Every column of the table
+   * @param {DatabaseService} database - Database to run queries on
+   */
+  constructor(table, columns, database = databaseService) {
+    this.builder = new QueryBuilder(table, columns);
+    this.database = database;
+  }
+
+  /**
+   * Find the first row matching the conditions
+   * @param {Object} where - { column: value } conditions
+   * @param {Object} options - columns and orderBy, see QueryBuilder.select()
+   * @returns {Promise<Object|null>} The row, or null
+   */
+  async findOne(where, options = {}) {
+    const { sql, params } = this.builder.select({
+      ...options,
+      where,
+      limit: 1
+    });
+    return (await this.database.queryOne(sql, params)) || null;
+  }
+
+  /**
+   * Find every row matching the conditions
+   * @param {Object} where - { column: value } conditions
+   * @param {Object} options - columns, orderBy, limit and distinct, see QueryBuilder.select()
+   * @returns {Promise<Array<Object>>} The rows
+   */
+  async findMany(where = {}, options = {}) {
+    const { sql, params } = this.builder.select({ ...options, where });
+    return this.database.query(sql, params);
+  }
+
+  /**
+   * Count the rows matching the conditions
+   * @param {Object} where - { column: value } conditions
+   * @returns {Promise<number>} Number of rows
+   */
+  async count(where = {}) {
+    const { sql, params } = this.builder.count(where);
+    return (await this.database.queryOne(sql, params)).count;
+  }
+
+  /**
+   * Insert a row
+   * @param {Object} values - Column values
+   * @returns {Promise<Object>} Statement result ({ lastID, changes })
+   */
+  async insert(values) {
+    const { sql, params } = this.builder.insert(values);
+    return this.database.execute(sql, params);
+  }
+
+  /**
+   * Insert a row, or update it if its unique key already exists
+   * @param {Object} values - Column values
+   * @param {Array<string>} conflictColumns - The unique key
+   * @param {Array<string>|null} updateColumns - Columns to update on a conflict (all others by default)
+   * @returns {Promise<Object>} Statement result ({ lastID, changes })
+   */
+  async upsert(values, conflictColumns, updateColumns = null) {
+    const { sql, params } = this.builder.upsert(
+      values,
+      conflictColumns,
+      updateColumns
+    );
+    return this.database.execute(sql, params);
+  }
+
+  /**
+   * Update the rows matching the conditions
+   * @param {Object} values - Column values
+   * @param {Object} where - { column: value } conditions (at least one)
+   * @returns {Promise<number>} Number of rows changed
+   */
+  async update(values, where) {
+    const { sql, params } = this.builder.update(values, where);
+    return (await this.database.execute(sql, params)).changes;
+  }
+
+  /**
+   * Delete the rows matching the conditions
+   * @param {Object} where - { column: value } conditions (at least one)
+   * @returns {Promise<number>} Number of rows deleted
+   */
+  async delete(where) {
+    const { sql, params } = this.builder.delete(where);
+    return (await this.database.execute(sql, params)).changes;
+  }
+}
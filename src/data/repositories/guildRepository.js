@@ -0,0 +1,84 @@
+import BaseRepository from './baseRepository.js';
+
+/**
+ * Discord servers the bot is or was in (guilds table)
+ * Rows use the Discord guild ID as their ID. left_at is set when the bot is
+ * removed; the row itself goes when the guild's data is purged
+ */
+class GuildRepository extends BaseRepository {
+  constructor() {
+    super('guilds', [
+      'id',
+      'discord_id',
+      'name',
+      'left_at',
+      'created_at',
+      'updated_at'
+    ]);
+  }
+
+  /**
+   * Get a guild by Discord ID
+   * @param {string} discordId - Discord guild ID
+   * @returns {Promise<Object|null>} The guild row, or null
+   */
+  async findByDiscordId(discordId) {
+    return this.findOne({ discord_id: discordId });
+  }
+
+  /**
+   * Every stored guild, by name
+   * @returns {Promise<Array<Object>>} Guild rows
+   */
+  async findAll() {
+    return this.findMany({}, { orderBy: ['name'] });
+  }
+
+  /**
+   * Guilds the bot is in, by name
+   * @returns {Promise<Array<Object>>} Guild rows
+   */
+  async findCurrent() {
+    return this.findMany({ left_at: null }, { orderBy: ['name'] });
+  }
+
+  /**
+   * Store a guild the bot is in, or update the name of a known one
+   * A guild that had removed the bot is marked as current again
+   * @param {string} discordId - Discord guild ID
+   * @param {string} name - Current guild name
+   * @returns {Promise<Object>} Statement result
+   */
+  async save(discordId, name) {
+    return this.upsert(
+      { id: discordId, discord_id: discordId, name, left_at: null },
+      ['discord_id'],
+      ['name', 'left_at']
+    );
+  }
+
+  /**
+   * Record that the bot was removed from a guild
+   * @param {string} discordId - Discord guild ID
+   * @returns {Promise<boolean>} True if the guild was current until now
+   */
+  async markLeft(discordId) {
+    const leftAt = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    const changed = await this.update(
+      { left_at: leftAt },
+      { discord_id: discordId, left_at: null }
+    );
+    return changed > 0;
+  }
+
+  /**
+   * Forget a guild
+   * @param {string} discordId - Discord guild ID
+   * @returns {Promise<boolean>} True if the guild was stored
+   */
+  async remove(discordId) {
+    return (await this.delete({ discord_id: discordId })) > 0;
+  }
+}
+
+export default new GuildRepository();
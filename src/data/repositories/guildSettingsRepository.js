@@ -0,0 +1,155 @@
+import QueryBuilder from '../queryBuilder.js';
+
+import BaseRepository from './baseRepository.js';
+
+/**
+ * Stored guild setting values (guild_setting_values) and their change
+ * history (guild_setting_history)
+ * Values are kept as JSON text; parsing and validation are left to
+ * GuildSettingsService and the settings registry
+ */
+class GuildSettingsRepository extends BaseRepository {
+  constructor() {
+    super('guild_setting_values', [
+      'guild_id',
+      'key',
+      'value',
+      'created_at',
+      'updated_at'
+    ]);
+    this.history = new QueryBuilder('guild_setting_history', [
+      'id',
+      'guild_id',
+      'version',
+      'key',
+      'old_value',
+      'new_value',
+      'changed_by',
+      'note',
+      'created_at'
+    ]);
+  }
+
+  /**
+   * Every stored value of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Map<string, string>>} Setting key -> JSON value
+   */
+  async getValues(guildId) {
+    const rows = await this.findMany(
+      { guild_id: guildId },
+      { columns: ['key', 'value'] }
+    );
+    return new Map(rows.map(row => [row.key, row.value]));
+  }
+
+  /**
+   * Store a value
+   * @param {string} guildId - Discord guild ID
+   * @param {string} key - Setting key
+   * @param {string} value - JSON value
+   */
+  async setValue(guildId, key, value) {
+    await this.upsert({ guild_id: guildId, key, value }, ['guild_id', 'key']);
+  }
+
+  /**
+   * Remove a value, so the setting falls back to its default
+   * @param {string} guildId - Discord guild ID
+   * @param {string} key - Setting key
+   */
+  async deleteValue(guildId, key) {
+    await this.delete({ guild_id: guildId, key });
+  }
+
+  /**
+   * Latest history version of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} The version, 0 if nothing was ever changed
+   */
+  async getLatestVersion(guildId) {
+    const { sql, params } = this.history.select({
+      columns: ['version'],
+      where: { guild_id: guildId },
+      orderBy: ['version DESC'],
+      limit: 1
+    });
+    return (await this.database.queryOne(sql, params))?.version || 0;
+  }
+
+  /**
+   * Record the changes of one history version
+   * @param {string} guildId - Discord guild ID
+   * @param {number} version - Version number
+   * @param {Array<Object>} changes - { key, oldValue, newValue } with JSON values
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
+   * @param {string|null} note - Why the change was made
+   */
+  async addHistory(guildId, version, changes, changedBy, note) {
+    for (const change of changes) {
+      const { sql, params } = this.history.insert({
+        guild_id: guildId,
+        version,
+        key: change.key,
+        old_value: change.oldValue,
+        new_value: change.newValue,
+        changed_by: changedBy,
+        note
+      });
+      await this.database.execute(sql, params);
+    }
+  }
+
+  /**
+   * Newest history versions of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} key - Only versions that changed this setting
+   * @param {number} limit - Maximum number of versions
+   * @returns {Promise<Array<number>>} Versions, newest first
+   */
+  async getHistoryVersions(guildId, key, limit) {
+    const { sql, params } = this.history.select({
+      columns: ['version'],
+      where: key === null ? { guild_id: guildId } : { guild_id: guildId, key },
+      orderBy: ['version DESC'],
+      limit,
+      distinct: true
+    });
+    return (await this.database.query(sql, params)).map(row => row.version);
+  }
+
+  /**
+   * Every change recorded in some history versions
+   * @param {string} guildId - Discord guild ID
+   * @param {Array<number>} versions - Versions to read
+   * @returns {Promise<Array<Object>>} History rows, newest version first
+   */
+  async getHistory(guildId, versions) {
+    const { sql, params } = this.history.select({
+      where: { guild_id: guildId, version: versions },
+      orderBy: ['version DESC', 'id']
+    });
+    return this.database.query(sql, params);
+  }
+
+  /**
+   * What each setting changed after a version was right after it
+   * Settings that did not change since are left out
+   * @param {string} guildId - Discord guild ID
+   * @param {number} version - History version
+   * @returns {Promise<Array<Object>>} Rows of { key, old_value }
+   */
+  async getValuesAtVersion(guildId, version) {
+    // A setting's value at that version is the old value of its first later change
+    return this.database.query(
+      `SELECT key, old_value FROM guild_setting_history AS history
+       WHERE guild_id = ? AND version = (
+         SELECT MIN(version) FROM guild_setting_history
+         WHERE guild_id = history.guild_id AND key = history.key AND version > ?
+       )`,
+      [guildId, version]
+    );
+  }
+}
+
+export default new GuildSettingsRepository();
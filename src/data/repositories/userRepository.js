@@ -0,0 +1,51 @@
+import BaseRepository from './baseRepository.js';
+
+/**
+ * Discord users the bot has seen (users table)
+ * Rows use the Discord user ID as their ID
+ */
+class UserRepository extends BaseRepository {
+  constructor() {
+    super('users', [
+      'id',
+      'discord_id',
+      'username',
+      'created_at',
+      'updated_at'
+    ]);
+  }
+
+  /**
+   * Get a user by Discord ID
+   * @param {string} discordId - Discord user ID
+   * @returns {Promise<Object|null>} The user row, or null
+   */
+  async findByDiscordId(discordId) {
+    return this.findOne({ discord_id: discordId });
+  }
+
+  /**
+   * Store a user, or update the username of a known one
+   * @param {string} discordId - Discord user ID
+   * @param {string} username - Current username
+   * @returns {Promise<Object>} Statement result
+   */
+  async save(discordId, username) {
+    return this.upsert(
+      { id: discordId, discord_id: discordId, username },
+      ['discord_id'],
+      ['username']
+    );
+  }
+
+  /**
+   * Forget a user
+   * @param {string} discordId - Discord user ID
+   * @returns {Promise<boolean>} True if the user was stored
+   */
+  async remove(discordId) {
+    return (await this.delete({ discord_id: discordId })) > 0;
+  }
+}
+
+export default new UserRepository();
@@ -6,6 +6,7 @@ import {
 } from 'discord.js';
 
 import guildSettingsService from '../../../services/guildSettings.js';
+import settingsRegistry from '../../../services/settingsRegistry.js';
 import logger from '../../../core/logger.js';
 import CommandUtils from '../../../core/commandUtils.js';
 
@@ -22,36 +23,44 @@ export default {
         .setDescription('The resource to bind')
         .setRequired(true)
         .addChoices(
-          { name: 'leaderboard', value: 'leaderboard' },
-          { name: 'stats', value: 'stats' },
-          { name: 'admin_role', value: 'admin_role' }
+          ...settingsRegistry
+            .list()
+            .map(setting => ({ name: setting.name, value: setting.name }))
         )
     )
     .addChannelOption(option =>
       option
         .setName('channel')
         .setDescription(
-          'Channel to bind the resource to (for leaderboard/stats)'
+          'Channel or category to bind the resource to (added to channel lists)'
         )
         .setRequired(false)
     )
     .addRoleOption(option =>
       option
         .setName('role')
-        .setDescription('Role to bind the resource to (for admin_role)')
+        .setDescription('Role to bind the resource to (for role settings)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('value')
+        .setDescription(
+          'Value for other settings (numbers, on/off, text or a comma-separated list)'
+        )
         .setRequired(false)
     )
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
+  adminOnly: true,
+  writesDatabase: true,
+
   async execute(interaction, client) {
     try {
-      // Check guild permissions
-      const hasPermission = await CommandUtils.checkGuildPermissions(interaction);
-      if (!hasPermission) return;
-
       const resource = interaction.options.getString('resource');
       const channel = interaction.options.getChannel('channel');
       const role = interaction.options.getRole('role');
+      const text = interaction.options.getString('value');
 
       const guildId = interaction.guild.id;
       const embed = new EmbedBuilder()
@@ -60,61 +69,50 @@ export default {
         .setTimestamp();
 
       try {
-        let settingKey = '';
-        let target = null;
-        let targetType = '';
+        const setting = settingsRegistry.findByName(resource);
+        if (!setting) {
+          throw new Error(`Invalid setting key: ${resource}`);
+        }
 
-        // Validate and set the appropriate binding
-        if (resource === 'leaderboard') {
-          if (!channel) {
-            if (!interaction.replied && !interaction.deferred) {
-              await interaction.reply({
-                content:
-                  '❌ You must specify a channel to bind the leaderboard to.',
-                flags: MessageFlags.Ephemeral
-              });
-            }
-            return;
-          }
-          settingKey = 'leaderboard_channel_id';
-          target = channel;
-          targetType = 'Channel';
-        } else if (resource === 'stats') {
-          if (!channel) {
-            if (!interaction.replied && !interaction.deferred) {
-              await interaction.reply({
-                content: '❌ You must specify a channel to bind the stats to.',
-                flags: MessageFlags.Ephemeral
-              });
-            }
-            return;
+        // Pick the input matching the setting's type
+        const kind = setting.type === 'list' ? setting.itemType : setting.type;
+        let value;
+        if (kind === 'channel' && channel) {
+          value = channel.id;
+        } else if (kind === 'role' && role) {
+          value = role.id;
+        } else if (text !== null) {
+          value = settingsRegistry.parse(setting.key, text);
+        } else {
+          if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({
+              content: `❌ You must specify a ${kind === 'channel' || kind === 'role' ? kind : 'value'} to bind the ${resource} to.`,
+              flags: MessageFlags.Ephemeral
+            });
           }
-          settingKey = 'stats_channel_id';
-          target = channel;
-          targetType = 'Channel';
-        } else if (resource === 'admin_role') {
-          if (!role) {
-            if (!interaction.replied && !interaction.deferred) {
-              await interaction.reply({
-                content:
-                  '❌ You must specify a role to bind the admin_role to.',
-                flags: MessageFlags.Ephemeral
-              });
-            }
-            return;
-          }
-          settingKey = 'admin_role_id';
-          target = role;
-          targetType = 'Role';
+          return;
+        }
+
+        // Single channels or roles are added to list settings
+        if (setting.type === 'list' && !Array.isArray(value)) {
+          const current = await guildSettingsService.getGuildSetting(
+            guildId,
+            setting.key
+          );
+          value = current.includes(value) ? current : [...current, value];
         }
 
         // Set the guild setting
         await guildSettingsService.setGuildSetting(
           guildId,
-          settingKey,
-          target.id
+          setting.key,
+          value,
+          interaction.user.id
         );
 
+        const target = settingsRegistry.format(setting.key, value);
+        const targetType = settingsRegistry.getTypeLabel(setting);
+
         embed
           .setDescription(`✅ Successfully bound \`${resource}\` to ${target}`)
           .addFields({
@@ -126,7 +124,11 @@ export default {
         if (!interaction.replied && !interaction.deferred) {
           await interaction.reply({ embeds: [embed] });
         }
-        CommandUtils.logCommandExecution('bind', interaction, `Resource binding created: ${resource} -> ${targetType.toLowerCase()}:${target.id}`);
+        CommandUtils.logCommandExecution(
+          'bind',
+          interaction,
+          `Resource binding created: ${resource} -> ${JSON.stringify(value)}`
+        );
       } catch (error) {
         logger.high(
           'Error creating resource binding - affects bot functionality',
@@ -138,6 +140,8 @@ export default {
         let errorMessage = '❌ There was an error while creating the binding.';
         if (error.message.includes('Invalid setting key')) {
           errorMessage = '❌ Invalid resource type specified.';
+        } else if (error.message.startsWith('Invalid')) {
+          errorMessage = `❌ ${error.message}`;
         } else if (error.message.includes('guildId is required')) {
           errorMessage = '❌ Guild information is missing. Please try again.';
         }
@@ -151,7 +155,10 @@ export default {
         error
       );
 
-      await CommandUtils.sendErrorResponse(interaction, '❌ There was a critical error while processing the bind command.');
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ There was a critical error while processing the bind command.'
+      );
     }
   }
 };
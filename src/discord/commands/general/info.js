@@ -2,6 +2,7 @@ import { SlashCommandBuilder, EmbedBuilder, version } from 'discord.js';
 
 import logger from '../../../core/logger.js';
 import config from '../../../core/config.js';
+import database from '../../../services/database.js';
 import CommandUtils from '../../../core/commandUtils.js';
 
 /**
@@ -14,6 +15,8 @@ export default {
 
   async execute(interaction, client) {
     try {
+      const { path, mode } = database.getConnectionInfo();
+
       const embed = new EmbedBuilder()
         .setTitle('🤖 Atom Bot Information')
         .setDescription('A modular Discord.js bot with SQLite database')
@@ -35,7 +38,8 @@ export default {
               `**Node.js:** ${process.version}`,
               `**Discord.js:** ${version}`,
               `**Environment:** ${config.app.nodeEnv}`,
-              '**Database:** SQLite'
+              `**Database:** SQLite (${mode})`,
+              `**Database Path:** \`${path}\``
             ].join('\n'),
             inline: true
           }
@@ -1,102 +1,45 @@
-import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
 
 import guildSettingsService from '../../../services/guildSettings.js';
+import scoreService from '../../../services/scores.js';
+import seasonService from '../../../services/seasons.js';
+import leaderboardMessageService from '../../../services/leaderboardMessages.js';
+import notificationService from '../../../services/notifications.js';
 import logger from '../../../core/logger.js';
 import errorHandler from '../../../core/errorHandler.js';
 import CommandUtils from '../../../core/commandUtils.js';
+import {
+  buildLeaderboardMessage,
+  getPageForPosition,
+  parsePageToken,
+  resolveTokenRanking
+} from '../../../features/leaderboard/leaderboardView.js';
+import leaderboardPublisher from '../../../features/leaderboard/leaderboardPublisher.js';
+import { exportLeaderboard } from '../../../features/leaderboard/leaderboardExport.js';
 
 /**
- * Handle case when no leaderboard channel is set
+ * Handle case when the leaderboard cannot be used here and no allowed
+ * channel can take it (only categories without text channels, or channels
+ * that are gone)
  * @param {Object} interaction - Discord interaction object
- * @param {Object} settings - Guild settings object
- * @param {Array} userRoles - Array of user role IDs
+ * @param {Object} binding - { allowed, denied } leaderboard channel lists
  */
-async function handleNoLeaderboardChannel(interaction, settings, userRoles) {
-  try {
-    // Notify admin if admin role is set
-    if (settings && settings.admin_role_id) {
-      const adminRole = interaction.guild.roles.cache.get(settings.admin_role_id);
-      if (adminRole) {
-        const adminMembers = adminRole.members;
-        
-        for (const [memberId, member] of adminMembers) {
-          try {
-            await member.send(
-              `🔔 **Configuration Notice**\n\n` +
-              `The leaderboard command was used in **${interaction.guild.name}** but the leaderboard channel is not set up.\n\n` +
-              `To set up the leaderboard channel, use the \`/bind\` command in your server.\n\n` +
-              `This will ensure the leaderboard command works properly in your server.`
-            );
-            logger.debug(`Sent leaderboard notification to admin: ${member.user.tag}`);
-          } catch (dmError) {
-            logger.warn(`Failed to send DM to admin ${member.user.tag}: ${dmError.message}`);
-          }
-        }
-      } else {
-        // Admin role not found, notify server owner
-        logger.warn(`Admin role ${settings.admin_role_id} not found in guild ${interaction.guild.name}, notifying server owner`);
-        try {
-          const owner = await interaction.guild.fetchOwner();
-          await owner.send(
-            `🔔 **Configuration Notice**\n\n` +
-            `The leaderboard command was used in **${interaction.guild.name}** but the leaderboard channel is not set up.\n\n` +
-            `To set up the leaderboard channel, use the \`/bind\` command in your server.\n\n` +
-            `This will ensure the leaderboard command works properly in your server.`
-          );
-          logger.info(`Sent leaderboard notification to server owner: ${owner.user.tag}`);
-        } catch (ownerError) {
-          logger.warn(`Failed to send DM to server owner: ${ownerError.message}`);
-        }
-      }
-    } else {
-      // No admin role set, notify server owner
-      try {
-        const owner = await interaction.guild.fetchOwner();
-        await owner.send(
-          `🔔 **Configuration Notice**\n\n` +
-          `The leaderboard command was used in **${interaction.guild.name}** but the leaderboard channel is not set up.\n\n` +
-          `To set up the leaderboard channel, use the \`/bind\` command in your server.\n\n` +
-          `This will ensure the leaderboard command works properly in your server.`
-        );
-        logger.info(`Sent leaderboard notification to server owner: ${owner.user.tag}`);
-      } catch (ownerError) {
-        logger.warn(`Failed to send DM to server owner: ${ownerError.message}`);
-      }
-    }
+async function handleNoUsableChannel(interaction, binding) {
+  const allowedMentions = binding.allowed.map(id => `<#${id}>`).join(', ');
+  await CommandUtils.sendErrorResponse(
+    interaction,
+    allowedMentions
+      ? `❌ The leaderboard can only be used in ${allowedMentions}.`
+      : '❌ The leaderboard cannot be used in this channel.'
+  );
 
-    // Inform the user that leaderboard channel is not set
-    try {
-      if (!interaction.replied && !interaction.deferred) {
-        await interaction.reply({
-          content: '❌ The leaderboard channel is not set up for this server. An administrator has been notified to configure it using `/bind`.',
-          ephemeral: true
-        });
-      } else {
-        await interaction.followUp({
-          content: '❌ The leaderboard channel is not set up for this server. An administrator has been notified to configure it using `/bind`.',
-          ephemeral: true
-        });
-      }
-    } catch (responseError) {
-      logger.error('Failed to send error response:', responseError);
-    }
-  } catch (error) {
-    logger.error('Failed to handle no leaderboard channel case:', error);
-    try {
-      if (!interaction.replied && !interaction.deferred) {
-        await interaction.reply({
-          content: '❌ The leaderboard channel is not set up for this server. Please contact an administrator.',
-          ephemeral: true
-        });
-      } else {
-        await interaction.followUp({
-          content: '❌ The leaderboard channel is not set up for this server. Please contact an administrator.',
-          ephemeral: true
-        });
-      }
-    } catch (responseError) {
-      logger.error('Failed to send error response in catch block:', responseError);
-    }
+  // Allowed entries without a channel to post in are a configuration mistake
+  if (binding.allowed.length > 0) {
+    await notificationService.notifyAdmins(
+      interaction.guild,
+      'leaderboard-channel-unusable',
+      { channelIds: binding.allowed }
+    );
   }
 }
 
@@ -104,23 +47,27 @@ async function handleNoLeaderboardChannel(interaction, settings, userRoles) {
  * Handle case when command is called from wrong channel
  * @param {Object} interaction - Discord interaction object
  * @param {string} leaderboardChannelId - ID of the bound leaderboard channel
+ * @param {Object} ranking - Resolved leaderboard period (see SeasonService.resolvePeriod)
  */
-async function handleWrongChannel(interaction, leaderboardChannelId) {
+async function handleWrongChannel(interaction, leaderboardChannelId, ranking) {
   try {
-    const leaderboardChannel = interaction.guild.channels.cache.get(leaderboardChannelId);
-    const channelMention = leaderboardChannel ? `<#${leaderboardChannelId}>` : `channel with ID ${leaderboardChannelId}`;
-    
+    const leaderboardChannel =
+      interaction.guild.channels.cache.get(leaderboardChannelId);
+    const channelMention = leaderboardChannel
+      ? `<#${leaderboardChannelId}>`
+      : `channel with ID ${leaderboardChannelId}`;
+
     // Send warning message to current channel
     try {
       if (!interaction.replied && !interaction.deferred) {
         await interaction.reply({
           content: `⚠️ This channel is not bound to leaderboard. The leaderboard has been published in the leaderboard bound channel ${channelMention}.`,
-          ephemeral: true
+          flags: MessageFlags.Ephemeral
         });
       } else {
         await interaction.followUp({
           content: `⚠️ This channel is not bound to leaderboard. The leaderboard has been published in the leaderboard bound channel ${channelMention}.`,
-          ephemeral: true
+          flags: MessageFlags.Ephemeral
         });
       }
     } catch (responseError) {
@@ -129,120 +76,196 @@ async function handleWrongChannel(interaction, leaderboardChannelId) {
 
     // Send leaderboard to the bound channel
     if (leaderboardChannel) {
-      const leaderboardEmbed = await createLeaderboardEmbed();
-      await leaderboardChannel.send({ embeds: [leaderboardEmbed] });
-      logger.info(`Leaderboard redirected to bound channel: ${leaderboardChannel.name}`);
+      const leaderboardMessage = await buildLeaderboardMessage(
+        interaction.guild,
+        ranking
+      );
+      await leaderboardChannel.send(leaderboardMessage);
+      logger.info(
+        `Leaderboard redirected to bound channel: ${leaderboardChannel.name}`
+      );
     } else {
-      logger.warn(`Leaderboard channel ${leaderboardChannelId} not found in guild ${interaction.guild.name}`);
-      
+      logger.warn(
+        `Leaderboard channel ${leaderboardChannelId} not found in guild ${interaction.guild.name}`
+      );
+
       // Notify user that channel not found
       try {
         if (!interaction.replied && !interaction.deferred) {
           await interaction.reply({
             content: '❌ Channel not found. Please contact admin.',
-            ephemeral: true
+            flags: MessageFlags.Ephemeral
           });
         } else {
           await interaction.followUp({
             content: '❌ Channel not found. Please contact admin.',
-            ephemeral: true
+            flags: MessageFlags.Ephemeral
           });
         }
       } catch (responseError) {
-        logger.error('Failed to send channel not found response:', responseError);
-      }
-
-      // Notify server owner that leaderboard channel is not found
-      try {
-        const owner = await interaction.guild.fetchOwner();
-        await owner.send(
-          `🔔 **Configuration Issue**\n\n` +
-          `The leaderboard channel (ID: ${leaderboardChannelId}) is not found in **${interaction.guild.name}**.\n\n` +
-          `This usually happens when the channel was deleted or the bot doesn't have access to it.\n\n` +
-          `Please reconfigure the leaderboard channel using the \`/bind\` command.`
+        logger.error(
+          'Failed to send channel not found response:',
+          responseError
         );
-        logger.info(`Sent channel not found notification to server owner: ${owner.user.tag}`);
-      } catch (ownerError) {
-        logger.warn(`Failed to send DM to server owner about missing channel: ${ownerError.message}`);
       }
+
+      // Tell the admins that the leaderboard channel is gone
+      await notificationService.notifyAdmins(
+        interaction.guild,
+        'leaderboard-channel-missing',
+        { channelId: leaderboardChannelId }
+      );
     }
   } catch (error) {
     logger.error('Failed to handle wrong channel case:', error);
     try {
       if (!interaction.replied && !interaction.deferred) {
         await interaction.reply({
-          content: '❌ Failed to redirect leaderboard to the bound channel. Please try again later.',
-          ephemeral: true
+          content:
+            '❌ Failed to redirect leaderboard to the bound channel. Please try again later.',
+          flags: MessageFlags.Ephemeral
         });
       } else {
         await interaction.followUp({
-          content: '❌ Failed to redirect leaderboard to the bound channel. Please try again later.',
-          ephemeral: true
+          content:
+            '❌ Failed to redirect leaderboard to the bound channel. Please try again later.',
+          flags: MessageFlags.Ephemeral
         });
       }
     } catch (responseError) {
-      logger.error('Failed to send error response in handleWrongChannel:', responseError);
+      logger.error(
+        'Failed to send error response in handleWrongChannel:',
+        responseError
+      );
     }
   }
 }
 
 /**
- * Create the leaderboard embed
- * @returns {EmbedBuilder} The leaderboard embed
+ * Add the leaderboard period option
+ * @param {Object} option - String option builder
+ * @returns {Object} The option builder
  */
-async function createLeaderboardEmbed() {
-      // Mock leaderboard data with 10 positions
-      const leaderboardData = [
-        { name: 'user1', score: 1250, rank: 1 },
-        { name: 'user2', score: 1180, rank: 2 },
-        { name: 'user3', score: 1095, rank: 3 },
-        { name: 'user4', score: 1020, rank: 4 },
-        { name: 'user5', score: 945, rank: 5 },
-        { name: 'user6', score: 870, rank: 6 },
-        { name: 'user7', score: 795, rank: 7 },
-        { name: 'user8', score: 720, rank: 8 },
-        { name: 'user9', score: 645, rank: 9 },
-        { name: 'user10', score: 570, rank: 10 }
-      ];
-
-      // Create embed for the leaderboard
-      const embed = new EmbedBuilder()
-        .setTitle('🏆 Leaderboard')
-        .setDescription('Top 10 players by score')
-        .setColor(0x00ff00)
-        .setTimestamp()
-        .setFooter({ text: 'Updated just now' });
-
-      // Add leaderboard entries to embed
-      let leaderboardText = '';
-      leaderboardData.forEach((user, index) => {
-        const medal =
-          index === 0
-            ? '🥇'
-            : index === 1
-              ? '🥈'
-              : index === 2
-                ? '🥉'
-                : `${user.rank}.`;
-        leaderboardText += `${medal} **${user.name}** - ${user.score} points\n`;
-      });
-
-      embed.addFields({
-        name: 'Rankings',
-        value: leaderboardText,
-        inline: false
-      });
-
-  return embed;
+function addPeriodChoices(option) {
+  return option
+    .setName('period')
+    .setDescription('Time window to rank points earned in')
+    .setRequired(false)
+    .addChoices(
+      { name: 'Daily', value: 'daily' },
+      { name: 'Weekly', value: 'weekly' },
+      { name: 'Monthly', value: 'monthly' },
+      { name: 'All-time', value: 'all-time' },
+      { name: 'Season', value: 'season' }
+    );
 }
 
 /**
- * Leaderboard command - displays a leaderboard with mock data
+ * Leaderboard command - displays the guild's top members by score
+ * and manages the auto-updating leaderboard message
  */
 export default {
   data: new SlashCommandBuilder()
     .setName('leaderboard')
-    .setDescription('Shows the current leaderboard'),
+    .setDescription('Shows the current leaderboard')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('view')
+        .setDescription('Show the leaderboard')
+        .addStringOption(addPeriodChoices)
+        .addStringOption(option =>
+          option
+            .setName('season')
+            .setDescription(
+              'Season to rank (for the season period, defaults to the current one)'
+            )
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('pin')
+        .setDescription(
+          'Keep an auto-updating leaderboard message in the leaderboard channel'
+        )
+        .addStringOption(addPeriodChoices)
+        .addIntegerOption(option =>
+          option
+            .setName('refresh_minutes')
+            .setDescription(
+              'Minutes between scheduled updates (0 = only when scores change, default: 10)'
+            )
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(1440)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('unpin')
+        .setDescription('Remove the auto-updating leaderboard message')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('ranking')
+        .setDescription('Choose how tied scores are ranked')
+        .addStringOption(option =>
+          option
+            .setName('strategy')
+            .setDescription('Ranking strategy')
+            .setRequired(true)
+            .addChoices(
+              {
+                name: 'Competition - ties share a place, next is skipped (1224)',
+                value: 'competition'
+              },
+              {
+                name: 'Dense - ties share a place, none skipped (1223)',
+                value: 'dense'
+              },
+              {
+                name: 'Earliest - ties go to who got there first (1234)',
+                value: 'earliest'
+              }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('export')
+        .setDescription('Download the full ranking as CSV or JSON files')
+        .addStringOption(addPeriodChoices)
+        .addStringOption(option =>
+          option
+            .setName('season')
+            .setDescription(
+              'Season to rank (for the season period, defaults to the current one)'
+            )
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('format')
+            .setDescription('File format (default: CSV)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'CSV', value: 'csv' },
+              { name: 'JSON', value: 'json' }
+            )
+        )
+    ),
+
+  adminOnly: ['pin', 'unpin', 'ranking', 'export'],
+  writesDatabase: ['pin', 'unpin', 'ranking'],
+
+  // Navigation buttons page through /leaderboard view
+  componentSubcommands: {
+    first: 'view',
+    prev: 'view',
+    next: 'view',
+    last: 'view',
+    me: 'view'
+  },
 
   async execute(interaction, client) {
     const context = {
@@ -261,7 +284,10 @@ export default {
 
       // Check if command is used in a guild
       if (!interaction.guild) {
-        await CommandUtils.sendErrorResponse(interaction, '❌ This command can only be used in a server.');
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          '❌ This command can only be used in a server.'
+        );
         return;
       }
 
@@ -270,10 +296,23 @@ export default {
         throw new Error('Missing guild or member information');
       }
 
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand === 'pin' || subcommand === 'unpin') {
+        await this.configurePinnedLeaderboard(interaction, subcommand);
+        return;
+      }
+      if (subcommand === 'ranking') {
+        await this.configureRanking(interaction);
+        return;
+      }
+      if (subcommand === 'export') {
+        await this.exportStandings(interaction);
+        return;
+      }
+
       // Get guild settings to check leaderboard channel binding
       const guildId = interaction.guild.id;
       const channelId = interaction.channel.id;
-      const userRoles = interaction.member.roles.cache.map(role => role.id);
 
       let settings;
       try {
@@ -287,26 +326,70 @@ export default {
         settings = null; // Treat as no settings configured
       }
 
+      // Resolve the time window to rank
+      const seasonName = interaction.options.getString('season');
+      const period =
+        interaction.options.getString('period') ||
+        (seasonName ? 'season' : 'all-time');
+
+      let ranking;
+      try {
+        ranking = await seasonService.resolvePeriod(
+          guildId,
+          period,
+          seasonName
+        );
+      } catch (periodError) {
+        if (periodError.message.startsWith('Season not found')) {
+          await CommandUtils.sendErrorResponse(
+            interaction,
+            seasonName
+              ? `❌ No season named \`${seasonName}\` exists. Use \`/season list\` to see all seasons.`
+              : '❌ No season is running today. Pick a season by name or another period.'
+          );
+          return;
+        }
+        throw periodError;
+      }
+
       // Handle different scenarios based on leaderboard channel binding
-      if (!settings || !settings.leaderboard_channel_id) {
-        // No leaderboard channel set - notify admin and inform user
-        await handleNoLeaderboardChannel(interaction, settings, userRoles);
-        return;
-      } else if (channelId !== settings.leaderboard_channel_id) {
-        // Command called from non-bound channel - warn and redirect
-        await handleWrongChannel(interaction, settings.leaderboard_channel_id);
+      const binding = guildSettingsService.toChannelBinding(
+        settings,
+        'leaderboard'
+      );
+      const channelIds = [
+        channelId,
+        ...CommandUtils.getChannelParentIds(interaction.channel)
+      ];
+      if (!guildSettingsService.isChannelAllowed(binding, channelIds)) {
+        // Command called from non-bound channel - warn and redirect to the
+        // closest usable leaderboard channel
+        const target = await guildSettingsService.resolveBoundChannel(
+          interaction.guild,
+          'leaderboard',
+          interaction.channel
+        );
+        if (!target) {
+          await handleNoUsableChannel(interaction, binding);
+          return;
+        }
+        await handleWrongChannel(interaction, target.id, ranking);
         return;
       }
-      // If we reach here, command is called from the correct bound channel
+      // If we reach here, command is called from an allowed channel (every
+      // channel not denied when no leaderboard channel is set)
       // Create and send the leaderboard embed
-      const embed = await createLeaderboardEmbed();
+      const leaderboardMessage = await buildLeaderboardMessage(
+        interaction.guild,
+        ranking
+      );
 
       // Send the response with error handling
       try {
         if (!interaction.replied && !interaction.deferred) {
-          await interaction.reply({ embeds: [embed] });
+          await interaction.reply(leaderboardMessage);
         } else {
-          await interaction.followUp({ embeds: [embed] });
+          await interaction.followUp(leaderboardMessage);
         }
       } catch (replyError) {
         logger.high(
@@ -317,10 +400,239 @@ export default {
         throw new Error(`Failed to send response: ${replyError.message}`);
       }
 
-      CommandUtils.logCommandExecution('leaderboard', interaction, 'executed successfully');
+      CommandUtils.logCommandExecution(
+        'leaderboard',
+        interaction,
+        'executed successfully'
+      );
     } catch (error) {
       // Use centralized error handling
       await errorHandler.handleCommandError(error, context);
     }
+  },
+
+  /**
+   * Enable, reconfigure or remove the auto-updating leaderboard message
+   */
+  async configurePinnedLeaderboard(interaction, subcommand) {
+    const guildId = interaction.guild.id;
+
+    if (subcommand === 'unpin') {
+      const removed = await leaderboardPublisher.remove(guildId);
+      await interaction.reply({
+        content: removed
+          ? '✅ The auto-updating leaderboard message has been removed.'
+          : '❌ There is no auto-updating leaderboard message in this server.',
+        flags: MessageFlags.Ephemeral
+      });
+      CommandUtils.logCommandExecution('leaderboard', interaction, 'unpin');
+      return;
+    }
+
+    const leaderboardChannel = await guildSettingsService.resolveBoundChannel(
+      interaction.guild,
+      'leaderboard'
+    );
+    if (!leaderboardChannel) {
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ Bind a leaderboard channel with `/bind` before enabling the auto-updating leaderboard.'
+      );
+      return;
+    }
+
+    const period = interaction.options.getString('period') || 'all-time';
+    const refreshMinutes =
+      interaction.options.getInteger('refresh_minutes') ?? 10;
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    await leaderboardMessageService.enable(guildId, { period, refreshMinutes });
+    const message = await leaderboardPublisher.refreshGuild(guildId);
+
+    await interaction.editReply({
+      content: message
+        ? `✅ The leaderboard in ${leaderboardChannel} will now update ${refreshMinutes > 0 ? `every ${refreshMinutes} minute(s) and ` : ''}when scores change: ${message.url}`
+        : `⚠️ Auto-updating leaderboard enabled, but it could not be posted in ${leaderboardChannel}. Check that the channel exists and that I can send messages there.`
+    });
+    CommandUtils.logCommandExecution(
+      'leaderboard',
+      interaction,
+      `pin ${period} every ${refreshMinutes} min`
+    );
+  },
+
+  /**
+   * Change how the guild ranks tied scores
+   */
+  async configureRanking(interaction) {
+    const strategy = interaction.options.getString('strategy');
+    await scoreService.setRankingStrategy(
+      interaction.guild.id,
+      strategy,
+      interaction.user.id
+    );
+
+    await interaction.reply({
+      content: `✅ Leaderboards now use **${strategy}** ranking for tied scores.`,
+      flags: MessageFlags.Ephemeral
+    });
+    CommandUtils.logCommandExecution(
+      'leaderboard',
+      interaction,
+      `ranking ${strategy}`
+    );
+
+    // Show the new places on the auto-updating leaderboard straight away
+    leaderboardPublisher.scheduleRefresh(interaction.guild.id);
+  },
+
+  /**
+   * Send the full ranking of a period as file attachments
+   * Files are sent one per message as they are produced, so large guilds never
+   * exceed the attachment size limit
+   */
+  async exportStandings(interaction) {
+    const seasonName = interaction.options.getString('season');
+    const period =
+      interaction.options.getString('period') ||
+      (seasonName ? 'season' : 'all-time');
+    const format = interaction.options.getString('format') || 'csv';
+
+    let ranking;
+    try {
+      ranking = await seasonService.resolvePeriod(
+        interaction.guild.id,
+        period,
+        seasonName
+      );
+    } catch (periodError) {
+      if (periodError.message.startsWith('Season not found')) {
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          seasonName
+            ? `❌ No season named \`${seasonName}\` exists. Use \`/season list\` to see all seasons.`
+            : '❌ No season is running today. Pick a season by name or another period.'
+        );
+        return;
+      }
+      throw periodError;
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    let files = 0;
+    let rows = 0;
+    for await (const { attachment, rowCount } of exportLeaderboard(
+      interaction.guild,
+      ranking,
+      format
+    )) {
+      files++;
+      rows += rowCount;
+      const content = `📄 ${ranking.label} standings - file ${files} (${rowCount} member(s))`;
+
+      if (files === 1) {
+        await interaction.editReply({ content, files: [attachment] });
+      } else {
+        await interaction.followUp({
+          content,
+          files: [attachment],
+          flags: MessageFlags.Ephemeral
+        });
+      }
+    }
+
+    if (files > 1) {
+      await interaction.followUp({
+        content: `✅ Export complete: ${rows} member(s) in ${files} files.`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    CommandUtils.logCommandExecution(
+      'leaderboard',
+      interaction,
+      `export ${period} ${format} (${rows} rows, ${files} file(s))`
+    );
+  },
+
+  /**
+   * Handle leaderboard navigation buttons
+   * Page buttons edit the message in place, "find me" answers privately
+   * with the page containing the member's rank
+   */
+  async handleComponent(interaction, _client) {
+    const context = {
+      commandName: 'leaderboard',
+      userId: interaction.user?.id,
+      guildId: interaction.guild?.id,
+      channelId: interaction.channel?.id,
+      interaction
+    };
+
+    try {
+      const token = parsePageToken(interaction.customId);
+      if (!token || !interaction.guild) {
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          '❌ This leaderboard button is no longer valid. Run `/leaderboard` again.'
+        );
+        return;
+      }
+
+      let ranking;
+      try {
+        ranking = await resolveTokenRanking(interaction.guild.id, token);
+      } catch (periodError) {
+        if (periodError.message.startsWith('Season not found')) {
+          await CommandUtils.sendErrorResponse(
+            interaction,
+            '❌ The season shown on this leaderboard no longer exists.'
+          );
+          return;
+        }
+        throw periodError;
+      }
+
+      if (token.action === 'me') {
+        const memberRank = await scoreService.getRank(
+          interaction.guild.id,
+          interaction.user.id,
+          ranking.window
+        );
+
+        if (!memberRank) {
+          await CommandUtils.sendErrorResponse(
+            interaction,
+            `📍 You are not ranked on this leaderboard yet (${ranking.label}).`
+          );
+          return;
+        }
+
+        const leaderboardMessage = await buildLeaderboardMessage(
+          interaction.guild,
+          ranking,
+          {
+            page: getPageForPosition(memberRank.position),
+            highlightUserId: interaction.user.id
+          }
+        );
+        await interaction.reply({
+          ...leaderboardMessage,
+          content: `📍 You are ranked **#${memberRank.rank}**${memberRank.sharedBy > 1 ? ' (tied)' : ''} of ${memberRank.rankedMembers} with **${memberRank.total}** points.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const leaderboardMessage = await buildLeaderboardMessage(
+        interaction.guild,
+        ranking,
+        { page: token.page }
+      );
+      await interaction.update(leaderboardMessage);
+    } catch (error) {
+      await errorHandler.handleCommandError(error, context);
+    }
   }
 };
@@ -0,0 +1,343 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+
+import commandPermissionService from '../../../services/commandPermissions.js';
+import logger from '../../../core/logger.js';
+import errorHandler from '../../../core/errorHandler.js';
+import CommandUtils from '../../../core/commandUtils.js';
+
+/**
+ * Add the command and target options shared by grant, deny and remove
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addRuleOptions(subcommand) {
+  return subcommand
+    .addStringOption(option =>
+      option
+        .setName('command')
+        .setDescription('Command the rule applies to')
+        .setRequired(true)
+        .setAutocomplete(true)
+    )
+    .addRoleOption(option =>
+      option.setName('role').setDescription('Role the rule applies to')
+    )
+    .addUserOption(option =>
+      option.setName('user').setDescription('Member the rule applies to')
+    )
+    .addChannelOption(option =>
+      option
+        .setName('channel')
+        .setDescription('Channel or category the rule applies to')
+    );
+}
+
+/**
+ * Describe who may use a command when no rule matches
+ * @param {Object} command - Loaded command module
+ * @returns {string} Default access text
+ */
+function describeDefault(command) {
+  if (Array.isArray(command.adminOnly)) {
+    return `Admin only for ${command.adminOnly.map(name => `\`${name}\``).join(', ')}, open otherwise`;
+  }
+  return command.adminOnly ? 'Admin only' : 'Everyone';
+}
+
+/**
+ * Permissions command - grants or denies commands to roles, users and channels
+ */
+export default {
+  data: new SlashCommandBuilder()
+    .setName('permissions')
+    .setDescription('Control who may use each command and where')
+    .addSubcommand(subcommand =>
+      addRuleOptions(
+        subcommand
+          .setName('grant')
+          .setDescription('Allow a role, member or channel to use a command')
+      )
+    )
+    .addSubcommand(subcommand =>
+      addRuleOptions(
+        subcommand
+          .setName('deny')
+          .setDescription('Stop a role, member or channel from using a command')
+      )
+    )
+    .addSubcommand(subcommand =>
+      addRuleOptions(
+        subcommand
+          .setName('remove')
+          .setDescription('Remove the rule of a role, member or channel')
+      )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reset')
+        .setDescription('Remove every rule of a command')
+        .addStringOption(option =>
+          option
+            .setName('command')
+            .setDescription('Command to reset')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Show the permission rules')
+        .addStringOption(option =>
+          option
+            .setName('command')
+            .setDescription('Only show this command')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('denials')
+        .setDescription('Show recently denied command uses')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('Only show denials of this member')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('command')
+            .setDescription('Only show denials of this command')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('limit')
+            .setDescription('Number of denials to show (default: 10)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(25)
+        )
+    ),
+
+  adminOnly: true,
+  writesDatabase: ['grant', 'deny', 'remove', 'reset'],
+
+  async execute(interaction, client) {
+    const context = {
+      commandName: 'permissions',
+      userId: interaction.user?.id,
+      guildId: interaction.guild?.id,
+      channelId: interaction.channel?.id,
+      interaction
+    };
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const commandName = interaction.options.getString('command');
+      const command = commandName ? client.commands.get(commandName) : null;
+
+      if (subcommand === 'denials') {
+        await this.listDenials(interaction, commandName);
+        CommandUtils.logCommandExecution('permissions', interaction, 'denials');
+        return;
+      }
+
+      if (commandName && !command) {
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          `❌ There is no \`/${commandName}\` command.`
+        );
+        return;
+      }
+
+      if (subcommand === 'list') {
+        await this.listRules(interaction, client, command);
+      } else if (subcommand === 'reset') {
+        const removed = await commandPermissionService.resetCommand(
+          interaction.guild.id,
+          commandName
+        );
+        await interaction.reply({
+          content:
+            removed > 0
+              ? `✅ Removed ${removed} rule(s) from \`/${commandName}\`. It is back to its default: ${describeDefault(command)}.`
+              : `❌ \`/${commandName}\` has no permission rules.`,
+          flags: MessageFlags.Ephemeral
+        });
+      } else {
+        await this.changeRule(interaction, subcommand, commandName);
+      }
+
+      CommandUtils.logCommandExecution(
+        'permissions',
+        interaction,
+        `${subcommand}${commandName ? ` ${commandName}` : ''}`
+      );
+    } catch (error) {
+      await errorHandler.handleCommandError(error, context);
+    }
+  },
+
+  /**
+   * Suggest loaded command names while the user types
+   */
+  async autocomplete(interaction, client) {
+    const typed = interaction.options.getFocused().toLowerCase();
+    const names = [...client.commands.keys()]
+      .filter(name => name.includes(typed))
+      .sort()
+      .slice(0, 25);
+
+    await interaction.respond(names.map(name => ({ name, value: name })));
+  },
+
+  /**
+   * Grant, deny or remove the rule of a single target
+   */
+  async changeRule(interaction, subcommand, commandName) {
+    const targets = [
+      ['role', interaction.options.getRole('role')],
+      ['user', interaction.options.getUser('user')],
+      ['channel', interaction.options.getChannel('channel')]
+    ].filter(([, target]) => target);
+
+    if (targets.length !== 1) {
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ Pick exactly one role, user or channel.'
+      );
+      return;
+    }
+
+    const [targetType, target] = targets[0];
+    const guildId = interaction.guild.id;
+
+    if (subcommand === 'remove') {
+      const removed = await commandPermissionService.removeRule(
+        guildId,
+        commandName,
+        targetType,
+        target.id
+      );
+      await interaction.reply({
+        content: removed
+          ? `✅ Removed the \`/${commandName}\` rule for ${target}.`
+          : `❌ ${target} has no rule for \`/${commandName}\`.`,
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] }
+      });
+      return;
+    }
+
+    const allowed = subcommand === 'grant';
+    await commandPermissionService.setRule(
+      guildId,
+      commandName,
+      targetType,
+      target.id,
+      allowed,
+      interaction.user.id
+    );
+
+    await interaction.reply({
+      content: allowed
+        ? `✅ ${target} may now use \`/${commandName}\`.`
+        : `⛔ ${target} may no longer use \`/${commandName}\`.`,
+      flags: MessageFlags.Ephemeral,
+      allowedMentions: { parse: [] }
+    });
+    logger.info(
+      `${interaction.user.tag} ${allowed ? 'granted' : 'denied'} /${commandName} for ${targetType} ${target.id} in ${interaction.guild.name}`
+    );
+  },
+
+  /**
+   * Show the most recent permission denials
+   * Commands that were removed can still be looked up by name
+   */
+  async listDenials(interaction, commandName) {
+    const user = interaction.options.getUser('user');
+    const denials = await commandPermissionService.getRecentDenials(
+      interaction.guild.id,
+      {
+        userId: user?.id || null,
+        commandName,
+        limit: interaction.options.getInteger('limit') || 10
+      }
+    );
+
+    const embed = new EmbedBuilder()
+      .setTitle('⛔ Recent Permission Denials')
+      .setColor(0xff6b6b)
+      .setTimestamp();
+
+    if (denials.length === 0) {
+      embed.setDescription('No command uses were denied recently.');
+    } else {
+      embed.setDescription(
+        denials
+          .map(
+            denial =>
+              `<@${denial.user_id}> \`/${denial.command_name}\` in <#${denial.channel_id}> • ${denial.created_at} UTC\n↳ ${denial.reason}`
+          )
+          .join('\n')
+          .slice(0, 4096)
+      );
+    }
+
+    await interaction.reply({
+      embeds: [embed],
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  /**
+   * Show the rules of one command, or of every command that has rules
+   */
+  async listRules(interaction, client, command) {
+    const guildId = interaction.guild.id;
+    const rules = await commandPermissionService.getRules(
+      guildId,
+      command?.data.name
+    );
+
+    const embed = new EmbedBuilder()
+      .setTitle('🔐 Command Permissions')
+      .setColor(0x3498db)
+      .setFooter({
+        text: 'Users beat roles, denials beat grants, Administrators are never blocked'
+      })
+      .setTimestamp();
+
+    const names = command
+      ? [command.data.name]
+      : [...new Set(rules.map(rule => rule.commandName))];
+
+    if (names.length === 0) {
+      embed.setDescription(
+        'No permission rules are set. Every command uses its default access.'
+      );
+    }
+
+    for (const name of names.slice(0, 25)) {
+      const lines = rules
+        .filter(rule => rule.commandName === name)
+        .map(rule => commandPermissionService.formatRule(rule, guildId));
+      const loaded = client.commands.get(name);
+
+      lines.unshift(
+        `**Default:** ${loaded ? describeDefault(loaded) : 'Command no longer exists'}`
+      );
+      embed.addFields({ name: `/${name}`, value: lines.join('\n') });
+    }
+
+    await interaction.reply({
+      embeds: [embed],
+      flags: MessageFlags.Ephemeral
+    });
+  }
+};
@@ -0,0 +1,422 @@
+import {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  MessageFlags
+} from 'discord.js';
+
+import guildSettingsService from '../../../services/guildSettings.js';
+import settingsRegistry from '../../../services/settingsRegistry.js';
+import logger from '../../../core/logger.js';
+import errorHandler from '../../../core/errorHandler.js';
+import CommandUtils from '../../../core/commandUtils.js';
+import { describeSettingChange } from '../../../features/settings/settingsView.js';
+import {
+  buildSettingsExport,
+  planSettingsImport,
+  MAX_IMPORT_BYTES
+} from '../../../features/settings/settingsTransfer.js';
+
+// How long an import preview can be confirmed
+const IMPORT_CONFIRM_MS = 10 * 60 * 1000;
+
+// Import previews waiting for confirmation
+const pendingImports = new Map(); // interaction ID -> { guildId, userId, plan, expiresAt }
+
+/**
+ * Describe a settings history version
+ * @param {Object} entry - Version from GuildSettingsService.getSettingHistory
+ * @returns {string} Version text
+ */
+function describeVersion(entry) {
+  const author = entry.changedBy ? `<@${entry.changedBy}>` : 'the bot';
+  const note = entry.note ? ` • ${entry.note}` : '';
+  return [
+    `**v${entry.version}** by ${author} • ${entry.createdAt} UTC${note}`,
+    ...entry.changes.map(describeSettingChange)
+  ].join('\n');
+}
+
+/**
+ * Build the dry-run embed of a settings import
+ * @param {Object} plan - Result of planSettingsImport
+ * @returns {EmbedBuilder} The preview embed
+ */
+function createImportPreviewEmbed(plan) {
+  const lines = [
+    `Importing settings from **${plan.source}** would change:`,
+    '',
+    ...plan.changes.map(describeSettingChange)
+  ];
+  if (plan.warnings.length > 0) {
+    lines.push(
+      '',
+      '⚠️ **Skipped:**',
+      ...plan.warnings.map(line => `• ${line}`)
+    );
+  }
+
+  return new EmbedBuilder()
+    .setTitle('📥 Settings Import Preview')
+    .setColor(0xf1c40f)
+    .setDescription(lines.join('\n').slice(0, 4096))
+    .setFooter({ text: 'Nothing has been changed yet' })
+    .setTimestamp();
+}
+
+/**
+ * Settings command - shows the settings change history, rolls changes back
+ * and copies settings between servers
+ */
+export default {
+  data: new SlashCommandBuilder()
+    .setName('settings')
+    .setDescription('Review and undo guild setting changes')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('history')
+        .setDescription('Show recent setting changes')
+        .addStringOption(option =>
+          option
+            .setName('setting')
+            .setDescription('Only show changes of this setting')
+            .setRequired(false)
+            .addChoices(
+              ...settingsRegistry
+                .list()
+                .map(setting => ({ name: setting.name, value: setting.key }))
+            )
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('limit')
+            .setDescription('Number of versions to show (default: 10)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(25)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('rollback')
+        .setDescription('Restore the settings as they were after a version')
+        .addIntegerOption(option =>
+          option
+            .setName('version')
+            .setDescription(
+              'Version to return to (see /settings history, 0 for before the first change)'
+            )
+            .setRequired(true)
+            .setMinValue(0)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('export')
+        .setDescription('Download every setting as a file for another server')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('import')
+        .setDescription('Preview and apply a file made by /settings export')
+        .addAttachmentOption(option =>
+          option
+            .setName('file')
+            .setDescription('Settings file (.json)')
+            .setRequired(true)
+        )
+    ),
+
+  adminOnly: true,
+  writesDatabase: ['rollback', 'import'],
+
+  // The import preview buttons finish /settings import
+  componentSubcommands: {
+    'import-confirm': 'import',
+    'import-cancel': 'import'
+  },
+
+  async execute(interaction, _client) {
+    const context = {
+      commandName: 'settings',
+      userId: interaction.user?.id,
+      guildId: interaction.guild?.id,
+      channelId: interaction.channel?.id,
+      interaction
+    };
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      try {
+        if (subcommand === 'history') {
+          await this.showHistory(interaction);
+        } else if (subcommand === 'rollback') {
+          await this.rollback(interaction);
+        } else if (subcommand === 'export') {
+          await this.exportSettings(interaction);
+        } else if (subcommand === 'import') {
+          await this.previewImport(interaction);
+        }
+      } catch (settingsError) {
+        if (settingsError.message.startsWith('Invalid')) {
+          // Imports defer their reply while the file downloads
+          if (interaction.deferred) {
+            await interaction.editReply({
+              content: `❌ ${settingsError.message}`
+            });
+          } else {
+            await CommandUtils.sendErrorResponse(
+              interaction,
+              `❌ ${settingsError.message}`
+            );
+          }
+          return;
+        }
+        throw settingsError;
+      }
+
+      CommandUtils.logCommandExecution('settings', interaction, subcommand);
+    } catch (error) {
+      await errorHandler.handleCommandError(error, context);
+    }
+  },
+
+  /**
+   * Show the most recent settings versions
+   */
+  async showHistory(interaction) {
+    const key = interaction.options.getString('setting');
+    const history = await guildSettingsService.getSettingHistory(
+      interaction.guild.id,
+      {
+        key,
+        limit: interaction.options.getInteger('limit') || 10
+      }
+    );
+
+    const embed = new EmbedBuilder()
+      .setTitle('🕓 Settings History')
+      .setColor(0x3498db)
+      .setFooter({ text: 'Undo changes with /settings rollback <version>' })
+      .setTimestamp();
+
+    if (history.length === 0) {
+      embed.setDescription(
+        key
+          ? `No changes of **${settingsRegistry.get(key).label}** have been recorded.`
+          : 'No setting changes have been recorded yet.'
+      );
+    } else {
+      embed.setDescription(
+        history.map(describeVersion).join('\n\n').slice(0, 4096)
+      );
+    }
+
+    await interaction.reply({
+      embeds: [embed],
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  /**
+   * Restore the settings of a version, recorded as a new version
+   */
+  async rollback(interaction) {
+    const version = interaction.options.getInteger('version');
+    const result = await guildSettingsService.rollbackToVersion(
+      interaction.guild.id,
+      version,
+      interaction.user.id
+    );
+
+    if (!result.version) {
+      await interaction.reply({
+        content: `✅ The settings already match v${version}, nothing was changed.`,
+        flags: MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('⏪ Settings Rolled Back')
+      .setColor(0x2ecc71)
+      .setDescription(
+        [
+          `Restored the settings of **v${version}** as **v${result.version}**:`,
+          '',
+          ...result.changes.map(describeSettingChange)
+        ]
+          .join('\n')
+          .slice(0, 4096)
+      )
+      .setFooter({
+        text: `Undo this rollback with /settings rollback ${result.version - 1}`
+      })
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed] });
+  },
+
+  /**
+   * Send every setting as a JSON file
+   */
+  async exportSettings(interaction) {
+    const attachment = await buildSettingsExport(interaction.guild);
+    await interaction.reply({
+      content:
+        '📤 Here are the settings of this server. Use `/settings import` in another server to copy them.',
+      files: [attachment],
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  /**
+   * Show what importing a settings file would change and ask for confirmation
+   */
+  async previewImport(interaction) {
+    const attachment = interaction.options.getAttachment('file');
+    if (attachment.size > MAX_IMPORT_BYTES) {
+      throw new Error('Invalid settings file: the file is too large');
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to download settings file: HTTP ${response.status}`
+      );
+    }
+    const plan = await planSettingsImport(
+      interaction.guild,
+      await response.text()
+    );
+
+    if (plan.changes.length === 0) {
+      const skipped =
+        plan.warnings.length > 0
+          ? `\n\n⚠️ **Skipped:**\n${plan.warnings.map(line => `• ${line}`).join('\n')}`
+          : '';
+      await interaction.editReply({
+        content:
+          `✅ The settings already match **${plan.source}**, nothing to import.${skipped}`.slice(
+            0,
+            2000
+          )
+      });
+      return;
+    }
+
+    // Forget previews nobody confirmed
+    const now = Date.now();
+    for (const [token, pending] of pendingImports) {
+      if (pending.expiresAt < now) pendingImports.delete(token);
+    }
+
+    const token = interaction.id;
+    pendingImports.set(token, {
+      guildId: interaction.guild.id,
+      userId: interaction.user.id,
+      plan,
+      expiresAt: now + IMPORT_CONFIRM_MS
+    });
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`settings:import-confirm:${token}`)
+        .setLabel(`Apply ${plan.changes.length} change(s)`)
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`settings:import-cancel:${token}`)
+        .setLabel('Cancel')
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+    await interaction.editReply({
+      embeds: [createImportPreviewEmbed(plan)],
+      components: [buttons]
+    });
+  },
+
+  /**
+   * Apply or cancel a previewed import
+   */
+  async handleComponent(interaction, _client) {
+    const context = {
+      commandName: 'settings',
+      userId: interaction.user?.id,
+      guildId: interaction.guild?.id,
+      channelId: interaction.channel?.id,
+      interaction
+    };
+
+    try {
+      const [, action, token] = interaction.customId.split(':');
+      const pending = pendingImports.get(token);
+
+      if (!pending || pending.expiresAt < Date.now()) {
+        pendingImports.delete(token);
+        await interaction.update({
+          content:
+            '⌛ This import preview has expired. Run `/settings import` again.',
+          embeds: [],
+          components: []
+        });
+        return;
+      }
+      if (pending.userId !== interaction.user.id) {
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          '❌ Only the admin who started this import can confirm it.'
+        );
+        return;
+      }
+
+      pendingImports.delete(token);
+
+      if (action === 'import-cancel') {
+        await interaction.update({
+          content: '🚫 Import cancelled, nothing was changed.',
+          embeds: [],
+          components: []
+        });
+        return;
+      }
+
+      const result = await guildSettingsService.setGuildSettings(
+        pending.guildId,
+        pending.plan.updates,
+        interaction.user.id,
+        `Import from ${pending.plan.source}`
+      );
+
+      const embed = new EmbedBuilder()
+        .setTitle('📥 Settings Imported')
+        .setColor(0x2ecc71)
+        .setDescription(
+          [
+            `Imported ${result.changes.length} setting(s) from **${pending.plan.source}**${result.version ? ` as **v${result.version}**` : ''}.`,
+            ...result.changes.map(describeSettingChange)
+          ]
+            .join('\n')
+            .slice(0, 4096)
+        )
+        .setTimestamp();
+      if (result.version) {
+        embed.setFooter({
+          text: `Undo this import with /settings rollback ${result.version - 1}`
+        });
+      }
+
+      await interaction.update({ embeds: [embed], components: [] });
+      logger.info(
+        `${interaction.user.tag} imported settings from ${pending.plan.source} into ${interaction.guild.name}`
+      );
+    } catch (error) {
+      await errorHandler.handleCommandError(error, context);
+    }
+  }
+};
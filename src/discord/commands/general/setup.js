@@ -0,0 +1,218 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+
+import guildSettingsService from '../../../services/guildSettings.js';
+import settingsRegistry from '../../../services/settingsRegistry.js';
+import setupSessionService from '../../../services/setupSessions.js';
+import logger from '../../../core/logger.js';
+import errorHandler from '../../../core/errorHandler.js';
+import CommandUtils from '../../../core/commandUtils.js';
+import { createSettingsStatusEmbed } from '../../../features/settings/settingsView.js';
+import {
+  getSetupSteps,
+  createSetupMessage,
+  createSetupModal,
+  parseSelection
+} from '../../../features/settings/setupWizard.js';
+
+/**
+ * Setup command - walks an admin through every guild setting
+ * Progress is stored after each click, so running /setup again resumes it
+ */
+export default {
+  data: new SlashCommandBuilder()
+    .setName('setup')
+    .setDescription('Walk through every server setting step by step')
+    .addBooleanOption(option =>
+      option
+        .setName('restart')
+        .setDescription(
+          'Discard an unfinished setup and start from the beginning'
+        )
+        .setRequired(false)
+    ),
+
+  adminOnly: true,
+  writesDatabase: true,
+
+  async execute(interaction, _client) {
+    const context = {
+      commandName: 'setup',
+      userId: interaction.user?.id,
+      guildId: interaction.guild?.id,
+      channelId: interaction.channel?.id,
+      interaction
+    };
+
+    try {
+      const guildId = interaction.guild.id;
+      const restart = interaction.options.getBoolean('restart') || false;
+
+      const existing = await setupSessionService.getSession(guildId);
+      const resumed = existing && !restart;
+      const session = resumed
+        ? { ...existing, userId: interaction.user.id }
+        : { userId: interaction.user.id, step: 0, draft: {} };
+      await setupSessionService.saveSession(guildId, session);
+
+      const settings = await guildSettingsService.getGuildSettings(guildId);
+      await interaction.reply({
+        content: resumed
+          ? `▶️ Resuming the setup started by <@${existing.userId}>.`
+          : undefined,
+        ...createSetupMessage(session, settings),
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] }
+      });
+
+      CommandUtils.logCommandExecution(
+        'setup',
+        interaction,
+        resumed ? `resumed at step ${session.step + 1}` : 'started'
+      );
+    } catch (error) {
+      await errorHandler.handleCommandError(error, context);
+    }
+  },
+
+  /**
+   * Handle the wizard's pickers, buttons and text input
+   * Custom IDs are "setup:<action>:<step>"; clicks on an older copy of the
+   * wizard just show the current step
+   */
+  async handleComponent(interaction, _client) {
+    const context = {
+      commandName: 'setup',
+      userId: interaction.user?.id,
+      guildId: interaction.guild?.id,
+      channelId: interaction.channel?.id,
+      interaction
+    };
+
+    try {
+      const [, action, stepText] = interaction.customId.split(':');
+      const guildId = interaction.guild.id;
+      const session = await setupSessionService.getSession(guildId);
+
+      if (!session) {
+        await interaction.update({
+          content:
+            '⌛ This setup is no longer running. Run `/setup` to start again.',
+          embeds: [],
+          components: []
+        });
+        return;
+      }
+      if (session.userId !== interaction.user.id) {
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          '❌ Another admin is running the setup. Run `/setup` to take it over.'
+        );
+        return;
+      }
+
+      const settings = await guildSettingsService.getGuildSettings(guildId);
+      if (Number(stepText) !== session.step) {
+        await interaction.update({
+          content:
+            '↪️ The setup moved on in another message. Here is the current step.',
+          ...createSetupMessage(session, settings)
+        });
+        return;
+      }
+
+      const definition = getSetupSteps()[session.step];
+
+      if (action === 'cancel') {
+        await setupSessionService.deleteSession(guildId);
+        await interaction.update({
+          content: '🚫 Setup cancelled, nothing was changed.',
+          embeds: [],
+          components: []
+        });
+        return;
+      }
+      if (action === 'save') {
+        await this.saveSetup(interaction, session);
+        return;
+      }
+      if (action === 'input') {
+        await interaction.showModal(createSetupModal(definition, session.step));
+        return;
+      }
+
+      if (action === 'back') {
+        session.step = Math.max(0, session.step - 1);
+      } else if (action === 'next') {
+        session.step += 1;
+      } else if (action === 'default') {
+        session.draft[definition.key] = null;
+      } else if (action === 'pick' || action === 'modal') {
+        let value;
+        try {
+          if (action === 'modal') {
+            value = settingsRegistry.parse(
+              definition.key,
+              interaction.fields.getTextInputValue('value')
+            );
+          } else {
+            value = parseSelection(definition, interaction.values);
+          }
+          settingsRegistry.validate(definition.key, value);
+        } catch (valueError) {
+          if (valueError.message.startsWith('Invalid')) {
+            await CommandUtils.sendErrorResponse(
+              interaction,
+              `❌ ${valueError.message}`
+            );
+            return;
+          }
+          throw valueError;
+        }
+
+        // Defaults are stored by removing the value
+        const isDefault =
+          JSON.stringify(value) === JSON.stringify(definition.default);
+        session.draft[definition.key] = isDefault ? null : value;
+      }
+
+      await setupSessionService.saveSession(guildId, session);
+      await interaction.update({
+        content: '',
+        ...createSetupMessage(session, settings)
+      });
+    } catch (error) {
+      await errorHandler.handleCommandError(error, context);
+    }
+  },
+
+  /**
+   * Apply everything picked as one settings version and show the result
+   */
+  async saveSetup(interaction, session) {
+    const guildId = interaction.guild.id;
+    const updates = Object.entries(session.draft)
+      .filter(([key]) => settingsRegistry.get(key))
+      .map(([key, value]) => ({ key, value }));
+
+    const result = await guildSettingsService.setGuildSettings(
+      guildId,
+      updates,
+      interaction.user.id,
+      'Setup wizard'
+    );
+    await setupSessionService.deleteSession(guildId);
+
+    const { embed } = await createSettingsStatusEmbed(interaction.guild);
+    await interaction.update({
+      content: result.version
+        ? `✅ Setup complete, ${result.changes.length} setting(s) saved as v${result.version}. Undo it with \`/settings rollback ${result.version - 1}\`.`
+        : '✅ Setup complete, nothing needed to change.',
+      embeds: [embed],
+      components: []
+    });
+
+    logger.info(
+      `${interaction.user.tag} finished setup of ${interaction.guild.name} (${result.changes.length} change(s))`
+    );
+  }
+};
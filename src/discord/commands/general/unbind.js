@@ -6,6 +6,7 @@ import {
 } from 'discord.js';
 
 import guildSettingsService from '../../../services/guildSettings.js';
+import settingsRegistry from '../../../services/settingsRegistry.js';
 import logger from '../../../core/logger.js';
 import CommandUtils from '../../../core/commandUtils.js';
 
@@ -22,20 +23,38 @@ export default {
         .setDescription('The resource to unbind')
         .setRequired(true)
         .addChoices(
-          { name: 'leaderboard', value: 'leaderboard' },
-          { name: 'stats', value: 'stats' },
-          { name: 'admin_role', value: 'admin_role' }
+          ...settingsRegistry
+            .list()
+            .map(setting => ({ name: setting.name, value: setting.name }))
         )
     )
+    .addChannelOption(option =>
+      option
+        .setName('channel')
+        .setDescription(
+          'Remove only this channel or category from a channel list (removes the whole list if omitted)'
+        )
+        .setRequired(false)
+    )
+    .addRoleOption(option =>
+      option
+        .setName('role')
+        .setDescription(
+          'Remove only this role from a role list (removes the whole list if omitted)'
+        )
+        .setRequired(false)
+    )
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
+  adminOnly: true,
+  writesDatabase: true,
+
   async execute(interaction, client) {
     try {
-      // Check guild permissions
-      const hasPermission = await CommandUtils.checkGuildPermissions(interaction);
-      if (!hasPermission) return;
-
       const resource = interaction.options.getString('resource');
+      const entry =
+        interaction.options.getChannel('channel') ||
+        interaction.options.getRole('role');
       const guildId = interaction.guild.id;
 
       const embed = new EmbedBuilder()
@@ -44,20 +63,12 @@ export default {
         .setTimestamp();
 
       try {
-        let settingKey = '';
-        let resourceName = '';
-
-        // Determine the setting key based on resource
-        if (resource === 'leaderboard') {
-          settingKey = 'leaderboard_channel_id';
-          resourceName = 'Leaderboard';
-        } else if (resource === 'stats') {
-          settingKey = 'stats_channel_id';
-          resourceName = 'Stats';
-        } else if (resource === 'admin_role') {
-          settingKey = 'admin_role_id';
-          resourceName = 'Admin Role';
+        const setting = settingsRegistry.findByName(resource);
+        if (!setting) {
+          throw new Error(`Invalid setting key: ${resource}`);
         }
+        const settingKey = setting.key;
+        const resourceName = setting.label;
 
         // Check if setting exists
         const currentValue = await guildSettingsService.getGuildSetting(
@@ -65,13 +76,45 @@ export default {
           settingKey
         );
 
-        if (!currentValue) {
+        // Settings still at their default have nothing to unbind
+        const isUnset =
+          currentValue === null ||
+          JSON.stringify(currentValue) === JSON.stringify(setting.default);
+        if (isUnset) {
           embed
             .setDescription(`❌ No binding found for \`${resource}\``)
             .setColor(0xff6b6b);
+        } else if (entry && setting.type === 'list') {
+          // Remove a single entry, keeping the rest of the list
+          if (!currentValue.includes(entry.id)) {
+            embed
+              .setDescription(`❌ ${entry} is not bound to \`${resource}\``)
+              .setColor(0xff6b6b);
+          } else {
+            const remaining = currentValue.filter(id => id !== entry.id);
+            await guildSettingsService.setGuildSetting(
+              guildId,
+              settingKey,
+              remaining,
+              interaction.user.id
+            );
+
+            embed
+              .setDescription(`✅ Removed ${entry} from \`${resource}\``)
+              .setColor(0x2ecc71)
+              .addFields({
+                name: 'Unbinding Details',
+                value: `**Resource:** \`${resource}\`\n**Type:** ${resourceName}\n**Remaining:** ${settingsRegistry.format(settingKey, remaining)}`,
+                inline: false
+              });
+          }
         } else {
           // Clear the setting
-          await guildSettingsService.clearGuildSetting(guildId, settingKey);
+          await guildSettingsService.clearGuildSetting(
+            guildId,
+            settingKey,
+            interaction.user.id
+          );
 
           embed
             .setDescription(`✅ Successfully unbound \`${resource}\``)
@@ -86,14 +129,24 @@ export default {
         if (!interaction.replied && !interaction.deferred) {
           await interaction.reply({ embeds: [embed] });
         }
-        CommandUtils.logCommandExecution('unbind', interaction, `Resource unbinding: ${resource}`);
+        CommandUtils.logCommandExecution(
+          'unbind',
+          interaction,
+          `Resource unbinding: ${resource}`
+        );
       } catch (error) {
         logger.error('Error removing resource binding:', error);
-        await CommandUtils.sendErrorResponse(interaction, '❌ There was an error while removing the binding.');
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          '❌ There was an error while removing the binding.'
+        );
       }
     } catch (error) {
       logger.error('Error in unbind command:', error);
-      await CommandUtils.sendErrorResponse(interaction, '❌ There was an error while processing the unbind command.');
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ There was an error while processing the unbind command.'
+      );
     }
   }
 };
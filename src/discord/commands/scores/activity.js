@@ -0,0 +1,195 @@
+import { SlashCommandBuilder, EmbedBuilder, ChannelType } from 'discord.js';
+
+import activityService from '../../../services/activity.js';
+import logger from '../../../core/logger.js';
+import CommandUtils from '../../../core/commandUtils.js';
+
+/**
+ * Build the embed describing a guild's activity rules
+ * @param {Object} rules - Activity rules
+ * @returns {EmbedBuilder} The rules embed
+ */
+function createRulesEmbed(rules) {
+  const excluded =
+    rules.excludedChannels.length > 0
+      ? rules.excludedChannels.map(id => `<#${id}>`).join(', ')
+      : 'None';
+
+  return new EmbedBuilder()
+    .setTitle('💬 Activity Points')
+    .setColor(rules.enabled ? 0x2ecc71 : 0x95a5a6)
+    .setDescription(
+      [
+        `**Status:** ${rules.enabled ? '✅ Enabled' : '⏸️ Disabled'}`,
+        `**Points per message:** ${rules.pointsPerMessage}`,
+        `**Cooldown:** ${rules.cooldownSeconds}s per member`,
+        `**Minimum length:** ${rules.minLength} characters`,
+        `**Excluded channels:** ${excluded}`,
+        '',
+        'Repeated messages within 10 minutes never earn points.'
+      ].join('\n')
+    )
+    .setTimestamp();
+}
+
+/**
+ * Activity command - configures how members earn points by chatting
+ */
+export default {
+  data: new SlashCommandBuilder()
+    .setName('activity')
+    .setDescription('Configure points earned through chat activity')
+    .addSubcommand(subcommand =>
+      subcommand.setName('show').setDescription('Show the activity rules')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('enable')
+        .setDescription('Start awarding points for chat activity')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('disable')
+        .setDescription('Stop awarding points for chat activity')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('rules')
+        .setDescription('Change how many points are earned and how often')
+        .addIntegerOption(option =>
+          option
+            .setName('points')
+            .setDescription('Points awarded per qualifying message')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(1000)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('cooldown')
+            .setDescription('Seconds a member must wait between awards')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(86400)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('min_length')
+            .setDescription('Minimum message length in characters')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(2000)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('exclude')
+        .setDescription('Stop a channel or category from earning points')
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('Channel or category to exclude')
+            .setRequired(true)
+            .addChannelTypes(
+              ChannelType.GuildText,
+              ChannelType.GuildAnnouncement,
+              ChannelType.GuildForum,
+              ChannelType.GuildCategory
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('include')
+        .setDescription('Let an excluded channel or category earn points again')
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('Channel or category to include')
+            .setRequired(true)
+        )
+    ),
+
+  adminOnly: true,
+  writesDatabase: ['enable', 'disable', 'rules', 'exclude', 'include'],
+
+  async execute(interaction, _client) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const guildId = interaction.guild.id;
+
+      try {
+        let rules;
+        if (subcommand === 'enable' || subcommand === 'disable') {
+          rules = await activityService.updateRules(
+            guildId,
+            { enabled: subcommand === 'enable' },
+            interaction.user.id
+          );
+        } else if (subcommand === 'rules') {
+          const changes = {};
+          const points = interaction.options.getInteger('points');
+          const cooldown = interaction.options.getInteger('cooldown');
+          const minLength = interaction.options.getInteger('min_length');
+          if (points !== null) changes.pointsPerMessage = points;
+          if (cooldown !== null) changes.cooldownSeconds = cooldown;
+          if (minLength !== null) changes.minLength = minLength;
+
+          if (Object.keys(changes).length > 0) {
+            rules = await activityService.updateRules(
+              guildId,
+              changes,
+              interaction.user.id
+            );
+          } else {
+            rules = await activityService.getRules(guildId);
+          }
+        } else if (subcommand === 'exclude') {
+          const channel = interaction.options.getChannel('channel');
+          rules = await activityService.excludeChannel(
+            guildId,
+            channel.id,
+            interaction.user.id
+          );
+        } else if (subcommand === 'include') {
+          const channel = interaction.options.getChannel('channel');
+          rules = await activityService.includeChannel(
+            guildId,
+            channel.id,
+            interaction.user.id
+          );
+        } else {
+          rules = await activityService.getRules(guildId);
+        }
+
+        await interaction.reply({ embeds: [createRulesEmbed(rules)] });
+        CommandUtils.logCommandExecution('activity', interaction, subcommand);
+      } catch (error) {
+        logger.medium(
+          'Error updating activity rules',
+          'activity-command',
+          error
+        );
+
+        let errorMessage =
+          '❌ There was an error while updating the activity rules.';
+        if (error.message.includes('Invalid')) {
+          errorMessage = `❌ ${error.message}`;
+        }
+
+        await CommandUtils.sendErrorResponse(interaction, errorMessage);
+      }
+    } catch (error) {
+      logger.critical(
+        'Critical error in activity command - command execution failed',
+        'activity-command',
+        error
+      );
+
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ There was a critical error while processing the activity command.'
+      );
+    }
+  }
+};
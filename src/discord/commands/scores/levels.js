@@ -0,0 +1,289 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+
+import levelService from '../../../services/levels.js';
+import levelProgression from '../../../features/levels/levelProgression.js';
+import logger from '../../../core/logger.js';
+import CommandUtils from '../../../core/commandUtils.js';
+
+/**
+ * Build the embed describing a guild's levelling setup
+ * @param {Guild} guild - Discord guild object
+ * @param {Object} settings - Level settings
+ * @returns {Promise<EmbedBuilder>} The levels embed
+ */
+async function createLevelsEmbed(guild, settings) {
+  const health = await levelService.getLadderHealth(guild.id, guild);
+  const thresholds = [1, 2, 3, 5, 10]
+    .map(
+      level =>
+        `Level ${level}: ${levelService.xpForLevel(level, settings)} points`
+    )
+    .join('\n');
+
+  const rungs = [
+    ...health.healthy.map(rung => ({ ...rung, text: `${rung.target}` })),
+    ...health.broken.map(rung => ({
+      ...rung,
+      text: `❌ ~~${rung.id}~~ (${rung.name})`
+    }))
+  ].sort((a, b) => a.level - b.level);
+
+  const embed = new EmbedBuilder()
+    .setTitle('📈 Levels')
+    .setColor(health.brokenCount > 0 ? 0xff6b6b : 0x3498db)
+    .addFields(
+      {
+        name: 'Settings',
+        value: [
+          `**Curve:** ${settings.curve} (base ${settings.baseXp} points)`,
+          `**Level-up announcements:** ${settings.announce ? 'On' : 'Off'}`,
+          `**Roles:** ${settings.stackRoles ? 'Keep every earned role' : 'Only the highest earned role'}`
+        ].join('\n'),
+        inline: false
+      },
+      { name: 'Thresholds', value: thresholds, inline: false },
+      {
+        name: 'Role Ladder',
+        value:
+          rungs.length > 0
+            ? rungs.map(rung => `Level ${rung.level}: ${rung.text}`).join('\n')
+            : 'No level roles configured',
+        inline: false
+      }
+    )
+    .setTimestamp();
+
+  if (health.brokenCount > 0) {
+    embed.addFields({
+      name: '⚠️ Action Required',
+      value:
+        'Some level roles were deleted. They are skipped until replaced with `/levels role-add` or removed with `/levels role-remove`.',
+      inline: false
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Levels command - configures the XP curve and the role ladder
+ */
+export default {
+  data: new SlashCommandBuilder()
+    .setName('levels')
+    .setDescription('Configure member levels and level roles')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('show')
+        .setDescription('Show the XP curve and role ladder')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('settings')
+        .setDescription('Change the XP curve and level-up behaviour')
+        .addStringOption(option =>
+          option
+            .setName('curve')
+            .setDescription('How quickly the points needed per level grow')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Linear', value: 'linear' },
+              { name: 'Quadratic', value: 'quadratic' },
+              { name: 'Exponential', value: 'exponential' }
+            )
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('base_xp')
+            .setDescription('Points needed for level 1')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(1000000)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('announce')
+            .setDescription('Announce level-ups in the stats channel')
+            .setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('stack_roles')
+            .setDescription(
+              'Keep lower level roles (otherwise only the highest is kept)'
+            )
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('role-add')
+        .setDescription('Grant a role when members reach a level')
+        .addIntegerOption(option =>
+          option
+            .setName('level')
+            .setDescription('Level that grants the role')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(1000)
+        )
+        .addRoleOption(option =>
+          option
+            .setName('role')
+            .setDescription('Role to grant')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('role-remove')
+        .setDescription('Stop granting a role at a level')
+        .addIntegerOption(option =>
+          option
+            .setName('level')
+            .setDescription('Level to clear')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(1000)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('sync')
+        .setDescription('Re-apply level roles to a member or everyone')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('Member to sync (leave empty for everyone)')
+            .setRequired(false)
+        )
+    ),
+
+  adminOnly: true,
+  writesDatabase: ['settings', 'role-add', 'role-remove', 'sync'],
+
+  async execute(interaction, _client) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      try {
+        if (subcommand === 'sync') {
+          await this.syncLevels(interaction);
+        } else {
+          await this.updateLevels(interaction, subcommand);
+        }
+        CommandUtils.logCommandExecution('levels', interaction, subcommand);
+      } catch (error) {
+        logger.medium('Error updating levels', 'levels-command', error);
+
+        let errorMessage = '❌ There was an error while updating the levels.';
+        if (error.message.includes('Invalid')) {
+          errorMessage = `❌ ${error.message}`;
+        }
+
+        await CommandUtils.sendErrorResponse(interaction, errorMessage);
+      }
+    } catch (error) {
+      logger.critical(
+        'Critical error in levels command - command execution failed',
+        'levels-command',
+        error
+      );
+
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ There was a critical error while processing the levels command.'
+      );
+    }
+  },
+
+  /**
+   * Apply a settings or ladder change and show the result
+   */
+  async updateLevels(interaction, subcommand) {
+    const guild = interaction.guild;
+    let settings = await levelService.getSettings(guild.id);
+    let reconcile = false;
+
+    if (subcommand === 'settings') {
+      const changes = {};
+      const curve = interaction.options.getString('curve');
+      const baseXp = interaction.options.getInteger('base_xp');
+      const announce = interaction.options.getBoolean('announce');
+      const stackRoles = interaction.options.getBoolean('stack_roles');
+      if (curve !== null) changes.curve = curve;
+      if (baseXp !== null) changes.baseXp = baseXp;
+      if (announce !== null) changes.announce = announce;
+      if (stackRoles !== null) changes.stackRoles = stackRoles;
+
+      if (Object.keys(changes).length > 0) {
+        settings = await levelService.updateSettings(
+          guild.id,
+          changes,
+          interaction.user.id
+        );
+        reconcile =
+          'curve' in changes || 'baseXp' in changes || 'stackRoles' in changes;
+      }
+    } else if (subcommand === 'role-add') {
+      const level = interaction.options.getInteger('level');
+      const role = interaction.options.getRole('role');
+      if (role.managed || role.id === guild.id) {
+        throw new Error(`Invalid role: ${role.name} cannot be assigned`);
+      }
+      await levelService.setLevelRole(guild.id, level, role.id);
+      reconcile = true;
+    } else if (subcommand === 'role-remove') {
+      const level = interaction.options.getInteger('level');
+      const roleId = await levelService.removeLevelRole(guild.id, level);
+      if (!roleId) {
+        throw new Error(`Invalid level: no role is set for level ${level}`);
+      }
+    }
+
+    const embed = await createLevelsEmbed(guild, settings);
+    await interaction.reply({ embeds: [embed] });
+
+    // Roles follow the new ladder in the background
+    if (reconcile) {
+      levelProgression
+        .reconcileGuild(guild, { force: true })
+        .catch(error =>
+          logger.medium(
+            `Failed to re-sync levels in ${guild.name}`,
+            'levels-command',
+            error
+          )
+        );
+    }
+  },
+
+  /**
+   * Re-apply level roles to one member or the whole guild
+   */
+  async syncLevels(interaction) {
+    const user = interaction.options.getUser('user');
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    if (user) {
+      const { level, added, removed } = await levelProgression.syncMember(
+        interaction.guild,
+        user.id
+      );
+      await interaction.editReply({
+        content:
+          `✅ ${user} is level ${level}. ` +
+          `Added ${added.length} and removed ${removed.length} role(s).`,
+        allowedMentions: { users: [] }
+      });
+      return;
+    }
+
+    const synced = await levelProgression.reconcileGuild(interaction.guild, {
+      force: true
+    });
+    await interaction.editReply({
+      content: `✅ Re-synced level roles for ${synced} member(s).`
+    });
+  }
+};
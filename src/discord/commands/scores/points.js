@@ -0,0 +1,356 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+
+import guildSettingsService from '../../../services/guildSettings.js';
+import scoreService from '../../../services/scores.js';
+import logger from '../../../core/logger.js';
+import CommandUtils from '../../../core/commandUtils.js';
+
+/**
+ * Add the options shared by every score-changing subcommand
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addChangeOptions(subcommand) {
+  return subcommand
+    .addStringOption(option =>
+      option
+        .setName('reason')
+        .setDescription('Why the score is being changed')
+        .setRequired(false)
+        .setMaxLength(200)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('announce')
+        .setDescription('Post a notice in the bound stats channel')
+        .setRequired(false)
+    );
+}
+
+/**
+ * Post a score change notice to the bound stats channel
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} notice - Notice text
+ * @returns {Promise<string>} Line describing where the notice went
+ */
+async function announceChange(interaction, notice) {
+  const binding = await guildSettingsService.getChannelBinding(
+    interaction.guild.id,
+    'stats'
+  );
+
+  if (binding.allowed.length === 0) {
+    return '⚠️ No stats channel is bound, so no notice was posted.';
+  }
+
+  const statsChannel = await guildSettingsService.resolveBoundChannel(
+    interaction.guild,
+    'stats',
+    interaction.channel
+  );
+  if (!statsChannel) {
+    return '⚠️ None of the bound stats channels exist any more, so no notice was posted.';
+  }
+
+  try {
+    await statsChannel.send({
+      content: notice,
+      allowedMentions: { users: [] }
+    });
+    return `📣 Notice posted in ${statsChannel}.`;
+  } catch (error) {
+    logger.warn(
+      `Failed to post score notice in ${statsChannel.name}: ${error.message}`
+    );
+    return `⚠️ Could not post a notice in ${statsChannel}.`;
+  }
+}
+
+/**
+ * Format a signed point delta
+ * @param {number} delta - Point change
+ * @returns {string} Delta with an explicit sign
+ */
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+/**
+ * Points command - lets admins award, deduct, set, reset and audit member scores
+ */
+export default {
+  data: new SlashCommandBuilder()
+    .setName('points')
+    .setDescription('Manage member points')
+    .addSubcommand(subcommand =>
+      addChangeOptions(
+        subcommand
+          .setName('give')
+          .setDescription('Award points to a member')
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription('Member to award points to')
+              .setRequired(true)
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('amount')
+              .setDescription('Number of points to award')
+              .setRequired(true)
+              .setMinValue(1)
+          )
+      )
+    )
+    .addSubcommand(subcommand =>
+      addChangeOptions(
+        subcommand
+          .setName('take')
+          .setDescription('Deduct points from a member')
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription('Member to deduct points from')
+              .setRequired(true)
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('amount')
+              .setDescription('Number of points to deduct')
+              .setRequired(true)
+              .setMinValue(1)
+          )
+      )
+    )
+    .addSubcommand(subcommand =>
+      addChangeOptions(
+        subcommand
+          .setName('set')
+          .setDescription('Set the points of a member to an exact value')
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription('Member whose points to set')
+              .setRequired(true)
+          )
+          .addIntegerOption(option =>
+            option
+              .setName('amount')
+              .setDescription('The new total of the member')
+              .setRequired(true)
+          )
+      )
+    )
+    .addSubcommand(subcommand =>
+      addChangeOptions(
+        subcommand
+          .setName('reset')
+          .setDescription(
+            'Reset the points of a member, or of everyone if no member is given'
+          )
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription(
+                'Member to reset (leave empty to reset the whole server)'
+              )
+              .setRequired(false)
+          )
+      )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('history')
+        .setDescription('Show the recent point changes of a member')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('Member whose history to show')
+            .setRequired(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('limit')
+            .setDescription('Number of entries to show (default: 10)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(25)
+        )
+    ),
+
+  adminOnly: true,
+  writesDatabase: ['give', 'take', 'set', 'reset'],
+
+  async execute(interaction, _client) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      try {
+        if (subcommand === 'history') {
+          await this.showHistory(interaction);
+        } else {
+          await this.changeScore(interaction, subcommand);
+        }
+      } catch (error) {
+        logger.high(
+          'Error changing member points - affects scoring',
+          'points-command',
+          error
+        );
+
+        let errorMessage = '❌ There was an error while updating points.';
+        if (error.message.includes('Invalid')) {
+          errorMessage = `❌ ${error.message}`;
+        }
+
+        await CommandUtils.sendErrorResponse(interaction, errorMessage);
+      }
+    } catch (error) {
+      logger.critical(
+        'Critical error in points command - command execution failed',
+        'points-command',
+        error
+      );
+
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ There was a critical error while processing the points command.'
+      );
+    }
+  },
+
+  /**
+   * Apply a give/take/set/reset subcommand
+   */
+  async changeScore(interaction, subcommand) {
+    const guildId = interaction.guild.id;
+    const user = interaction.options.getUser('user');
+    const amount = interaction.options.getInteger('amount');
+    const reason = interaction.options.getString('reason');
+    const announce = interaction.options.getBoolean('announce') ?? false;
+    const ledgerOptions = { awardedBy: interaction.user.id, reason };
+
+    const embed = new EmbedBuilder()
+      .setTitle('🎯 Points Updated')
+      .setColor(0x2ecc71)
+      .setTimestamp();
+
+    let notice = '';
+
+    if (subcommand === 'reset' && !user) {
+      const resetCount = await scoreService.resetGuild(guildId, ledgerOptions);
+      embed.setDescription(
+        `✅ Reset the points of **${resetCount}** member(s) to 0.`
+      );
+      notice = `🔄 All points on the server have been reset by ${interaction.user}.`;
+    } else {
+      let result;
+      if (subcommand === 'give') {
+        result = await scoreService.awardPoints(
+          guildId,
+          user.id,
+          amount,
+          ledgerOptions
+        );
+      } else if (subcommand === 'take') {
+        result = await scoreService.deductPoints(
+          guildId,
+          user.id,
+          amount,
+          ledgerOptions
+        );
+      } else if (subcommand === 'set') {
+        result = await scoreService.setScore(
+          guildId,
+          user.id,
+          amount,
+          ledgerOptions
+        );
+      } else {
+        result = await scoreService.resetScore(guildId, user.id, ledgerOptions);
+      }
+
+      if (!result.event) {
+        embed
+          .setColor(0xf1c40f)
+          .setDescription(`ℹ️ ${user} already has **${result.total}** points.`);
+        await interaction.reply({ embeds: [embed] });
+        return;
+      }
+
+      const delta = formatDelta(result.event.delta);
+      embed
+        .setDescription(`✅ ${user} now has **${result.total}** points.`)
+        .addFields({
+          name: 'Change Details',
+          value: `**Change:** ${delta}\n**Reason:** ${reason || 'No reason given'}\n**By:** ${interaction.user}`,
+          inline: false
+        });
+      notice = `🎯 ${user} ${delta} points (now ${result.total})${reason ? ` - ${reason}` : ''}`;
+    }
+
+    if (announce) {
+      embed.addFields({
+        name: 'Announcement',
+        value: await announceChange(interaction, notice),
+        inline: false
+      });
+    }
+
+    await interaction.reply({ embeds: [embed] });
+    CommandUtils.logCommandExecution(
+      'points',
+      interaction,
+      `${subcommand}${user ? ` ${user.id}` : ' all'}${amount !== null ? ` ${amount}` : ''}`
+    );
+  },
+
+  /**
+   * Show the recent ledger entries of a member
+   */
+  async showHistory(interaction) {
+    const user = interaction.options.getUser('user');
+    const limit = interaction.options.getInteger('limit') ?? 10;
+
+    const [events, total] = await Promise.all([
+      scoreService.getEvents(interaction.guild.id, user.id, { limit }),
+      scoreService.getScore(interaction.guild.id, user.id)
+    ]);
+
+    const embed = new EmbedBuilder()
+      .setTitle('📜 Points History')
+      .setDescription(`${user} currently has **${total}** points.`)
+      .setColor(0x3498db)
+      .setTimestamp();
+
+    if (events.length === 0) {
+      embed.addFields({
+        name: 'Recent Changes',
+        value: 'No point changes recorded yet.',
+        inline: false
+      });
+    } else {
+      const lines = events.map(event => {
+        const awardedBy = event.awarded_by ? ` by <@${event.awarded_by}>` : '';
+        const reason = event.reason ? ` - ${event.reason}` : '';
+        return `\`#${event.id}\` **${formatDelta(event.delta)}** (${event.source}${awardedBy})${reason} • ${event.created_at} UTC`;
+      });
+
+      embed.addFields({
+        name: 'Recent Changes',
+        value: lines.join('\n').slice(0, 1024),
+        inline: false
+      });
+    }
+
+    await interaction.reply({
+      embeds: [embed],
+      allowedMentions: { users: [] }
+    });
+    CommandUtils.logCommandExecution(
+      'points',
+      interaction,
+      `history ${user.id}`
+    );
+  }
+};
@@ -0,0 +1,12 @@
+import rankCommand, { buildRankCommandData } from './rank.js';
+
+/**
+ * Profile command - alias of /rank
+ */
+export default {
+  ...rankCommand,
+  data: buildRankCommandData(
+    'profile',
+    'Shows the points, level and recent activity of a member'
+  )
+};
@@ -0,0 +1,118 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+
+import guildSettingsService from '../../../services/guildSettings.js';
+import logger from '../../../core/logger.js';
+import errorHandler from '../../../core/errorHandler.js';
+import CommandUtils from '../../../core/commandUtils.js';
+import { buildProfileMessage } from '../../../features/profile/profileView.js';
+
+/**
+ * Build the options shared by /rank and /profile
+ * @param {string} name - Command name
+ * @param {string} description - Command description
+ * @returns {SlashCommandBuilder} The command data
+ */
+export function buildRankCommandData(name, description) {
+  return new SlashCommandBuilder()
+    .setName(name)
+    .setDescription(description)
+    .addUserOption(option =>
+      option
+        .setName('user')
+        .setDescription('Member to look up (defaults to you)')
+        .setRequired(false)
+    );
+}
+
+/**
+ * Rank command - shows a member's points, position, level and recent activity
+ * Follows the stats channel binding: used elsewhere, the card is published in
+ * the bound stats channel instead
+ */
+export default {
+  data: buildRankCommandData(
+    'rank',
+    'Shows the points, position and level of a member'
+  ),
+
+  async execute(interaction, _client) {
+    const context = {
+      commandName: interaction.commandName,
+      userId: interaction.user?.id,
+      guildId: interaction.guild?.id,
+      channelId: interaction.channel?.id,
+      interaction
+    };
+
+    try {
+      if (!interaction.guild) {
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          '❌ This command can only be used in a server.'
+        );
+        return;
+      }
+
+      const user = interaction.options.getUser('user') || interaction.user;
+      if (user.bot) {
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          '❌ Bots do not collect points.'
+        );
+        return;
+      }
+
+      const profileMessage = await buildProfileMessage(interaction.guild, user);
+
+      const allowedHere = await guildSettingsService.canUseCommand(
+        interaction.guild.id,
+        interaction.commandName,
+        interaction.channelId,
+        CommandUtils.getChannelParentIds(interaction.channel)
+      );
+
+      if (allowedHere) {
+        await interaction.reply(profileMessage);
+      } else {
+        await this.redirectToStatsChannel(interaction, profileMessage);
+      }
+
+      CommandUtils.logCommandExecution(
+        interaction.commandName,
+        interaction,
+        `profile of ${user.id}`
+      );
+    } catch (error) {
+      await errorHandler.handleCommandError(error, context);
+    }
+  },
+
+  /**
+   * Publish the profile in a bound stats channel and tell the user where it went
+   */
+  async redirectToStatsChannel(interaction, profileMessage) {
+    const statsChannel = await guildSettingsService.resolveBoundChannel(
+      interaction.guild,
+      'stats',
+      interaction.channel
+    );
+
+    if (!statsChannel) {
+      logger.warn(
+        `No usable stats channel found in guild ${interaction.guild.name}`
+      );
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ None of the bound stats channels exist any more. Please contact an administrator.'
+      );
+      return;
+    }
+
+    await statsChannel.send(profileMessage);
+    await interaction.reply({
+      content: `⚠️ Stats are not allowed in this channel. The profile has been published in the stats channel ${statsChannel}.`,
+      flags: MessageFlags.Ephemeral
+    });
+    logger.info(`Profile redirected to bound channel: ${statsChannel.name}`);
+  }
+};
@@ -0,0 +1,146 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+
+import seasonService from '../../../services/seasons.js';
+import logger from '../../../core/logger.js';
+import CommandUtils from '../../../core/commandUtils.js';
+
+/**
+ * Season command - lets admins define named scoring seasons for /leaderboard
+ */
+export default {
+  data: new SlashCommandBuilder()
+    .setName('season')
+    .setDescription('Manage scoring seasons')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('create')
+        .setDescription('Define a new season')
+        .addStringOption(option =>
+          option
+            .setName('name')
+            .setDescription('Season name')
+            .setRequired(true)
+            .setMaxLength(50)
+        )
+        .addStringOption(option =>
+          option
+            .setName('start')
+            .setDescription('First day of the season (YYYY-MM-DD, UTC)')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('end')
+            .setDescription('Last day of the season (YYYY-MM-DD, UTC)')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('delete')
+        .setDescription('Delete a season (scores are kept)')
+        .addStringOption(option =>
+          option.setName('name').setDescription('Season name').setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('list').setDescription('List all seasons')
+    ),
+
+  // Anyone may list seasons, changing them requires admin access
+  adminOnly: ['create', 'delete'],
+  writesDatabase: ['create', 'delete'],
+
+  async execute(interaction, _client) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (!interaction.guild) {
+        await CommandUtils.sendErrorResponse(
+          interaction,
+          '❌ This command can only be used in a server.'
+        );
+        return;
+      }
+
+      const guildId = interaction.guild.id;
+      const embed = new EmbedBuilder()
+        .setTitle('📅 Seasons')
+        .setColor(0x3498db)
+        .setTimestamp();
+
+      try {
+        if (subcommand === 'create') {
+          const name = interaction.options.getString('name');
+          const season = await seasonService.createSeason(
+            guildId,
+            name,
+            interaction.options.getString('start'),
+            interaction.options.getString('end'),
+            interaction.user.id
+          );
+
+          embed
+            .setColor(0x2ecc71)
+            .setDescription(`✅ Created season \`${season.name}\``)
+            .addFields({
+              name: 'Season Details',
+              value: `**Start:** ${season.start_date}\n**End:** ${season.end_date}\n\nUse \`/leaderboard period:Season season:${season.name}\` to rank it.`,
+              inline: false
+            });
+        } else if (subcommand === 'delete') {
+          const name = interaction.options.getString('name');
+          const deleted = await seasonService.deleteSeason(guildId, name);
+
+          embed
+            .setColor(deleted ? 0x2ecc71 : 0xff6b6b)
+            .setDescription(
+              deleted
+                ? `✅ Deleted season \`${name}\``
+                : `❌ No season named \`${name}\` exists`
+            );
+        } else {
+          const seasons = await seasonService.listSeasons(guildId);
+          const active = await seasonService.getActiveSeason(guildId);
+
+          const lines = seasons.map(
+            season =>
+              `${active && active.id === season.id ? '🟢' : '⚪'} **${season.name}** - ${season.start_date} to ${season.end_date}`
+          );
+
+          embed.setDescription(
+            lines.length > 0
+              ? lines.join('\n').slice(0, 4096)
+              : 'No seasons have been defined yet. Admins can create one with `/season create`.'
+          );
+        }
+
+        await interaction.reply({ embeds: [embed] });
+        CommandUtils.logCommandExecution('season', interaction, subcommand);
+      } catch (error) {
+        logger.medium('Error managing seasons', 'season-command', error);
+
+        let errorMessage = '❌ There was an error while managing seasons.';
+        if (
+          error.message.includes('Invalid') ||
+          error.message.includes('already exists')
+        ) {
+          errorMessage = `❌ ${error.message}`;
+        }
+
+        await CommandUtils.sendErrorResponse(interaction, errorMessage);
+      }
+    } catch (error) {
+      logger.critical(
+        'Critical error in season command - command execution failed',
+        'season-command',
+        error
+      );
+
+      await CommandUtils.sendErrorResponse(
+        interaction,
+        '❌ There was a critical error while processing the season command.'
+      );
+    }
+  }
+};
@@ -0,0 +1,25 @@
+import logger from '../../core/logger.js';
+import guildCleanup from '../../features/settings/guildCleanup.js';
+
+/**
+ * Channel delete event handler
+ * Fired when a channel or category is deleted
+ * Removes the channel from settings and permission rules and tells the admins
+ */
+export default {
+  name: 'channelDelete',
+  async execute(channel, _client) {
+    // DM channels have no settings
+    if (!channel.guild) return;
+
+    try {
+      await guildCleanup.handleChannelDelete(channel);
+    } catch (error) {
+      logger.medium(
+        `Failed to clean up after deleted channel ${channel.id} in ${channel.guild.name}`,
+        'channelDelete',
+        error
+      );
+    }
+  }
+};
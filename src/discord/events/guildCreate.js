@@ -0,0 +1,48 @@
+import logger from '../../core/logger.js';
+import guildSettingsService from '../../services/guildSettings.js';
+import notificationService from '../../services/notifications.js';
+import guildCleanup from '../../features/settings/guildCleanup.js';
+import directorySync from '../../features/directory/directorySync.js';
+
+/**
+ * Guild create event handler
+ * Fired when the bot joins a guild
+ * Stores the guild, keeps the data of guilds that add the bot back during the
+ * grace period and invites the owner of a new guild to run /setup
+ */
+export default {
+  name: 'guildCreate',
+  async execute(guild, _client) {
+    logger.info(`Joined guild: ${guild.name} (${guild.id})`);
+
+    try {
+      await guildCleanup.handleGuildCreate(guild);
+    } catch (error) {
+      logger.high(
+        `Failed to cancel data deletion of guild ${guild.id}`,
+        'guildCreate',
+        error
+      );
+    }
+
+    try {
+      await directorySync.handleGuildSave(guild);
+    } catch (error) {
+      logger.medium(`Failed to store guild ${guild.id}`, 'guildCreate', error);
+    }
+
+    // Guilds that kept their settings are already set up
+    try {
+      const settings = await guildSettingsService.getGuildSettings(guild.id);
+      if (!settings) {
+        await notificationService.notifyAdmins(guild, 'setup-welcome');
+      }
+    } catch (error) {
+      logger.medium(
+        `Failed to send setup welcome for guild ${guild.id}`,
+        'guildCreate',
+        error
+      );
+    }
+  }
+};
@@ -0,0 +1,34 @@
+import logger from '../../core/logger.js';
+import guildCleanup from '../../features/settings/guildCleanup.js';
+import directorySync from '../../features/directory/directorySync.js';
+
+/**
+ * Guild delete event handler
+ * Fired when the bot is kicked, the guild is deleted or it becomes unavailable
+ * Marks the guild as left and schedules its data for deletion after the
+ * grace period
+ */
+export default {
+  name: 'guildDelete',
+  async execute(guild, _client) {
+    try {
+      await directorySync.handleGuildDelete(guild);
+    } catch (error) {
+      logger.medium(
+        `Failed to mark guild ${guild.id} as left`,
+        'guildDelete',
+        error
+      );
+    }
+
+    try {
+      await guildCleanup.handleGuildDelete(guild);
+    } catch (error) {
+      logger.high(
+        `Failed to schedule data deletion of guild ${guild.id}`,
+        'guildDelete',
+        error
+      );
+    }
+  }
+};
@@ -0,0 +1,24 @@
+import logger from '../../core/logger.js';
+import directorySync from '../../features/directory/directorySync.js';
+
+/**
+ * Guild update event handler
+ * Fired when a guild's name, icon or other details change
+ * Keeps the stored guild name current
+ */
+export default {
+  name: 'guildUpdate',
+  async execute(oldGuild, newGuild, _client) {
+    if (oldGuild.name === newGuild.name) return;
+
+    try {
+      await directorySync.handleGuildSave(newGuild);
+    } catch (error) {
+      logger.medium(
+        `Failed to store the new name of guild ${newGuild.id}`,
+        'guildUpdate',
+        error
+      );
+    }
+  }
+};
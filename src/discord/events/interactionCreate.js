@@ -1,17 +1,100 @@
 import { MessageFlags } from 'discord.js';
 
 import logger from '../../core/logger.js';
+import CommandUtils from '../../core/commandUtils.js';
+import directorySync from '../../features/directory/directorySync.js';
+
+/**
+ * Route a message component interaction (button, select menu) or modal
+ * submission to its command
+ * Component and modal custom IDs are prefixed with the name of the command
+ * that owns them, e.g. "leaderboard:next:2:weekly:-"
+ * @param {Object} interaction - Discord component or modal interaction
+ * @param {Client} client - Discord client instance
+ */
+async function handleComponentInteraction(interaction, client) {
+  const commandName = interaction.customId.split(':')[0];
+  const command = client.commands.get(commandName);
+
+  if (!command || !command.handleComponent) {
+    logger.warn(
+      `No component handler matching ${interaction.customId} was found.`
+    );
+    return;
+  }
+
+  try {
+    // A click can come long after the message was posted, and rules or roles
+    // may have changed since, so access is checked again before handling it
+    const hasAccess = await CommandUtils.checkCommandAccess(
+      interaction,
+      command
+    );
+    if (!hasAccess) return;
+
+    const canWrite = await CommandUtils.checkDatabaseWritable(
+      interaction,
+      command
+    );
+    if (!canWrite) return;
+
+    await command.handleComponent(interaction, client);
+  } catch (error) {
+    logger.critical(
+      `Critical error handling component ${interaction.customId} - component system failure`,
+      'interaction-handler',
+      error
+    );
+
+    try {
+      const errorMessage = {
+        content: 'There was a critical error while handling this interaction!',
+        flags: MessageFlags.Ephemeral
+      };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(errorMessage);
+      } else {
+        await interaction.reply(errorMessage);
+      }
+    } catch (replyError) {
+      logger.critical(
+        'Failed to send error response to user - interaction system may be broken',
+        'interaction-handler',
+        replyError
+      );
+    }
+  }
+}
 
 /**
  * Interaction create event handler
- * Handles slash command interactions
- * Fired when someone uses a slash comand
+ * Handles slash command, autocomplete and message component interactions
+ * Fired when someone uses a slash comand or clicks a bot component
  * Executes the command with error handling
  */
 export default {
   name: 'interactionCreate',
   async execute(interaction, client) {
-    // Only handle slash commands
+    // Buttons, select menus and modals are routed to the command that created them
+    if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+      await handleComponentInteraction(interaction, client);
+      return;
+    }
+
+    // Option suggestions are answered by the command being typed
+    if (interaction.isAutocomplete()) {
+      const command = client.commands.get(interaction.commandName);
+      try {
+        await command?.autocomplete?.(interaction, client);
+      } catch (error) {
+        logger.warn(
+          `Autocomplete for /${interaction.commandName} failed: ${error.message}`
+        );
+      }
+      return;
+    }
+
+    // Otherwise only handle slash commands
     if (!interaction.isChatInputCommand()) return;
 
     const command = client.commands.get(interaction.commandName);
@@ -26,6 +109,22 @@ export default {
         `${interaction.user.tag} used /${interaction.commandName} in ${interaction.guild?.name || 'DM'}`
       );
 
+      // Not awaited, storing the user must not delay the reply
+      directorySync.recordUser(interaction.user);
+
+      // Per-command permission rules and admin-only defaults
+      const hasAccess = await CommandUtils.checkCommandAccess(
+        interaction,
+        command
+      );
+      if (!hasAccess) return;
+
+      const canWrite = await CommandUtils.checkDatabaseWritable(
+        interaction,
+        command
+      );
+      if (!canWrite) return;
+
       await command.execute(interaction, client);
     } catch (error) {
       logger.critical(
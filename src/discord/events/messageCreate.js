@@ -0,0 +1,45 @@
+import logger from '../../core/logger.js';
+import activityService from '../../services/activity.js';
+import database from '../../services/database.js';
+import CommandUtils from '../../core/commandUtils.js';
+
+/**
+ * Message create event handler
+ * Fired for every message the bot can see
+ * Awards activity points to members according to the guild's activity rules
+ */
+export default {
+  name: 'messageCreate',
+  async execute(message, _client) {
+    // Only members chatting in servers can earn points
+    if (!message.guild || message.author.bot || message.webhookId) return;
+
+    // Awarding points writes to the database
+    if (database.getConnectionInfo().mode === 'read-only') return;
+
+    try {
+      // Threads inherit the opt-out of their channel and category
+      const parentIds = CommandUtils.getChannelParentIds(message.channel);
+
+      const result = await activityService.handleMessage({
+        guildId: message.guild.id,
+        userId: message.author.id,
+        channelId: message.channel.id,
+        parentIds,
+        content: message.content
+      });
+
+      if (result.awarded) {
+        logger.debug(
+          `Activity points awarded to ${message.author.tag} in ${message.guild.name} (total ${result.total})`
+        );
+      }
+    } catch (error) {
+      logger.medium(
+        'Failed to process message activity - points not awarded',
+        'message-activity',
+        error
+      );
+    }
+  }
+};
@@ -1,5 +1,11 @@
 import logger from '../../core/logger.js';
+import database from '../../services/database.js';
 import guildSettings from '../../services/guildSettings.js';
+import notificationService from '../../services/notifications.js';
+import leaderboardPublisher from '../../features/leaderboard/leaderboardPublisher.js';
+import levelProgression from '../../features/levels/levelProgression.js';
+import guildCleanup from '../../features/settings/guildCleanup.js';
+import directorySync from '../../features/directory/directorySync.js';
 
 /**
  * Check and notify about missing leaderboard channel bindings
@@ -8,60 +14,26 @@ import guildSettings from '../../services/guildSettings.js';
 async function checkLeaderboardBindings(client) {
   try {
     logger.info('Checking leaderboard channel bindings for all guilds...');
-    
+
     for (const [guildId, guild] of client.guilds.cache) {
       try {
         const settings = await guildSettings.getGuildSettings(guildId);
-        
+
         // Check if leaderboard channel is not bound
-        if (!settings || !settings.leaderboard_channel_id) {
-          logger.info(`Leaderboard channel not bound for guild: ${guild.name} (${guildId})`);
-          
-          // Check if admin role is set
-          if (settings && settings.admin_role_id) {
-            // Send DM to admin role members
-            const adminRole = guild.roles.cache.get(settings.admin_role_id);
-            if (adminRole) {
-              const adminMembers = adminRole.members;
-              logger.info(`Notifying ${adminMembers.size} admin role members in ${guild.name}`);
-              
-              for (const [memberId, member] of adminMembers) {
-                try {
-                  await member.send(
-                    `🔔 **Configuration Notice**\n\n` +
-                    `The leaderboard channel is not set up for **${guild.name}**.\n\n` +
-                    `To set up the leaderboard channel, use the \`/bind\` command in your server.\n\n` +
-                    `This will ensure the leaderboard command works properly in your server.`
-                  );
-                  logger.debug(`Sent leaderboard notification to admin: ${member.user.tag}`);
-                } catch (dmError) {
-                  logger.warn(`Failed to send DM to admin ${member.user.tag}: ${dmError.message}`);
-                }
-              }
-            } else {
-              logger.warn(`Admin role ${settings.admin_role_id} not found in guild ${guild.name}`);
-            }
-          } else {
-            // Send DM to server owner
-            try {
-              const owner = await guild.fetchOwner();
-              await owner.send(
-                `🔔 **Configuration Notice**\n\n` +
-                `The leaderboard channel is not set up for **${guild.name}**.\n\n` +
-                `To set up the leaderboard channel, use the \`/bind\` command in your server.\n\n` +
-                `This will ensure the leaderboard command works properly in your server.`
-              );
-              logger.info(`Sent leaderboard notification to server owner: ${owner.user.tag}`);
-            } catch (ownerError) {
-              logger.warn(`Failed to send DM to server owner: ${ownerError.message}`);
-            }
-          }
+        if (!settings || settings.leaderboard_channels.length === 0) {
+          logger.info(
+            `Leaderboard channel not bound for guild: ${guild.name} (${guildId})`
+          );
+
+          await notificationService.notifyAdmins(guild, 'leaderboard-unbound');
         }
       } catch (guildError) {
-        logger.warn(`Failed to check leaderboard binding for guild ${guild.name}: ${guildError.message}`);
+        logger.warn(
+          `Failed to check leaderboard binding for guild ${guild.name}: ${guildError.message}`
+        );
       }
     }
-    
+
     logger.info('Finished checking leaderboard channel bindings');
   } catch (error) {
     logger.error('Failed to check leaderboard bindings:', error);
@@ -90,6 +62,42 @@ export default {
       logger.error('Failed to register commands on ready:', error);
     }
 
+    // Everything below writes to the database
+    if (database.getConnectionInfo().mode === 'read-only') {
+      logger.warn(
+        'Database is read-only: leaderboard updates, level roles, guild cleanup, guild and user sync and admin notices are not started'
+      );
+      return;
+    }
+
+    // Start keeping auto-updating leaderboard messages up to date
+    try {
+      await leaderboardPublisher.initialize(client);
+    } catch (error) {
+      logger.error('Failed to start leaderboard publisher on ready:', error);
+    }
+
+    // Follow score changes for levels and catch up on changes missed while offline
+    try {
+      await levelProgression.initialize(client);
+    } catch (error) {
+      logger.error('Failed to start level progression on ready:', error);
+    }
+
+    // Keep the data of current guilds and delete guilds past their grace period
+    try {
+      await guildCleanup.initialize(client);
+    } catch (error) {
+      logger.error('Failed to start guild cleanup on ready:', error);
+    }
+
+    // Store the guilds the bot is in and start storing users
+    try {
+      await directorySync.initialize(client);
+    } catch (error) {
+      logger.error('Failed to start directory sync on ready:', error);
+    }
+
     // Check leaderboard channel bindings and notify if needed
     try {
       await checkLeaderboardBindings(client);
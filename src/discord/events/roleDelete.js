@@ -0,0 +1,23 @@
+import logger from '../../core/logger.js';
+import guildCleanup from '../../features/settings/guildCleanup.js';
+
+/**
+ * Role delete event handler
+ * Fired when a role is deleted
+ * Removes the role from settings and permission rules, flags level roles and
+ * tells the admins
+ */
+export default {
+  name: 'roleDelete',
+  async execute(role, _client) {
+    try {
+      await guildCleanup.handleRoleDelete(role);
+    } catch (error) {
+      logger.medium(
+        `Failed to clean up after deleted role ${role.id} in ${role.guild.name}`,
+        'roleDelete',
+        error
+      );
+    }
+  }
+};
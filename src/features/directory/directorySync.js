@@ -0,0 +1,139 @@
+import database from '../../services/database.js';
+import scoreService from '../../services/scores.js';
+import guildRepository from '../../data/repositories/guildRepository.js';
+import userRepository from '../../data/repositories/userRepository.js';
+import logger from '../../core/logger.js';
+
+/**
+ * Keeps the users and guilds tables in line with Discord
+ * Guilds are synced on startup and when they are joined, renamed or left.
+ * Users are stored when they run a command or their points change, so
+ * score_events and scores rows have a user row to join against
+ */
+class DirectorySync {
+  constructor() {
+    this.client = null;
+    this.knownUsers = new Map(); // userId -> username last stored
+    this.maxKnownUsers = 10000; // Forget them all past this, a few extra upserts are harmless
+  }
+
+  /**
+   * Sync every guild and start following score changes
+   * @param {Client} client - Discord client instance
+   */
+  async initialize(client) {
+    this.client = client;
+
+    scoreService.on('scoreChanged', ({ userId }) => {
+      this.recordUserById(userId);
+    });
+
+    await this.syncGuilds(client);
+
+    logger.info('Directory sync initialized');
+  }
+
+  /**
+   * Store every guild the bot is in and mark the ones it left while offline
+   * @param {Client} client - Discord client instance
+   */
+  async syncGuilds(client) {
+    try {
+      const left = await database.transaction(() => this.storeGuilds(client));
+
+      logger.info(
+        `Synced ${client.guilds.cache.size} guild(s)${left > 0 ? `, ${left} left while offline` : ''}`
+      );
+    } catch (error) {
+      logger.medium('Failed to sync guilds', 'directory-sync', error);
+    }
+  }
+
+  /**
+   * Write the guild rows for syncGuilds(), inside its transaction
+   * @private
+   * @param {Client} client - Discord client instance
+   * @returns {Promise<number>} Number of guilds marked as left
+   */
+  async storeGuilds(client) {
+    for (const guild of client.guilds.cache.values()) {
+      await guildRepository.save(guild.id, guild.name);
+    }
+
+    const gone = (await guildRepository.findCurrent()).filter(
+      row => !client.guilds.cache.has(row.discord_id)
+    );
+    for (const row of gone) {
+      await guildRepository.markLeft(row.discord_id);
+    }
+    return gone.length;
+  }
+
+  /**
+   * Store a guild the bot joined or was renamed
+   * @param {Guild} guild - Discord guild object
+   */
+  async handleGuildSave(guild) {
+    await guildRepository.save(guild.id, guild.name);
+  }
+
+  /**
+   * Mark a guild as left
+   * Guilds that only became unavailable (a Discord outage) are left alone
+   * @param {Guild} guild - Discord guild object
+   */
+  async handleGuildDelete(guild) {
+    if (!guild.available) {
+      return;
+    }
+    await guildRepository.markLeft(guild.id);
+  }
+
+  /**
+   * Store a user, skipping the write when the username is already stored
+   * Never throws, so it can run alongside a command without delaying it.
+   * Does nothing until initialize() ran (never on a read-only database)
+   * @param {User} user - Discord user object
+   */
+  async recordUser(user) {
+    if (
+      !this.client ||
+      user.bot ||
+      this.knownUsers.get(user.id) === user.username
+    ) {
+      return;
+    }
+
+    try {
+      await userRepository.save(user.id, user.username);
+
+      if (this.knownUsers.size >= this.maxKnownUsers) {
+        this.knownUsers.clear();
+      }
+      this.knownUsers.set(user.id, user.username);
+    } catch (error) {
+      logger.low(`Failed to store user ${user.id}`, 'directory-sync', error);
+    }
+  }
+
+  /**
+   * Store a user known only by ID, e.g. someone who was awarded points
+   * @param {string} userId - Discord user ID
+   */
+  async recordUserById(userId) {
+    if (this.knownUsers.has(userId)) {
+      return;
+    }
+
+    try {
+      const user =
+        this.client.users.cache.get(userId) ||
+        (await this.client.users.fetch(userId));
+      await this.recordUser(user);
+    } catch (error) {
+      logger.low(`Failed to look up user ${userId}`, 'directory-sync', error);
+    }
+  }
+}
+
+export default new DirectorySync();
@@ -0,0 +1,176 @@
+import { AttachmentBuilder } from 'discord.js';
+
+import scoreService from '../../services/scores.js';
+import logger from '../../core/logger.js';
+
+const BATCH_SIZE = 1000;
+const MEMBER_FETCH_SIZE = 100; // Gateway limit per member request
+
+// Stay below Discord's smallest upload limit so every guild can receive the files
+const MAX_FILE_BYTES = 8 * 1024 * 1024;
+
+const CSV_HEADER = 'rank,user_id,display_name,score\n';
+
+/**
+ * Quote a CSV text field, neutralising values a spreadsheet would run as a formula
+ * Only for text: a negative number would come out as '-5 instead of -5
+ * @param {string} value - Raw field value
+ * @returns {string} The escaped field
+ */
+function escapeCsvField(value) {
+  let field = String(value);
+  if (/^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\n\r]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Look up display names for a batch of members
+ * Members missing from the cache are fetched; those who left fall back to
+ * their username or ID
+ * @param {Guild} guild - Discord guild object
+ * @param {Array<string>} userIds - Discord user IDs
+ * @returns {Promise<Map>} userId -> display name
+ */
+async function resolveDisplayNames(guild, userIds) {
+  const missing = userIds.filter(id => !guild.members.cache.has(id));
+  for (let i = 0; i < missing.length; i += MEMBER_FETCH_SIZE) {
+    const batch = missing.slice(i, i + MEMBER_FETCH_SIZE);
+    try {
+      await guild.members.fetch({ user: batch });
+    } catch (error) {
+      logger.warn(
+        `Failed to fetch ${batch.length} member(s) for leaderboard export: ${error.message}`
+      );
+    }
+  }
+
+  const names = new Map();
+  for (const id of userIds) {
+    const member = guild.members.cache.get(id);
+    const user = member?.user || guild.client.users.cache.get(id);
+    names.set(id, member?.displayName || user?.username || id);
+  }
+  return names;
+}
+
+/**
+ * Read the full ranking batch by batch
+ * @param {Guild} guild - Discord guild object
+ * @param {Object} ranking - Resolved leaderboard period
+ * @yields {Object} Row of { rank, user_id, display_name, score }
+ */
+async function* readRanking(guild, ranking) {
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const rows = await scoreService.getLeaderboard(guild.id, {
+      limit: BATCH_SIZE,
+      offset,
+      window: ranking.window
+    });
+    if (rows.length === 0) return;
+
+    const names = await resolveDisplayNames(
+      guild,
+      rows.map(row => row.user_id)
+    );
+    for (const row of rows) {
+      yield {
+        rank: row.rank,
+        user_id: row.user_id,
+        display_name: names.get(row.user_id),
+        score: row.total
+      };
+    }
+
+    if (rows.length < BATCH_SIZE) return;
+  }
+}
+
+/**
+ * File layout of each export format
+ * Every part is a complete file on its own, so split exports stay readable
+ */
+const FORMATS = {
+  csv: {
+    open: () => CSV_HEADER,
+    row: (row, _first) =>
+      [
+        row.rank,
+        escapeCsvField(row.user_id),
+        escapeCsvField(row.display_name),
+        row.score
+      ].join(',') + '\n',
+    close: () => ''
+  },
+  json: {
+    open: () => '[\n',
+    row: (row, first) => `${first ? '' : ',\n'}  ${JSON.stringify(row)}`,
+    close: () => '\n]\n'
+  }
+};
+
+/**
+ * Export a leaderboard as CSV or JSON attachments
+ * Rows are read in batches and each file is handed out as soon as it is full,
+ * so only one file is ever held in memory
+ * @param {Guild} guild - Discord guild object
+ * @param {Object} ranking - Resolved leaderboard period (see SeasonService.resolvePeriod)
+ * @param {string} format - 'csv' or 'json'
+ * @yields {Object} { attachment, rowCount } for each file, in rank order
+ */
+export async function* exportLeaderboard(guild, ranking, format = 'csv') {
+  const layout = FORMATS[format];
+  if (!layout) {
+    throw new Error(`Invalid export format: ${format}`);
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const closing = layout.close();
+  let part = 0;
+  let chunks = [];
+  let bytes = 0;
+  let rowCount = 0;
+
+  const startFile = () => {
+    chunks = [layout.open()];
+    bytes = Buffer.byteLength(chunks[0]);
+    rowCount = 0;
+  };
+
+  const finishFile = () => {
+    part++;
+    chunks.push(closing);
+    return {
+      attachment: new AttachmentBuilder(Buffer.from(chunks.join('')), {
+        name: `leaderboard-${ranking.period}-${date}-${part}.${format}`
+      }),
+      rowCount
+    };
+  };
+
+  startFile();
+  for await (const row of readRanking(guild, ranking)) {
+    let line = layout.row(row, rowCount === 0);
+    let lineBytes = Buffer.byteLength(line);
+
+    if (
+      rowCount > 0 &&
+      bytes + lineBytes + Buffer.byteLength(closing) > MAX_FILE_BYTES
+    ) {
+      yield finishFile();
+      startFile();
+      line = layout.row(row, true);
+      lineBytes = Buffer.byteLength(line);
+    }
+
+    chunks.push(line);
+    bytes += lineBytes;
+    rowCount++;
+  }
+
+  // Always return at least one (possibly empty) file
+  if (rowCount > 0 || part === 0) {
+    yield finishFile();
+  }
+}
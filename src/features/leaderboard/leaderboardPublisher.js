@@ -0,0 +1,343 @@
+import guildSettingsService from '../../services/guildSettings.js';
+import leaderboardMessageService from '../../services/leaderboardMessages.js';
+import scoreService from '../../services/scores.js';
+import seasonService from '../../services/seasons.js';
+import logger from '../../core/logger.js';
+
+import { createLeaderboardEmbed } from './leaderboardView.js';
+
+const UNKNOWN_MESSAGE = 10008;
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value (UTC) into epoch milliseconds
+ * @param {string|null} timestamp - 'YYYY-MM-DD HH:MM:SS' timestamp
+ * @returns {number} Epoch milliseconds (0 when unset)
+ */
+function parseSqlTimestamp(timestamp) {
+  return timestamp ? Date.parse(`${timestamp.replace(' ', 'T')}Z`) : 0;
+}
+
+/**
+ * Keeps one auto-updating leaderboard message per guild in the bound
+ * leaderboard channel
+ * The message is edited on each guild's schedule and shortly after scores
+ * change, and recreated if it was deleted
+ */
+class LeaderboardPublisher {
+  constructor() {
+    this.client = null;
+    this.interval = null;
+    this.tickInterval = 60 * 1000; // Check schedules every minute
+    this.scoreChangeDelay = 30 * 1000; // Batch score changes for 30 seconds
+    this.pendingRefreshes = new Map(); // guildId -> debounce timeout
+    this.inFlight = new Map(); // guildId -> refresh promise
+    this.trackedGuilds = new Set(); // Guilds with a leaderboard_messages row
+  }
+
+  /**
+   * Start publishing leaderboards
+   * @param {Client} client - Discord client instance
+   */
+  async initialize(client) {
+    this.client = client;
+
+    scoreService.on('scoreChanged', ({ guildId }) =>
+      this.scheduleRefresh(guildId)
+    );
+
+    // Verify every tracked message on startup, recreating deleted ones
+    await this.refreshAll();
+
+    this.interval = setInterval(() => {
+      this.refreshDue().catch(error => {
+        logger.high(
+          'Scheduled leaderboard refresh failed',
+          'leaderboard-publisher',
+          error
+        );
+      });
+    }, this.tickInterval);
+
+    logger.info('Leaderboard publisher initialized');
+  }
+
+  /**
+   * Refresh a guild's leaderboard shortly, batching bursts of score changes
+   * Guilds without an auto-updating leaderboard are skipped
+   * @param {string} guildId - Discord guild ID
+   */
+  scheduleRefresh(guildId) {
+    if (
+      !this.client ||
+      !this.trackedGuilds.has(guildId) ||
+      this.pendingRefreshes.has(guildId)
+    ) {
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      this.pendingRefreshes.delete(guildId);
+      this.refreshGuild(guildId).catch(error => {
+        logger.medium(
+          `Failed to refresh leaderboard after score change in guild ${guildId}`,
+          'leaderboard-publisher',
+          error
+        );
+      });
+    }, this.scoreChangeDelay);
+
+    this.pendingRefreshes.set(guildId, timeout);
+  }
+
+  /**
+   * Refresh every tracked leaderboard
+   */
+  async refreshAll() {
+    const configs = await leaderboardMessageService.listConfigs();
+    this.trackGuilds(configs);
+    for (const config of configs) {
+      try {
+        await this.refreshGuild(config.guild_id);
+      } catch (error) {
+        logger.medium(
+          `Failed to refresh leaderboard for guild ${config.guild_id}`,
+          'leaderboard-publisher',
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Refresh the leaderboards whose schedule is due
+   */
+  async refreshDue() {
+    const now = Date.now();
+    const configs = await leaderboardMessageService.listConfigs();
+    this.trackGuilds(configs);
+
+    for (const config of configs) {
+      if (config.refresh_minutes <= 0) continue;
+
+      const dueAt =
+        parseSqlTimestamp(config.last_refreshed_at) +
+        config.refresh_minutes * 60 * 1000;
+      if (dueAt > now) continue;
+
+      try {
+        await this.refreshGuild(config.guild_id);
+      } catch (error) {
+        logger.medium(
+          `Failed to refresh leaderboard for guild ${config.guild_id}`,
+          'leaderboard-publisher',
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Refresh a guild's leaderboard message now
+   * Concurrent calls for the same guild share one refresh, so two triggers
+   * can never post two messages
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Message|null>} The leaderboard message, or null if none could be published
+   */
+  refreshGuild(guildId) {
+    if (this.inFlight.has(guildId)) {
+      return this.inFlight.get(guildId);
+    }
+
+    const refresh = this.publish(guildId).finally(() => {
+      this.inFlight.delete(guildId);
+    });
+    this.inFlight.set(guildId, refresh);
+    return refresh;
+  }
+
+  /**
+   * Stop tracking a guild's leaderboard and delete its message
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} True if a tracked leaderboard was removed
+   */
+  async remove(guildId) {
+    const config = await leaderboardMessageService.disable(guildId);
+    if (!config) {
+      return false;
+    }
+
+    this.trackedGuilds.delete(guildId);
+    clearTimeout(this.pendingRefreshes.get(guildId));
+    this.pendingRefreshes.delete(guildId);
+    await this.deleteMessage(config);
+    return true;
+  }
+
+  /**
+   * Edit the tracked message, or post (and pin) a new one if it is gone
+   * @private
+   */
+  async publish(guildId) {
+    const config = await leaderboardMessageService.getConfig(guildId);
+    if (config) {
+      this.trackedGuilds.add(guildId);
+    } else {
+      this.trackedGuilds.delete(guildId);
+    }
+
+    const guild = this.client?.guilds.cache.get(guildId);
+    if (!config || !guild) {
+      return null;
+    }
+
+    // Stay in the current channel while it is still a leaderboard channel
+    const channel = await guildSettingsService.resolveBoundChannel(
+      guild,
+      'leaderboard',
+      guild.channels.cache.get(config.channel_id)
+    );
+    if (!channel) {
+      logger.warn(
+        `Auto-updating leaderboard for guild ${guild.name} has no usable leaderboard channel`
+      );
+      return null;
+    }
+
+    const payload = await this.buildPayload(guild, config);
+
+    let message = await this.findExistingMessage(channel, config);
+    if (message) {
+      await message.edit(payload);
+    } else {
+      // The binding moved to another channel - remove the old message
+      if (config.channel_id && config.channel_id !== channel.id) {
+        await this.deleteMessage(config);
+      }
+
+      message = await channel.send(payload);
+      await leaderboardMessageService.setMessage(
+        guildId,
+        channel.id,
+        message.id
+      );
+      logger.info(
+        `Posted auto-updating leaderboard in ${channel.name} (${guild.name})`
+      );
+
+      try {
+        await message.pin();
+      } catch (pinError) {
+        logger.warn(
+          `Failed to pin leaderboard message in ${channel.name}: ${pinError.message}`
+        );
+      }
+    }
+
+    await leaderboardMessageService.markRefreshed(guildId);
+    return message;
+  }
+
+  /**
+   * Remember which guilds have an auto-updating leaderboard
+   * @private
+   * @param {Array<Object>} configs - Every leaderboard_messages row
+   */
+  trackGuilds(configs) {
+    this.trackedGuilds = new Set(configs.map(config => config.guild_id));
+  }
+
+  /**
+   * Find the message currently showing the leaderboard in a channel
+   * Falls back to adopting a pinned leaderboard posted by the bot, so a lost
+   * message ID never leads to a duplicate
+   * @private
+   */
+  async findExistingMessage(channel, config) {
+    if (config.message_id && config.channel_id === channel.id) {
+      try {
+        return await channel.messages.fetch(config.message_id);
+      } catch (error) {
+        if (error.code !== UNKNOWN_MESSAGE) {
+          throw error;
+        }
+        logger.info(
+          `Leaderboard message in ${channel.name} was deleted, looking for a replacement`
+        );
+      }
+    }
+
+    try {
+      const pins = await channel.messages.fetchPins();
+      const pinned = pins.items
+        .map(pin => pin.message)
+        .find(
+          message =>
+            message.author.id === this.client.user.id &&
+            message.embeds[0]?.title === '🏆 Leaderboard'
+        );
+
+      if (pinned) {
+        await leaderboardMessageService.setMessage(
+          config.guild_id,
+          channel.id,
+          pinned.id
+        );
+        logger.info(`Adopted pinned leaderboard message in ${channel.name}`);
+        return pinned;
+      }
+    } catch (error) {
+      logger.warn(
+        `Failed to check pinned messages in ${channel.name}: ${error.message}`
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the leaderboard message payload for a guild
+   * @private
+   */
+  async buildPayload(guild, config) {
+    let ranking;
+    try {
+      ranking = await seasonService.resolvePeriod(guild.id, config.period);
+    } catch (error) {
+      // No season running today - fall back to all-time standings
+      if (!error.message.startsWith('Season not found')) throw error;
+      ranking = await seasonService.resolvePeriod(guild.id, 'all-time');
+    }
+
+    const { embed } = await createLeaderboardEmbed(guild, ranking);
+    const schedule =
+      config.refresh_minutes > 0
+        ? `Auto-updates every ${config.refresh_minutes} min`
+        : 'Auto-updates when scores change';
+    embed.setFooter({ text: `${embed.data.footer.text} • ${schedule}` });
+
+    return { embeds: [embed], allowedMentions: { users: [] } };
+  }
+
+  /**
+   * Delete a previously tracked leaderboard message
+   * @private
+   */
+  async deleteMessage(config) {
+    if (!config.channel_id || !config.message_id) return;
+
+    try {
+      const channel = this.client?.channels.cache.get(config.channel_id);
+      const message = await channel?.messages.fetch(config.message_id);
+      await message?.delete();
+    } catch (error) {
+      if (error.code !== UNKNOWN_MESSAGE) {
+        logger.warn(
+          `Failed to delete old leaderboard message ${config.message_id}: ${error.message}`
+        );
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export default new LeaderboardPublisher();
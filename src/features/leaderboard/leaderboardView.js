@@ -0,0 +1,222 @@
+import {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle
+} from 'discord.js';
+
+import scoreService from '../../services/scores.js';
+import seasonService from '../../services/seasons.js';
+
+const PAGE_SIZE = 10;
+
+const CUSTOM_ID_PREFIX = 'leaderboard';
+
+/**
+ * Build a stateless button custom ID
+ * Everything needed to render the target page is encoded in the ID itself,
+ * so buttons keep working after a restart
+ * Format: leaderboard:<action>:<page>:<period>:<seasonId|->
+ * @param {string} action - Button action (first, prev, next, last, me)
+ * @param {number} page - Zero-based page the button leads to
+ * @param {Object} ranking - Resolved leaderboard period
+ * @returns {string} The custom ID
+ */
+function encodePageToken(action, page, ranking) {
+  const seasonId = ranking.season ? ranking.season.id : '-';
+  return [CUSTOM_ID_PREFIX, action, page, ranking.period, seasonId].join(':');
+}
+
+/**
+ * Parse a leaderboard button custom ID
+ * @param {string} customId - Button custom ID
+ * @returns {Object|null} { action, page, period, seasonId } or null if the ID is malformed
+ */
+export function parsePageToken(customId) {
+  const [prefix, action, page, period, seasonId] = customId.split(':');
+  const pageNumber = Number.parseInt(page, 10);
+
+  if (prefix !== CUSTOM_ID_PREFIX || !action || Number.isNaN(pageNumber)) {
+    return null;
+  }
+
+  return {
+    action,
+    page: Math.max(pageNumber, 0),
+    period: period || 'all-time',
+    seasonId: seasonId && seasonId !== '-' ? Number(seasonId) : null
+  };
+}
+
+/**
+ * Resolve the ranking window encoded in a page token
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} token - Parsed page token
+ * @returns {Promise<Object>} Resolved leaderboard period
+ */
+export async function resolveTokenRanking(guildId, token) {
+  if (token.period === 'season' && token.seasonId) {
+    const season = await seasonService.getSeasonById(guildId, token.seasonId);
+    if (!season) {
+      throw new Error('Season not found: it may have been deleted');
+    }
+    return await seasonService.resolvePeriod(guildId, 'season', season.name);
+  }
+
+  return await seasonService.resolvePeriod(guildId, token.period);
+}
+
+/**
+ * Get the medal or rank label for a leaderboard row
+ * Medals follow the rank value, so tied members share a medal and a skipped
+ * place (competition ranking) leaves its medal unused
+ * @param {number} rank - Member rank
+ * @param {number} sharedBy - Number of members holding this rank
+ * @returns {string} Medal emoji for the podium, otherwise "<rank>." ("=<rank>." when shared)
+ */
+function formatRank(rank, sharedBy = 1) {
+  if (rank === 1) return '🥇';
+  if (rank === 2) return '🥈';
+  if (rank === 3) return '🥉';
+  return sharedBy > 1 ? `=${rank}.` : `${rank}.`;
+}
+
+/**
+ * Create the leaderboard embed
+ * @param {Object} guild - Discord guild whose scores are ranked
+ * @param {Object} ranking - Resolved leaderboard period (see SeasonService.resolvePeriod)
+ * @param {Object} options - Render options
+ * @param {number} options.page - Zero-based page to render (clamped to the last page)
+ * @param {string|null} options.highlightUserId - Member whose row is highlighted
+ * @returns {Promise<Object>} { embed, page, pageCount }
+ */
+export async function createLeaderboardEmbed(
+  guild,
+  ranking,
+  { page = 0, highlightUserId = null } = {}
+) {
+  const rankedMembers = await scoreService.getRankedMemberCount(
+    guild.id,
+    ranking.window
+  );
+  const pageCount = Math.max(Math.ceil(rankedMembers / PAGE_SIZE), 1);
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+
+  const leaderboardData = await scoreService.getLeaderboard(guild.id, {
+    limit: PAGE_SIZE,
+    offset: currentPage * PAGE_SIZE,
+    window: ranking.window
+  });
+
+  // Create embed for the leaderboard
+  const embed = new EmbedBuilder()
+    .setTitle('🏆 Leaderboard')
+    .setDescription(
+      currentPage === 0
+        ? `Top ${PAGE_SIZE} players by score`
+        : `Players ranked ${currentPage * PAGE_SIZE + 1}-${currentPage * PAGE_SIZE + leaderboardData.length} by score`
+    )
+    .setColor(0x00ff00)
+    .setTimestamp()
+    .setFooter({
+      text: `${ranking.label} • Page ${currentPage + 1}/${pageCount} • ${rankedMembers} ranked member(s)`
+    });
+
+  if (leaderboardData.length === 0) {
+    embed.addFields({
+      name: 'Rankings',
+      value: ranking.window
+        ? 'No points have been earned in this period.'
+        : 'No scores have been recorded yet.',
+      inline: false
+    });
+    return { embed, page: currentPage, pageCount };
+  }
+
+  // Add leaderboard entries to embed
+  let leaderboardText = '';
+  leaderboardData.forEach(user => {
+    const line = `${formatRank(user.rank, user.shared_by)} <@${user.user_id}> - ${user.total} points`;
+    leaderboardText +=
+      user.user_id === highlightUserId ? `**➤ ${line}**\n` : `${line}\n`;
+  });
+
+  embed.addFields({
+    name: 'Rankings',
+    value: leaderboardText,
+    inline: false
+  });
+
+  return { embed, page: currentPage, pageCount };
+}
+
+/**
+ * Create the navigation buttons for a leaderboard page
+ * @param {Object} ranking - Resolved leaderboard period
+ * @param {number} page - Zero-based current page
+ * @param {number} pageCount - Total number of pages
+ * @returns {ActionRowBuilder} Row with first/prev/next/last and "find me" buttons
+ */
+function createNavigationRow(ranking, page, pageCount) {
+  const lastPage = pageCount - 1;
+
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(encodePageToken('first', 0, ranking))
+      .setEmoji('⏮️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(encodePageToken('prev', Math.max(page - 1, 0), ranking))
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(
+        encodePageToken('next', Math.min(page + 1, lastPage), ranking)
+      )
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= lastPage),
+    new ButtonBuilder()
+      .setCustomId(encodePageToken('last', lastPage, ranking))
+      .setEmoji('⏭️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= lastPage),
+    new ButtonBuilder()
+      .setCustomId(encodePageToken('me', page, ranking))
+      .setLabel('Find me')
+      .setEmoji('📍')
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+/**
+ * Build a complete leaderboard message payload (embed and navigation buttons)
+ * @param {Object} guild - Discord guild whose scores are ranked
+ * @param {Object} ranking - Resolved leaderboard period
+ * @param {Object} options - Render options (see createLeaderboardEmbed)
+ * @returns {Promise<Object>} Message payload for reply/send/edit
+ */
+export async function buildLeaderboardMessage(guild, ranking, options = {}) {
+  const { embed, page, pageCount } = await createLeaderboardEmbed(
+    guild,
+    ranking,
+    options
+  );
+
+  return {
+    embeds: [embed],
+    components: [createNavigationRow(ranking, page, pageCount)],
+    allowedMentions: { users: [] }
+  };
+}
+
+/**
+ * Get the zero-based page that contains a member's row
+ * @param {number} position - Member's row position (see ScoreService.getRank), not the shared rank
+ * @returns {number} Page index
+ */
+export function getPageForPosition(position) {
+  return Math.floor((position - 1) / PAGE_SIZE);
+}
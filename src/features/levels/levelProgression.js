@@ -0,0 +1,256 @@
+import guildSettingsService from '../../services/guildSettings.js';
+import levelService from '../../services/levels.js';
+import scoreService from '../../services/scores.js';
+import logger from '../../core/logger.js';
+
+const UNKNOWN_MEMBER = 10007;
+
+/**
+ * Turns score changes into levels, level-up announcements and ladder roles
+ * A member's level is only stored once their roles were synced, so a restart
+ * half-way through a change is picked up again by the startup reconcile
+ */
+class LevelProgression {
+  constructor() {
+    this.client = null;
+    this.queues = new Map(); // guildId:userId -> promise of the pending sync
+    this.warnedRoles = new Set(); // Deleted ladder roles already logged
+  }
+
+  /**
+   * Start following score changes and catch up on missed level changes
+   * @param {Client} client - Discord client instance
+   */
+  async initialize(client) {
+    this.client = client;
+
+    scoreService.on('scoreChanged', ({ guildId, userId, total }) => {
+      this.enqueue(guildId, userId, () =>
+        this.applyScoreChange(guildId, userId, total)
+      ).catch(error => {
+        logger.medium(
+          `Failed to update level for user ${userId} in guild ${guildId}`,
+          'level-progression',
+          error
+        );
+      });
+    });
+
+    for (const guild of client.guilds.cache.values()) {
+      try {
+        await this.reconcileGuild(guild);
+      } catch (error) {
+        logger.medium(
+          `Failed to reconcile levels for guild ${guild.name}`,
+          'level-progression',
+          error
+        );
+      }
+    }
+
+    logger.info('Level progression initialized');
+  }
+
+  /**
+   * Bring stored levels and ladder roles in line with current points
+   * Used after restarts and configuration changes; never announces
+   * @param {Guild} guild - Discord guild object
+   * @param {Object} options - Reconcile options
+   * @param {boolean} options.force - Re-sync roles of every levelled member, not only changed ones
+   * @returns {Promise<number>} Number of members synced
+   */
+  async reconcileGuild(guild, { force = false } = {}) {
+    const settings = await levelService.getSettings(guild.id);
+    const members = await levelService.getTrackedMembers(guild.id);
+    let synced = 0;
+
+    for (const member of members) {
+      const level = levelService.levelForXp(member.total, settings);
+      const needsSync = force
+        ? level > 0 || member.level > 0
+        : level !== member.level;
+      if (!needsSync) continue;
+
+      await this.enqueue(guild.id, member.user_id, () =>
+        this.applyLevel(guild, member.user_id, level, settings)
+      );
+      synced++;
+    }
+
+    if (synced > 0) {
+      logger.info(`Synced levels of ${synced} member(s) in ${guild.name}`);
+    }
+    return synced;
+  }
+
+  /**
+   * Re-sync a single member's level and roles
+   * @param {Guild} guild - Discord guild object
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Object>} { level, added, removed }
+   */
+  async syncMember(guild, userId) {
+    return await this.enqueue(guild.id, userId, () =>
+      this.resyncMember(guild, userId)
+    );
+  }
+
+  /**
+   * Work out a member's level from their points and apply it
+   * @private
+   * @returns {Promise<Object>} { level, added, removed }
+   */
+  async resyncMember(guild, userId) {
+    const settings = await levelService.getSettings(guild.id);
+    const total = await scoreService.getScore(guild.id, userId);
+    const level = levelService.levelForXp(total, settings);
+
+    const changes = await this.applyLevel(guild, userId, level, settings);
+    return { level, ...changes };
+  }
+
+  /**
+   * Store a member's level and give them the matching ladder roles, quietly
+   * @private
+   * @returns {Promise<Object>} { added, removed } role changes
+   */
+  async applyLevel(guild, userId, level, settings) {
+    const changes = await this.syncRoles(guild, userId, level, settings);
+    await levelService.setMemberLevel(guild.id, userId, level);
+    return changes;
+  }
+
+  /**
+   * Run member updates one at a time so bursts of score changes cannot race
+   * @private
+   */
+  enqueue(guildId, userId, task) {
+    const key = `${guildId}:${userId}`;
+    const previous = this.queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.queues.set(key, next);
+    next
+      .finally(() => {
+        if (this.queues.get(key) === next) {
+          this.queues.delete(key);
+        }
+      })
+      .catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Handle a member's new total
+   * @private
+   */
+  async applyScoreChange(guildId, userId, total) {
+    const guild = this.client?.guilds.cache.get(guildId);
+    if (!guild) return;
+
+    const settings = await levelService.getSettings(guildId);
+    const level = levelService.levelForXp(total, settings);
+    const previousLevel = await levelService.getMemberLevel(guildId, userId);
+    if (level === previousLevel) return;
+
+    const { added } = await this.syncRoles(guild, userId, level, settings);
+    await levelService.setMemberLevel(guildId, userId, level);
+
+    logger.info(
+      `User ${userId} moved from level ${previousLevel} to ${level} in ${guild.name}`
+    );
+
+    if (level > previousLevel && settings.announce) {
+      await this.announceLevelUp(guild, userId, level, added);
+    }
+  }
+
+  /**
+   * Give a member the ladder roles earned at a level and take away the rest
+   * Deleted roles are skipped so one broken rung never blocks the others
+   * @private
+   */
+  async syncRoles(guild, userId, level, settings) {
+    const result = { added: [], removed: [] };
+
+    const ladder = await levelService.getLevelRoles(guild.id);
+    if (ladder.length === 0) return result;
+
+    let member;
+    try {
+      member = await guild.members.fetch(userId);
+    } catch (error) {
+      if (error.code === UNKNOWN_MEMBER) return result; // Left the server
+      throw error;
+    }
+
+    const earned = ladder.filter(rung => rung.level <= level);
+    const wanted = new Set(
+      (settings.stackRoles ? earned : earned.slice(-1)).map(
+        rung => rung.role_id
+      )
+    );
+
+    for (const rung of ladder) {
+      const role = guild.roles.cache.get(rung.role_id);
+      if (!role) {
+        if (!this.warnedRoles.has(rung.role_id)) {
+          this.warnedRoles.add(rung.role_id);
+          logger.warn(
+            `Level ${rung.level} role ${rung.role_id} no longer exists in ${guild.name} - skipping it`
+          );
+        }
+        continue;
+      }
+
+      const hasRole = member.roles.cache.has(role.id);
+      try {
+        if (wanted.has(role.id) && !hasRole) {
+          await member.roles.add(role, `Reached level ${level}`);
+          result.added.push(role);
+        } else if (!wanted.has(role.id) && hasRole) {
+          await member.roles.remove(role, `Now level ${level}`);
+          result.removed.push(role);
+        }
+      } catch (roleError) {
+        logger.warn(
+          `Failed to update level role ${role.name} for ${member.user.tag}: ${roleError.message}`
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Post a level-up message in the bound stats channel
+   * @private
+   */
+  async announceLevelUp(guild, userId, level, addedRoles) {
+    const statsChannel = await guildSettingsService.resolveBoundChannel(
+      guild,
+      'stats'
+    );
+    if (!statsChannel) return;
+
+    const rewards =
+      addedRoles.length > 0
+        ? ` and earned ${addedRoles.map(role => `${role}`).join(', ')}`
+        : '';
+
+    try {
+      await statsChannel.send({
+        content: `🎉 <@${userId}> reached **level ${level}**${rewards}!`,
+        allowedMentions: { users: [userId], roles: [] }
+      });
+    } catch (error) {
+      logger.warn(
+        `Failed to announce level up in ${statsChannel.name}: ${error.message}`
+      );
+    }
+  }
+}
+
+// Export singleton instance
+export default new LevelProgression();
@@ -0,0 +1,109 @@
+import { EmbedBuilder } from 'discord.js';
+
+import scoreService from '../../services/scores.js';
+import seasonService from '../../services/seasons.js';
+import levelService from '../../services/levels.js';
+
+const RECENT_EVENT_COUNT = 5;
+const PROGRESS_BAR_LENGTH = 10;
+
+/**
+ * Format a signed point delta
+ * @param {number} delta - Point change
+ * @returns {string} Delta with an explicit sign
+ */
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+/**
+ * Render progress towards the next level as a text bar
+ * @param {Object} progress - Level progress (see LevelService.getProgress)
+ * @returns {string} Progress bar with the points still needed
+ */
+function formatLevelProgress(progress) {
+  if (progress.nextLevelXp === null) {
+    return 'Maximum level reached';
+  }
+
+  const span = progress.nextLevelXp - progress.currentLevelXp;
+  const gained = Math.max(progress.xp - progress.currentLevelXp, 0);
+  const filled = Math.floor((gained / span) * PROGRESS_BAR_LENGTH);
+
+  return (
+    `${'▰'.repeat(filled)}${'▱'.repeat(PROGRESS_BAR_LENGTH - filled)} ` +
+    `${progress.nextLevelXp - Math.max(progress.xp, 0)} points to level ${progress.level + 1}`
+  );
+}
+
+/**
+ * Create the profile embed of a member
+ * @param {Guild} guild - Discord guild object
+ * @param {User} user - Discord user to describe
+ * @returns {Promise<EmbedBuilder>} The profile embed
+ */
+export async function createProfileEmbed(guild, user) {
+  const weekly = await seasonService.resolvePeriod(guild.id, 'weekly');
+
+  const [total, rank, weeklyRank, events] = await Promise.all([
+    scoreService.getScore(guild.id, user.id),
+    scoreService.getRank(guild.id, user.id),
+    scoreService.getRank(guild.id, user.id, weekly.window),
+    scoreService.getEvents(guild.id, user.id, { limit: RECENT_EVENT_COUNT })
+  ]);
+  const progress = await levelService.getProgress(guild.id, total);
+
+  const member = guild.members.cache.get(user.id);
+  const displayName = member?.displayName || user.username;
+
+  const recent =
+    events
+      .map(event => {
+        const reason = event.reason ? ` - ${event.reason}` : '';
+        return `**${formatDelta(event.delta)}** (${event.source})${reason} • ${event.created_at} UTC`;
+      })
+      .join('\n')
+      .slice(0, 1024) || 'No point changes recorded yet.';
+
+  return new EmbedBuilder()
+    .setTitle(`📊 ${displayName}`)
+    .setThumbnail(user.displayAvatarURL())
+    .setColor(0x3498db)
+    .addFields(
+      { name: 'Points', value: `${total}`, inline: true },
+      {
+        name: 'Position',
+        value: rank
+          ? `#${rank.rank}${rank.sharedBy > 1 ? ' (tied)' : ''} of ${rank.rankedMembers}`
+          : 'Unranked',
+        inline: true
+      },
+      { name: 'Level', value: `${progress.level}`, inline: true },
+      {
+        name: 'This Week',
+        value: weeklyRank
+          ? `${formatDelta(weeklyRank.total)} points (#${weeklyRank.rank})`
+          : 'No points this week',
+        inline: true
+      },
+      {
+        name: 'Next Level',
+        value: formatLevelProgress(progress),
+        inline: false
+      },
+      { name: 'Recent Activity', value: recent, inline: false }
+    )
+    .setFooter({ text: `${guild.name} • ${weekly.label}` })
+    .setTimestamp();
+}
+
+/**
+ * Build a complete profile message that never pings the member
+ * @param {Guild} guild - Discord guild object
+ * @param {User} user - Discord user to describe
+ * @returns {Promise<Object>} Message payload
+ */
+export async function buildProfileMessage(guild, user) {
+  const embed = await createProfileEmbed(guild, user);
+  return { embeds: [embed], allowedMentions: { users: [] } };
+}
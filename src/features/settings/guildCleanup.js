@@ -0,0 +1,244 @@
+import guildSettingsService from '../../services/guildSettings.js';
+import settingsRegistry from '../../services/settingsRegistry.js';
+import commandPermissionService from '../../services/commandPermissions.js';
+import levelService from '../../services/levels.js';
+import guildDataService from '../../services/guildData.js';
+import notificationService from '../../services/notifications.js';
+import logger from '../../core/logger.js';
+
+/**
+ * Reacts to channels, roles and guilds disappearing
+ * Settings and permission rules that point at a deleted channel or role are
+ * cleared (as a settings history version, so /settings rollback can undo it),
+ * level roles are flagged, and the admins get one notice per burst of
+ * deletions. Guilds that remove the bot are deleted after a grace period
+ */
+class GuildCleanup {
+  constructor() {
+    this.client = null;
+    this.interval = null;
+    this.purgeInterval = 60 * 60 * 1000; // Look for expired guilds every hour
+    this.noticeDelay = 5 * 1000; // Batch deletions (e.g. a whole category) into one notice
+    this.pendingNotices = new Map(); // guildId -> { lines, timeout }
+  }
+
+  /**
+   * Keep the data of guilds the bot is in and start deleting expired guilds
+   * @param {Client} client - Discord client instance
+   */
+  async initialize(client) {
+    this.client = client;
+
+    await guildDataService.cancelRemovals([...client.guilds.cache.keys()]);
+    await this.purgeExpired();
+
+    this.interval = setInterval(() => this.purgeExpired(), this.purgeInterval);
+
+    logger.info('Guild cleanup initialized');
+  }
+
+  /**
+   * Delete the data of guilds whose grace period is over
+   */
+  async purgeExpired() {
+    try {
+      await guildDataService.purgeExpired();
+    } catch (error) {
+      logger.high(
+        'Scheduled guild data cleanup failed',
+        'guild-cleanup',
+        error
+      );
+    }
+  }
+
+  /**
+   * Clear everything that used a deleted channel or category
+   * @param {GuildChannel} channel - The deleted channel
+   */
+  async handleChannelDelete(channel) {
+    const { guild } = channel;
+    const lines = await this.removeSettingReferences(
+      guild,
+      'channel',
+      channel.id,
+      `#${channel.name}`
+    );
+
+    lines.push(
+      ...(await this.removePermissionRules(
+        guild,
+        'channel',
+        channel.id,
+        `#${channel.name}`
+      ))
+    );
+
+    this.queueNotice(guild, lines);
+  }
+
+  /**
+   * Clear everything that used a deleted role and flag level roles
+   * Level roles are kept so the ladder keeps its shape until an admin picks a
+   * new role
+   * @param {Role} role - The deleted role
+   */
+  async handleRoleDelete(role) {
+    const { guild } = role;
+    const lines = await this.removeSettingReferences(
+      guild,
+      'role',
+      role.id,
+      `@${role.name}`
+    );
+
+    const ladder = await levelService.getLevelRoles(guild.id);
+    for (const rung of ladder.filter(entry => entry.role_id === role.id)) {
+      lines.push(
+        `**@${role.name}** was the level ${rung.level} role, set a new one with \`/levels role-add\` or remove it with \`/levels role-remove\``
+      );
+    }
+
+    lines.push(
+      ...(await this.removePermissionRules(
+        guild,
+        'role',
+        role.id,
+        `@${role.name}`
+      ))
+    );
+
+    this.queueNotice(guild, lines);
+  }
+
+  /**
+   * Schedule the data of a guild that removed the bot for deletion
+   * Guilds that only became unavailable (a Discord outage) are left alone
+   * @param {Guild} guild - The guild
+   */
+  async handleGuildDelete(guild) {
+    if (!guild.available) {
+      logger.warn(`Guild ${guild.id} became unavailable, keeping its data`);
+      return;
+    }
+
+    const pending = this.pendingNotices.get(guild.id);
+    if (pending) {
+      clearTimeout(pending.timeout);
+      this.pendingNotices.delete(guild.id);
+    }
+
+    await guildDataService.markRemoved(guild.id, guild.name);
+  }
+
+  /**
+   * Keep the data of a guild that added the bot back
+   * @param {Guild} guild - The guild
+   */
+  async handleGuildCreate(guild) {
+    await guildDataService.cancelRemoval(guild.id);
+  }
+
+  /**
+   * Remove a channel or role from every setting that uses it
+   * List settings lose the entry, single settings are reset to their default
+   * @param {Guild} guild - Discord guild object
+   * @param {string} kind - 'channel' or 'role'
+   * @param {string} id - ID of the deleted channel or role
+   * @param {string} name - Display name of the deleted channel or role
+   * @returns {Promise<Array<string>>} Notice lines
+   */
+  async removeSettingReferences(guild, kind, id, name) {
+    const settings = await guildSettingsService.getGuildSettings(guild.id);
+    if (!settings) {
+      return [];
+    }
+
+    const updates = [];
+    const lines = [];
+    for (const definition of settingsRegistry.list()) {
+      const value = settings[definition.key];
+      const references = settingsRegistry.getReferences(definition, value);
+      if (references.kind !== kind || !references.ids.includes(id)) continue;
+
+      if (Array.isArray(value)) {
+        const remaining = value.filter(entry => entry !== id);
+        updates.push({
+          key: definition.key,
+          value: remaining.length > 0 ? remaining : null
+        });
+        lines.push(
+          `**${name}** was removed from ${definition.emoji} ${definition.label}`
+        );
+      } else {
+        updates.push({ key: definition.key, value: null });
+        lines.push(
+          `${definition.emoji} ${definition.label} was **${name}** and is now: ${definition.unsetText}`
+        );
+      }
+    }
+
+    if (updates.length > 0) {
+      await guildSettingsService.setGuildSettings(
+        guild.id,
+        updates,
+        null,
+        `${name} was deleted`
+      );
+    }
+    return lines;
+  }
+
+  /**
+   * Remove the command permission rules of a deleted channel or role
+   * @param {Guild} guild - Discord guild object
+   * @param {string} kind - 'channel' or 'role'
+   * @param {string} id - ID of the deleted channel or role
+   * @param {string} name - Display name of the deleted channel or role
+   * @returns {Promise<Array<string>>} Notice lines
+   */
+  async removePermissionRules(guild, kind, id, name) {
+    const commands = await commandPermissionService.removeTargetRules(
+      guild.id,
+      kind,
+      id
+    );
+    if (commands.length === 0) {
+      return [];
+    }
+
+    return [
+      `The permission rules of **${name}** were removed from ${commands.map(command => `\`/${command}\``).join(', ')}`
+    ];
+  }
+
+  /**
+   * Add lines to the guild's next cleanup notice
+   * @param {Guild} guild - Discord guild object
+   * @param {Array<string>} lines - What was cleaned up
+   */
+  queueNotice(guild, lines) {
+    if (lines.length === 0) {
+      return;
+    }
+
+    const pending = this.pendingNotices.get(guild.id);
+    if (pending) {
+      pending.lines.push(...lines);
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      const { lines: noticeLines } = this.pendingNotices.get(guild.id);
+      this.pendingNotices.delete(guild.id);
+      // notifyAdmins never throws
+      notificationService.notifyAdmins(guild, 'settings-cleanup', {
+        lines: noticeLines
+      });
+    }, this.noticeDelay);
+
+    this.pendingNotices.set(guild.id, { lines: [...lines], timeout });
+  }
+}
+
+export default new GuildCleanup();
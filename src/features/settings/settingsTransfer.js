@@ -0,0 +1,198 @@
+import { AttachmentBuilder, ChannelType } from 'discord.js';
+
+import guildSettingsService from '../../services/guildSettings.js';
+import settingsRegistry from '../../services/settingsRegistry.js';
+
+const EXPORT_FORMAT = 'guild-settings';
+const EXPORT_VERSION = 1;
+
+// Settings files are small; anything bigger is not one of ours
+export const MAX_IMPORT_BYTES = 256 * 1024;
+
+/**
+ * Describe a channel or role so it can be found again by name in another guild
+ * @param {Guild} guild - Discord guild object
+ * @param {string} kind - 'channel' or 'role'
+ * @param {string} id - Channel or role ID
+ * @returns {Object} { id, name, category? } (name is null if it no longer exists)
+ */
+function describeReference(guild, kind, id) {
+  if (kind === 'role') {
+    return { id, name: guild.roles.cache.get(id)?.name ?? null };
+  }
+
+  const channel = guild.channels.cache.get(id);
+  return {
+    id,
+    name: channel?.name ?? null,
+    category: channel?.type === ChannelType.GuildCategory
+  };
+}
+
+/**
+ * Find the channel or role an exported reference points at in a guild
+ * The same ID wins (importing into the original guild), otherwise the first
+ * channel or role with the same name
+ * @param {Guild} guild - Target guild
+ * @param {string} kind - 'channel' or 'role'
+ * @param {Object} reference - Exported { id, name, category? }
+ * @returns {Object|null} The matching channel or role
+ */
+function resolveReference(guild, kind, reference) {
+  const cache = kind === 'role' ? guild.roles.cache : guild.channels.cache;
+  if (cache.has(reference.id)) {
+    return cache.get(reference.id);
+  }
+  if (!reference.name) {
+    return null;
+  }
+
+  const name = reference.name.toLowerCase();
+  return (
+    cache
+      .filter(
+        target =>
+          target.name.toLowerCase() === name &&
+          (kind === 'role' ||
+            (target.type === ChannelType.GuildCategory) ===
+              Boolean(reference.category))
+      )
+      .sort((a, b) => a.position - b.position)
+      .first() || null
+  );
+}
+
+/**
+ * Export every guild setting as a JSON attachment
+ * Channels and roles are written with their names next to their IDs, so the
+ * file can be imported into another guild
+ * @param {Guild} guild - Discord guild object
+ * @returns {Promise<AttachmentBuilder>} The settings file
+ */
+export async function buildSettingsExport(guild) {
+  const settings =
+    (await guildSettingsService.getGuildSettings(guild.id)) || {};
+
+  const exported = {};
+  for (const definition of settingsRegistry.list()) {
+    const value = settings[definition.key] ?? definition.default;
+    const { kind } = settingsRegistry.getReferences(definition, value);
+
+    if (!kind) {
+      exported[definition.key] = value;
+    } else if (Array.isArray(value)) {
+      exported[definition.key] = value.map(id =>
+        describeReference(guild, kind, id)
+      );
+    } else {
+      exported[definition.key] = describeReference(guild, kind, value);
+    }
+  }
+
+  const file = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    guild: { id: guild.id, name: guild.name },
+    settings: exported
+  };
+
+  const date = file.exportedAt.slice(0, 10);
+  return new AttachmentBuilder(Buffer.from(JSON.stringify(file, null, 2)), {
+    name: `settings-${guild.id}-${date}.json`
+  });
+}
+
+/**
+ * Work out what importing a settings file would change, without changing anything
+ * Channels and roles are matched by name; ones that cannot be found, unknown
+ * settings and invalid values are skipped with a warning
+ * @param {Guild} guild - Target guild
+ * @param {string} text - Contents of the settings file
+ * @returns {Promise<Object>} { source, updates, changes, warnings } - updates are { key, value } pairs ready for setGuildSettings
+ */
+export async function planSettingsImport(guild, text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid settings file: ${error.message}`);
+  }
+  if (file?.format !== EXPORT_FORMAT || typeof file.settings !== 'object') {
+    throw new Error('Invalid settings file: not a guild settings export');
+  }
+  if (file.version > EXPORT_VERSION) {
+    throw new Error(
+      `Invalid settings file: version ${file.version} is newer than this bot supports`
+    );
+  }
+
+  const current = (await guildSettingsService.getGuildSettings(guild.id)) || {};
+  const updates = [];
+  const changes = [];
+  const warnings = [];
+
+  for (const [key, exported] of Object.entries(file.settings)) {
+    const definition = settingsRegistry.get(key);
+    if (!definition) {
+      warnings.push(`\`${key}\` is not a setting on this bot, skipped`);
+      continue;
+    }
+
+    const kind =
+      definition.type === 'list' ? definition.itemType : definition.type;
+    let value = exported;
+
+    if ((kind === 'channel' || kind === 'role') && exported !== null) {
+      // Bare IDs are accepted too, for hand-written files
+      const references = (Array.isArray(exported) ? exported : [exported]).map(
+        reference =>
+          typeof reference === 'object' && reference !== null
+            ? reference
+            : { id: String(reference), name: null }
+      );
+      const ids = [];
+      for (const reference of references) {
+        const target = resolveReference(guild, kind, reference);
+        if (target) {
+          ids.push(target.id);
+        } else {
+          warnings.push(
+            `${definition.label}: no ${kind} named \`${reference.name ?? reference.id}\`, skipped`
+          );
+        }
+      }
+
+      if (Array.isArray(exported)) {
+        value = ids;
+      } else if (ids.length > 0) {
+        value = ids[0];
+      } else {
+        continue; // Keep the current single channel or role
+      }
+    }
+
+    try {
+      settingsRegistry.validate(key, value);
+    } catch (error) {
+      warnings.push(`${definition.label}: ${error.message}, skipped`);
+      continue;
+    }
+
+    const oldValue = current[key] ?? definition.default;
+    if (JSON.stringify(oldValue) === JSON.stringify(value)) continue;
+
+    // Defaults are stored by removing the value
+    const isDefault =
+      JSON.stringify(value) === JSON.stringify(definition.default);
+    updates.push({ key, value: isDefault ? null : value });
+    changes.push({ key, oldValue, newValue: value });
+  }
+
+  return {
+    source: file.guild?.name || 'another server',
+    updates,
+    changes,
+    warnings
+  };
+}
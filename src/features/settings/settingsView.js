@@ -0,0 +1,105 @@
+import { EmbedBuilder } from 'discord.js';
+
+import guildSettingsService from '../../services/guildSettings.js';
+import settingsRegistry from '../../services/settingsRegistry.js';
+
+/**
+ * Describe one registered setting, checking the channels and roles it uses
+ * @param {Object} definition - Setting definition
+ * @param {*} value - Current value
+ * @param {Object} healthStatus - Result of getSettingsHealthStatus
+ * @returns {string} Status line
+ */
+function describeSetting(definition, value, healthStatus) {
+  const prefix = `${definition.emoji} **${definition.label}:**`;
+  const { kind, ids } = settingsRegistry.getReferences(definition, value);
+
+  if (!kind) {
+    return `${prefix} ${settingsRegistry.format(definition.key, value)}`;
+  }
+  if (ids.length === 0) {
+    return `${prefix} ${definition.unsetText}`;
+  }
+
+  const targets = ids.map(id => {
+    const healthy = healthStatus.healthy.find(
+      entry => entry.key === definition.key && entry.id === id
+    );
+    if (healthy) {
+      return `✅ ${healthy.target} (${healthy.name})`;
+    }
+
+    const broken = healthStatus.broken.find(
+      entry => entry.key === definition.key && entry.id === id
+    );
+    const mention = kind === 'channel' ? `<#${id}>` : `<@&${id}>`;
+    return `❌ ${mention} (${broken.name})`;
+  });
+
+  return `${prefix} ${targets.join(', ')}`;
+}
+
+/**
+ * Describe one setting change, e.g. "Stats Channels: None → #stats"
+ * @param {Object} change - { key, oldValue, newValue }
+ * @returns {string} Change line
+ */
+export function describeSettingChange(change) {
+  const definition = settingsRegistry.get(change.key);
+  if (!definition) {
+    return `\`${change.key}\` (no longer exists): ${JSON.stringify(change.oldValue)} → ${JSON.stringify(change.newValue)}`;
+  }
+
+  return `${definition.emoji} **${definition.label}:** ${settingsRegistry.format(change.key, change.oldValue)} → ${settingsRegistry.format(change.key, change.newValue)}`;
+}
+
+/**
+ * Create the embed listing every guild setting and its health
+ * @param {Guild} guild - Discord guild object
+ * @returns {Promise<Object>} { embed, healthStatus }
+ */
+export async function createSettingsStatusEmbed(guild) {
+  const healthStatus = await guildSettingsService.getSettingsHealthStatus(
+    guild.id,
+    guild
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle('📊 Guild Settings Status')
+    .setColor(0x3498db)
+    .setTimestamp()
+    .setFooter({
+      text: `${guild.name} • Settings Health Check`
+    });
+
+  if (!healthStatus.hasSettings) {
+    embed.setDescription(
+      '✅ **No guild settings configured!**\n\nAll commands are currently unrestricted and can be used anywhere in the server.'
+    );
+    return { embed, healthStatus };
+  }
+
+  const settings = await guildSettingsService.getGuildSettings(guild.id);
+  let description = '**Guild Settings Status:**\n\n';
+
+  for (const definition of settingsRegistry.list()) {
+    description += `${describeSetting(definition, settings[definition.key], healthStatus)}\n`;
+  }
+
+  // Add health summary
+  if (healthStatus.brokenCount > 0) {
+    embed.setColor(0xff6b6b); // Red for broken settings
+    description += '\n⚠️ **Health Summary:**\n';
+    description += `✅ Healthy: ${healthStatus.healthyCount}\n`;
+    description += `❌ Broken: ${healthStatus.brokenCount}\n\n`;
+    description +=
+      '**Recommendation:** Use `/unbind` to remove broken settings.';
+  } else {
+    embed.setColor(0x2ecc71); // Green for all healthy
+    description += '\n✅ **All settings are healthy!**\n';
+    description += `All ${healthStatus.healthyCount} binding(s) are working correctly.`;
+  }
+
+  embed.setDescription(description);
+  return { embed, healthStatus };
+}
@@ -0,0 +1,285 @@
+import {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelSelectMenuBuilder,
+  RoleSelectMenuBuilder,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ChannelType
+} from 'discord.js';
+
+import settingsRegistry from '../../services/settingsRegistry.js';
+
+import { describeSettingChange } from './settingsView.js';
+
+// Channels that can hold the leaderboard and stats commands, plus categories
+const PICKABLE_CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildCategory
+];
+
+const BOOLEAN_CHOICES = [
+  { label: 'On', value: 'true' },
+  { label: 'Off', value: 'false' }
+];
+
+/**
+ * Every step of the wizard, one per registered setting
+ * The review step comes after the last one
+ * @returns {Array<Object>} Setting definitions
+ */
+export function getSetupSteps() {
+  return settingsRegistry.list();
+}
+
+/**
+ * Value a setting would have after the wizard is saved
+ * @param {Object} definition - Setting definition
+ * @param {Object|null} settings - Current guild settings
+ * @param {Object} draft - Values picked in the wizard (null means the default)
+ * @returns {*} The value
+ */
+function getPickedValue(definition, settings, draft) {
+  if (Object.hasOwn(draft, definition.key)) {
+    return draft[definition.key] ?? definition.default;
+  }
+  return settings?.[definition.key] ?? definition.default;
+}
+
+/**
+ * Render a value, showing the setting's unset text for empty lists too
+ * @param {Object} definition - Setting definition
+ * @param {*} value - Setting value
+ * @returns {string} Display text
+ */
+function formatValue(definition, value) {
+  if (value === null || (Array.isArray(value) && value.length === 0)) {
+    return definition.unsetText;
+  }
+  return settingsRegistry.format(definition.key, value);
+}
+
+/**
+ * Build the picker of a step, matching the setting's type
+ * Channels and roles get Discord's pickers, fixed choices a select menu, and
+ * anything else a button that opens a text input
+ * @param {Object} definition - Setting definition
+ * @param {*} value - Currently picked value
+ * @param {number} step - Step index
+ * @returns {ActionRowBuilder} Row holding the picker
+ */
+function createPicker(definition, value, step) {
+  const customId = `setup:pick:${step}`;
+  const isList = definition.type === 'list';
+  const kind = isList ? definition.itemType : definition.type;
+  const { ids } = settingsRegistry.getReferences(definition, value);
+
+  if (kind === 'channel') {
+    const menu = new ChannelSelectMenuBuilder()
+      .setCustomId(customId)
+      .setPlaceholder(isList ? 'Pick channels or categories' : 'Pick a channel')
+      .setChannelTypes(...PICKABLE_CHANNEL_TYPES)
+      .setMinValues(0)
+      .setMaxValues(isList ? 25 : 1);
+    if (ids.length > 0) menu.setDefaultChannels(ids.slice(0, 25));
+    return new ActionRowBuilder().addComponents(menu);
+  }
+
+  if (kind === 'role') {
+    const menu = new RoleSelectMenuBuilder()
+      .setCustomId(customId)
+      .setPlaceholder(isList ? 'Pick roles' : 'Pick a role')
+      .setMinValues(0)
+      .setMaxValues(isList ? 25 : 1);
+    if (ids.length > 0) menu.setDefaultRoles(ids.slice(0, 25));
+    return new ActionRowBuilder().addComponents(menu);
+  }
+
+  if (definition.type === 'boolean' || definition.choices) {
+    const choices =
+      definition.type === 'boolean'
+        ? BOOLEAN_CHOICES
+        : definition.choices.map(choice => ({ label: choice, value: choice }));
+
+    return new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(customId)
+        .setPlaceholder('Pick an option')
+        .addOptions(
+          choices.map(choice => ({
+            ...choice,
+            default: choice.value === String(value)
+          }))
+        )
+    );
+  }
+
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`setup:input:${step}`)
+      .setLabel('Enter a value')
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+/**
+ * Build the message of the current wizard step, or the review once every
+ * setting has been visited
+ * @param {Object} session - Setup session (see SetupSessionService)
+ * @param {Object|null} settings - Current guild settings
+ * @returns {Object} { embeds, components } ready for reply() or update()
+ */
+export function createSetupMessage(session, settings) {
+  const steps = getSetupSteps();
+  if (session.step >= steps.length) {
+    return createSetupReview(session, settings);
+  }
+
+  const definition = steps[session.step];
+  const current = settings?.[definition.key] ?? definition.default;
+  const picked = getPickedValue(definition, settings, session.draft);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`⚙️ Server Setup • Step ${session.step + 1}/${steps.length}`)
+    .setColor(0x3498db)
+    .setDescription(
+      `${definition.emoji} **${definition.label}**\n${definition.description || ''}`
+    )
+    .addFields({ name: 'Current', value: formatValue(definition, current) })
+    .setFooter({ text: 'Nothing is saved until the last step' });
+
+  if (JSON.stringify(picked) !== JSON.stringify(current)) {
+    embed.addFields({ name: 'New', value: formatValue(definition, picked) });
+  }
+
+  const navigation = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`setup:back:${session.step}`)
+      .setLabel('Back')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(session.step === 0),
+    new ButtonBuilder()
+      .setCustomId(`setup:default:${session.step}`)
+      .setLabel('Use default')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`setup:next:${session.step}`)
+      .setLabel('Next')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`setup:cancel:${session.step}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return {
+    embeds: [embed],
+    components: [createPicker(definition, picked, session.step), navigation]
+  };
+}
+
+/**
+ * Build the last step, listing what saving the wizard would change
+ * @param {Object} session - Setup session
+ * @param {Object|null} settings - Current guild settings
+ * @returns {Object} { embeds, components }
+ */
+function createSetupReview(session, settings) {
+  const changes = getSetupChanges(session, settings);
+  const summary = [
+    'Saving will change:',
+    '',
+    ...changes.map(describeSettingChange)
+  ].join('\n');
+
+  const embed = new EmbedBuilder()
+    .setTitle('⚙️ Server Setup • Review')
+    .setColor(0xf1c40f)
+    .setDescription(
+      changes.length > 0
+        ? summary.slice(0, 4096)
+        : 'Nothing was changed. Save to finish, or go back to pick settings.'
+    )
+    .setFooter({ text: 'Saved changes can be undone with /settings rollback' });
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`setup:back:${session.step}`)
+      .setLabel('Back')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`setup:save:${session.step}`)
+      .setLabel('Save')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`setup:cancel:${session.step}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return { embeds: [embed], components: [buttons] };
+}
+
+/**
+ * Settings the wizard would change if it was saved now
+ * @param {Object} session - Setup session
+ * @param {Object|null} settings - Current guild settings
+ * @returns {Array<Object>} Changes of { key, oldValue, newValue }
+ */
+export function getSetupChanges(session, settings) {
+  const changes = [];
+  for (const definition of getSetupSteps()) {
+    if (!Object.hasOwn(session.draft, definition.key)) continue;
+
+    const oldValue = settings?.[definition.key] ?? definition.default;
+    const newValue = getPickedValue(definition, settings, session.draft);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ key: definition.key, oldValue, newValue });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Turn what was picked in a step's select menu into a setting value
+ * @param {Object} definition - Setting definition
+ * @param {Array<string>} values - Selected values
+ * @returns {*} The value (null when nothing was picked)
+ */
+export function parseSelection(definition, values) {
+  if (definition.type === 'list') {
+    return values;
+  }
+  if (values.length === 0) {
+    return null;
+  }
+  if (definition.type === 'boolean') {
+    return values[0] === 'true';
+  }
+  return values[0];
+}
+
+/**
+ * Build the text input shown for settings without a picker
+ * @param {Object} definition - Setting definition
+ * @param {number} step - Step index
+ * @returns {ModalBuilder} The modal
+ */
+export function createSetupModal(definition, step) {
+  const input = new TextInputBuilder()
+    .setCustomId('value')
+    .setLabel(definition.label.slice(0, 45))
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder(settingsRegistry.getTypeLabel(definition).slice(0, 100))
+    .setRequired(true);
+
+  return new ModalBuilder()
+    .setCustomId(`setup:modal:${step}`)
+    .setTitle('Server Setup')
+    .addComponents(new ActionRowBuilder().addComponents(input));
+}
@@ -39,6 +39,9 @@ async function validateEnvironment() {
     logger.error(
       '  DATABASE_PATH - Path to SQLite database file (defaults to ./data/bot.db)'
     );
+    logger.error(
+      '  DATABASE_READ_ONLY - Open the database read-only (true/false)'
+    );
     logger.error('  NODE_ENV - Environment (development/production)');
     logger.error('  LOG_LEVEL - Logging level (error/warn/info/debug)');
     logger.error('  EMAIL - Email address for notifications');
@@ -112,11 +115,17 @@ async function main() {
       // Test email connection
       const connectionTest = await emailService.testConnection();
       if (!connectionTest) {
-        logger.warn('⚠️  Email connection test failed - notifications may not work');
+        logger.warn(
+          '⚠️  Email connection test failed - notifications may not work'
+        );
       }
     } else {
-      logger.warn('⚠️  Email service not configured - notifications will be disabled');
-      logger.warn('   To enable email notifications, set EMAIL and EMAIL_PASSWORD in your .env file');
+      logger.warn(
+        '⚠️  Email service not configured - notifications will be disabled'
+      );
+      logger.warn(
+        '   To enable email notifications, set EMAIL and EMAIL_PASSWORD in your .env file'
+      );
     }
 
     // Initialize Discord bot
@@ -129,49 +138,61 @@ async function main() {
     await healthMonitor.initialize(client);
 
     // Graceful shutdown handling
-    process.on('SIGINT', async() => {
+    process.on('SIGINT', () => {
       logger.info('Received SIGINT, shutting down gracefully...');
-      await shutdown(client);
+      return shutdown(client);
     });
 
-    process.on('SIGTERM', async() => {
+    process.on('SIGTERM', () => {
       logger.info('Received SIGTERM, shutting down gracefully...');
-      await shutdown(client);
+      return shutdown(client);
     });
 
     // Handle uncaught exceptions
     process.on('uncaughtException', async error => {
       logger.critical('Uncaught Exception - bot will crash', 'process', error);
-      
+
       // Send email notification for critical error
       if (emailService.isEmailConfigured()) {
         try {
-          await emailService.sendCriticalErrorNotification(error, 'uncaughtException');
+          await emailService.sendCriticalErrorNotification(
+            error,
+            'uncaughtException'
+          );
         } catch (emailError) {
-          logger.error('Failed to send critical error notification:', emailError);
+          logger.error(
+            'Failed to send critical error notification:',
+            emailError
+          );
         }
       }
-      
+
       process.exit(1);
     });
 
     // Handle unhandled promise rejections
-    process.on('unhandledRejection', async (reason, promise) => {
+    process.on('unhandledRejection', async reason => {
       logger.critical(
         'Unhandled Promise Rejection - bot will crash',
         'process',
         reason
       );
-      
+
       // Send email notification for critical error
       if (emailService.isEmailConfigured()) {
         try {
-          await emailService.sendCriticalErrorNotification(reason, 'unhandledRejection');
+          await emailService.sendCriticalErrorNotification(
+            reason,
+            'unhandledRejection'
+          );
         } catch (emailError) {
-          logger.error('Failed to send critical error notification:', emailError);
+          logger.error(
+            'Failed to send critical error notification:',
+            emailError
+          );
         }
       }
-      
+
       process.exit(1);
     });
 
@@ -192,16 +213,19 @@ async function main() {
       'startup',
       error
     );
-    
+
     // Send email notification for startup failure
     if (emailService.isEmailConfigured()) {
       try {
         await emailService.sendCriticalErrorNotification(error, 'startup');
       } catch (emailError) {
-        logger.error('Failed to send startup failure notification:', emailError);
+        logger.error(
+          'Failed to send startup failure notification:',
+          emailError
+        );
       }
     }
-    
+
     process.exit(1);
   }
 }
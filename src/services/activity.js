@@ -0,0 +1,214 @@
+import logger from '../core/logger.js';
+
+import scoreService from './scores.js';
+import guildSettingsService from './guildSettings.js';
+import settingsRegistry from './settingsRegistry.js';
+
+/**
+ * Guild setting backing each activity rule
+ * Defaults and limits are declared in the settings registry
+ */
+const RULE_SETTINGS = {
+  enabled: 'activity_enabled',
+  pointsPerMessage: 'activity_points_per_message',
+  cooldownSeconds: 'activity_cooldown_seconds',
+  minLength: 'activity_min_length',
+  excludedChannels: 'activity_excluded_channels'
+};
+
+/**
+ * Service for awarding points for chat activity
+ * Applies per-guild rules plus anti-spam checks (cooldowns, minimum length,
+ * excluded channels and repeated messages). The rules are guild settings, so
+ * they share the settings history, rollback and export
+ */
+class ActivityService {
+  constructor() {
+    this.lastAwards = new Map(); // guildId:userId -> timestamp of last award
+    this.recentMessages = new Map(); // guildId:userId -> [{ content, at }]
+    this.duplicateWindow = 10 * 60 * 1000; // Repeats within 10 minutes earn nothing
+    this.duplicateHistorySize = 5;
+    this.maxTrackedMembers = 10000;
+  }
+
+  /**
+   * Get the activity rules of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object>} Rules (defaults for anything the guild has not set)
+   */
+  async getRules(guildId) {
+    try {
+      const settings = await guildSettingsService.getGuildSettings(guildId);
+
+      const rules = {};
+      for (const [rule, key] of Object.entries(RULE_SETTINGS)) {
+        rules[rule] = settings
+          ? settings[key]
+          : settingsRegistry.get(key).default;
+      }
+      return rules;
+    } catch (error) {
+      logger.high('Failed to get activity rules', 'activity', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update some of a guild's activity rules
+   * The changes are stored as one settings history version
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} changes - Rules to change (enabled, pointsPerMessage, cooldownSeconds, minLength, excludedChannels)
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
+   * @returns {Promise<Object>} The updated rules
+   */
+  async updateRules(guildId, changes, changedBy = null) {
+    try {
+      const updates = Object.entries(changes).map(([rule, value]) => {
+        if (!RULE_SETTINGS[rule]) {
+          throw new Error(`Invalid activity rule: ${rule}`);
+        }
+        return { key: RULE_SETTINGS[rule], value };
+      });
+
+      await guildSettingsService.setGuildSettings(guildId, updates, changedBy);
+
+      logger.info(
+        `Updated activity rules for guild ${guildId}: ${JSON.stringify(changes)}`
+      );
+      return await this.getRules(guildId);
+    } catch (error) {
+      logger.high('Failed to update activity rules', 'activity', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exclude a channel (or category) from earning activity points
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Channel or category ID
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
+   * @returns {Promise<Object>} The updated rules
+   */
+  async excludeChannel(guildId, channelId, changedBy = null) {
+    const rules = await this.getRules(guildId);
+    if (rules.excludedChannels.includes(channelId)) {
+      return rules;
+    }
+    return await this.updateRules(
+      guildId,
+      { excludedChannels: [...rules.excludedChannels, channelId] },
+      changedBy
+    );
+  }
+
+  /**
+   * Allow a previously excluded channel (or category) to earn points again
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Channel or category ID
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
+   * @returns {Promise<Object>} The updated rules
+   */
+  async includeChannel(guildId, channelId, changedBy = null) {
+    const { excludedChannels } = await this.getRules(guildId);
+    return await this.updateRules(
+      guildId,
+      { excludedChannels: excludedChannels.filter(id => id !== channelId) },
+      changedBy
+    );
+  }
+
+  /**
+   * Award points for a chat message if it passes the guild's rules
+   * @param {Object} activity - The message activity
+   * @param {string} activity.guildId - Discord guild ID
+   * @param {string} activity.userId - Author's Discord user ID
+   * @param {string} activity.channelId - Channel the message was sent in
+   * @param {Array<string>} activity.parentIds - Parent channel/category IDs of that channel
+   * @param {string} activity.content - Message content
+   * @returns {Promise<Object>} { awarded, reason, total }
+   */
+  async handleMessage({ guildId, userId, channelId, parentIds = [], content }) {
+    const rules = await this.getRules(guildId);
+
+    if (!rules.enabled) {
+      return { awarded: false, reason: 'disabled' };
+    }
+
+    if (
+      [channelId, ...parentIds].some(id => rules.excludedChannels.includes(id))
+    ) {
+      return { awarded: false, reason: 'excluded-channel' };
+    }
+
+    const normalized = (content || '')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, ' ');
+    if (normalized.length < rules.minLength) {
+      return { awarded: false, reason: 'too-short' };
+    }
+
+    const memberKey = `${guildId}:${userId}`;
+    const now = Date.now();
+
+    if (this.isDuplicate(memberKey, normalized, now)) {
+      return { awarded: false, reason: 'duplicate' };
+    }
+
+    const lastAward = this.lastAwards.get(memberKey) || 0;
+    if (now - lastAward < rules.cooldownSeconds * 1000) {
+      return { awarded: false, reason: 'cooldown' };
+    }
+
+    this.lastAwards.set(memberKey, now);
+    this.pruneTracking(now);
+
+    const { total } = await scoreService.awardPoints(
+      guildId,
+      userId,
+      rules.pointsPerMessage,
+      { source: 'activity', reason: 'Chat activity' }
+    );
+
+    return { awarded: true, reason: 'awarded', total };
+  }
+
+  /**
+   * Check for a repeated message and remember this one
+   * @private
+   */
+  isDuplicate(memberKey, normalized, now) {
+    const history = (this.recentMessages.get(memberKey) || []).filter(
+      entry => now - entry.at < this.duplicateWindow
+    );
+
+    const duplicate = history.some(entry => entry.content === normalized);
+
+    history.push({ content: normalized, at: now });
+    this.recentMessages.set(
+      memberKey,
+      history.slice(-this.duplicateHistorySize)
+    );
+
+    return duplicate;
+  }
+
+  /**
+   * Forget stale anti-spam state so memory stays bounded
+   * @private
+   */
+  pruneTracking(now) {
+    if (this.lastAwards.size <= this.maxTrackedMembers) {
+      return;
+    }
+
+    for (const [key, at] of this.lastAwards) {
+      if (now - at > this.duplicateWindow) {
+        this.lastAwards.delete(key);
+        this.recentMessages.delete(key);
+      }
+    }
+  }
+}
+
+export default new ActivityService();
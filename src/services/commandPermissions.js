@@ -0,0 +1,445 @@
+import logger from '../core/logger.js';
+
+import database from './database.js';
+import guildSettingsService from './guildSettings.js';
+
+const TARGET_TYPES = ['role', 'user', 'channel'];
+
+const DECISION_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Render a rule target as a Discord mention
+ * @param {Object} rule - Permission rule
+ * @param {string|null} guildId - Discord guild ID (the ID of its @everyone role)
+ * @returns {string} Mention text
+ */
+function formatTarget(rule, guildId = null) {
+  if (rule.targetType === 'role') {
+    return rule.targetId === guildId ? '@everyone' : `<@&${rule.targetId}>`;
+  }
+  if (rule.targetType === 'user') {
+    return `<@${rule.targetId}>`;
+  }
+  return `<#${rule.targetId}>`;
+}
+
+/**
+ * Service for per-command permission rules
+ * Guild admins can grant or deny any command to roles, users and channels;
+ * commands without a matching rule keep their default (admin-only or open)
+ */
+class CommandPermissionService {
+  constructor() {
+    this.rulesCache = new Map(); // guildId -> rules
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Get the permission rules of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} commandName - Only return rules for this command
+   * @returns {Promise<Array>} Rules of { commandName, targetType, targetId, allowed, createdBy, createdAt }
+   */
+  async getRules(guildId, commandName = null) {
+    try {
+      if (!this.rulesCache.has(guildId)) {
+        const rows = await database.query(
+          `SELECT * FROM command_permissions
+           WHERE guild_id = ?
+           ORDER BY command_name, target_type, created_at`,
+          [guildId]
+        );
+        this.rulesCache.set(
+          guildId,
+          rows.map(row => ({
+            commandName: row.command_name,
+            targetType: row.target_type,
+            targetId: row.target_id,
+            allowed: row.allowed === 1,
+            createdBy: row.created_by,
+            createdAt: row.created_at
+          }))
+        );
+      }
+
+      const rules = this.rulesCache.get(guildId);
+      return commandName
+        ? rules.filter(rule => rule.commandName === commandName)
+        : rules;
+    } catch (error) {
+      logger.high(
+        'Failed to get command permissions',
+        'commandPermissions',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Grant or deny a command to a role, user or channel
+   * Replaces any existing rule for the same target
+   * @param {string} guildId - Discord guild ID
+   * @param {string} commandName - Command name
+   * @param {string} targetType - 'role', 'user' or 'channel'
+   * @param {string} targetId - Discord ID of the target
+   * @param {boolean} allowed - True to grant, false to deny
+   * @param {string|null} createdBy - Discord user ID of the admin
+   */
+  async setRule(
+    guildId,
+    commandName,
+    targetType,
+    targetId,
+    allowed,
+    createdBy = null
+  ) {
+    try {
+      if (!TARGET_TYPES.includes(targetType)) {
+        throw new Error(`Invalid permission target: ${targetType}`);
+      }
+
+      await database.execute(
+        `INSERT INTO command_permissions (guild_id, command_name, target_type, target_id, allowed, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (guild_id, command_name, target_type, target_id) DO UPDATE SET
+           allowed = excluded.allowed,
+           created_by = excluded.created_by,
+           created_at = CURRENT_TIMESTAMP`,
+        [guildId, commandName, targetType, targetId, allowed ? 1 : 0, createdBy]
+      );
+
+      this.rulesCache.delete(guildId);
+      logger.info(
+        `${allowed ? 'Granted' : 'Denied'} /${commandName} for ${targetType} ${targetId} in guild ${guildId}`
+      );
+    } catch (error) {
+      logger.high(
+        'Failed to set command permission',
+        'commandPermissions',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the rule of a command for one target
+   * @param {string} guildId - Discord guild ID
+   * @param {string} commandName - Command name
+   * @param {string} targetType - 'role', 'user' or 'channel'
+   * @param {string} targetId - Discord ID of the target
+   * @returns {Promise<boolean>} True if a rule was removed
+   */
+  async removeRule(guildId, commandName, targetType, targetId) {
+    try {
+      const result = await database.execute(
+        `DELETE FROM command_permissions
+         WHERE guild_id = ? AND command_name = ? AND target_type = ? AND target_id = ?`,
+        [guildId, commandName, targetType, targetId]
+      );
+
+      this.rulesCache.delete(guildId);
+      return result.changes > 0;
+    } catch (error) {
+      logger.high(
+        'Failed to remove command permission',
+        'commandPermissions',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every rule of a command
+   * @param {string} guildId - Discord guild ID
+   * @param {string} commandName - Command name
+   * @returns {Promise<number>} Number of rules removed
+   */
+  async resetCommand(guildId, commandName) {
+    try {
+      const result = await database.execute(
+        'DELETE FROM command_permissions WHERE guild_id = ? AND command_name = ?',
+        [guildId, commandName]
+      );
+
+      this.rulesCache.delete(guildId);
+      return result.changes;
+    } catch (error) {
+      logger.high(
+        'Failed to reset command permissions',
+        'commandPermissions',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every rule of a role, user or channel, e.g. after it was deleted
+   * @param {string} guildId - Discord guild ID
+   * @param {string} targetType - 'role', 'user' or 'channel'
+   * @param {string} targetId - Discord ID of the target
+   * @returns {Promise<Array<string>>} Names of the commands that had a rule
+   */
+  async removeTargetRules(guildId, targetType, targetId) {
+    try {
+      const rows = await database.query(
+        `SELECT command_name FROM command_permissions
+         WHERE guild_id = ? AND target_type = ? AND target_id = ?
+         ORDER BY command_name`,
+        [guildId, targetType, targetId]
+      );
+      if (rows.length === 0) {
+        return [];
+      }
+
+      await database.execute(
+        `DELETE FROM command_permissions
+         WHERE guild_id = ? AND target_type = ? AND target_id = ?`,
+        [guildId, targetType, targetId]
+      );
+
+      this.rulesCache.delete(guildId);
+      return rows.map(row => row.command_name);
+    } catch (error) {
+      logger.high(
+        'Failed to remove command permissions of a target',
+        'commandPermissions',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the cached rules of a guild, e.g. after its data was removed
+   * @param {string} guildId - Discord guild ID
+   */
+  clearCache(guildId) {
+    this.rulesCache.delete(guildId);
+  }
+
+  /**
+   * Decide whether a member may run a command
+   * Checked in order: Administrator permission, channel rules, the member's
+   * user rule, their role rules (specific roles before @everyone, deny before
+   * grant), and finally the command's default. A check that fails follows
+   * the guild's permission failure mode (see GuildSettingsService)
+   * @param {Object} context - Who is running which command where
+   * @param {string} context.guildId - Discord guild ID
+   * @param {string} context.commandName - Command name
+   * @param {string} context.userId - Discord user ID
+   * @param {Array<string>} context.roleIds - Member's role IDs
+   * @param {Array<string>} context.channelIds - Channel followed by its parent channel/category IDs
+   * @param {boolean} context.adminOnly - Whether the command (or subcommand) is admin-only by default
+   * @param {boolean} context.isAdministrator - Whether the member has Administrator (or owns the server)
+   * @param {boolean} context.canManageGuild - Whether the member has Manage Server
+   * @returns {Promise<Object>} { allowed, reason }
+   */
+  async evaluate(context) {
+    const { guildId, commandName, userId, roleIds, channelIds, adminOnly } =
+      context;
+
+    // Administrators can never lock themselves out
+    if (context.isAdministrator) {
+      return { allowed: true, reason: 'Server administrator' };
+    }
+
+    try {
+      const settings = await guildSettingsService.getGuildSettings(guildId);
+      const rules = await this.getRules(guildId, commandName);
+
+      // Channel rules: denials block, grants turn into an allow-list
+      const channelRules = rules.filter(rule => rule.targetType === 'channel');
+      const deniedChannel = channelRules.find(
+        rule => !rule.allowed && channelIds.includes(rule.targetId)
+      );
+      if (deniedChannel) {
+        return {
+          allowed: false,
+          reason: `/${commandName} is denied in ${formatTarget(deniedChannel)}.`
+        };
+      }
+
+      const allowedChannels = channelRules.filter(rule => rule.allowed);
+      if (
+        allowedChannels.length > 0 &&
+        !allowedChannels.some(rule => channelIds.includes(rule.targetId))
+      ) {
+        return {
+          allowed: false,
+          reason: `/${commandName} can only be used in ${allowedChannels.map(formatTarget).join(', ')}.`
+        };
+      }
+
+      const userRule = rules.find(
+        rule => rule.targetType === 'user' && rule.targetId === userId
+      );
+      if (userRule) {
+        return userRule.allowed
+          ? { allowed: true, reason: `/${commandName} is granted to you` }
+          : { allowed: false, reason: `/${commandName} is denied to you.` };
+      }
+
+      // The @everyone role shares the guild's ID and only applies when no
+      // specific role rule matches
+      const roleRules = rules.filter(
+        rule => rule.targetType === 'role' && roleIds.includes(rule.targetId)
+      );
+      const specificRules = roleRules.filter(rule => rule.targetId !== guildId);
+      const matching = specificRules.length > 0 ? specificRules : roleRules;
+      const deniedRole = matching.find(rule => !rule.allowed);
+      if (deniedRole) {
+        return {
+          allowed: false,
+          reason: `/${commandName} is denied to ${formatTarget(deniedRole, guildId)}.`
+        };
+      }
+      if (matching.length > 0) {
+        return {
+          allowed: true,
+          reason: `/${commandName} is granted to ${formatTarget(matching[0], guildId)}`
+        };
+      }
+
+      if (!adminOnly) {
+        return { allowed: true, reason: 'Open command' };
+      }
+
+      // Admin-only commands need the bound admin role, or Manage Server if none is bound
+      const adminRoleId = settings?.admin_role_id;
+      if (adminRoleId) {
+        if (roleIds.includes(adminRoleId)) {
+          return { allowed: true, reason: 'Admin role' };
+        }
+        return {
+          allowed: false,
+          reason: `You need the <@&${adminRoleId}> role to use this command.`
+        };
+      }
+      if (context.canManageGuild) {
+        return { allowed: true, reason: 'Manage Server permission' };
+      }
+      return {
+        allowed: false,
+        reason: 'You need the Manage Server permission to use this command.'
+      };
+    } catch (error) {
+      // The guild's policy decides whether a failed check allows the command
+      const failOpen =
+        guildSettingsService.getPermissionFailureMode(guildId) === 'open';
+      logger.high(
+        `Failed to check command permissions - failing ${failOpen ? 'open' : 'closed'}`,
+        'commandPermissions',
+        error
+      );
+      if (failOpen) {
+        return {
+          allowed: true,
+          reason: 'Permission check failed (failing open)'
+        };
+      }
+      return {
+        allowed: false,
+        reason:
+          'Permissions could not be checked right now, so the command was blocked. Please try again later.'
+      };
+    }
+  }
+
+  /**
+   * Record a permission decision in the audit trail
+   * Old decisions are pruned at most once an hour. Recording never throws, so
+   * a broken audit trail cannot block commands
+   * @param {Object} decision - Decision to record
+   * @param {string} decision.guildId - Discord guild ID
+   * @param {string} decision.userId - Discord user ID
+   * @param {string} decision.commandName - Command name (with subcommand, if any)
+   * @param {string} decision.channelId - Channel the command was used in
+   * @param {boolean} decision.allowed - Whether the command was allowed
+   * @param {string} decision.reason - Why it was allowed or denied
+   */
+  async recordDecision(decision) {
+    // Nothing is recorded while the database is read-only
+    if (database.getConnectionInfo().mode === 'read-only') return;
+
+    try {
+      await database.execute(
+        `INSERT INTO permission_decisions (guild_id, user_id, command_name, channel_id, allowed, reason)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          decision.guildId,
+          decision.userId,
+          decision.commandName,
+          decision.channelId,
+          decision.allowed ? 1 : 0,
+          decision.reason
+        ]
+      );
+
+      if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+        this.lastPrunedAt = Date.now();
+        await database.execute(
+          `DELETE FROM permission_decisions
+           WHERE created_at < datetime('now', ?)`,
+          [`-${DECISION_RETENTION_DAYS} days`]
+        );
+      }
+    } catch (error) {
+      logger.medium(
+        'Failed to record permission decision - audit trail incomplete',
+        'commandPermissions',
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the most recent denied commands of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} options - Filters
+   * @param {string|null} options.userId - Only denials of this user
+   * @param {string|null} options.commandName - Only denials of this command
+   * @param {number} options.limit - Maximum number of denials (default 10)
+   * @returns {Promise<Array>} Denials, newest first
+   */
+  async getRecentDenials(
+    guildId,
+    { userId = null, commandName = null, limit = 10 } = {}
+  ) {
+    try {
+      return await database.query(
+        `SELECT user_id, command_name, channel_id, reason, created_at
+         FROM permission_decisions
+         WHERE guild_id = ? AND allowed = 0
+           AND (? IS NULL OR user_id = ?)
+           AND (? IS NULL OR command_name = ? OR command_name LIKE ? || ' %')
+         ORDER BY created_at DESC, id DESC
+         LIMIT ?`,
+        [guildId, userId, userId, commandName, commandName, commandName, limit]
+      );
+    } catch (error) {
+      logger.high(
+        'Failed to get permission denials',
+        'commandPermissions',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Describe a rule for display in Discord
+   * @param {Object} rule - Permission rule
+   * @param {string} guildId - Discord guild ID
+   * @returns {string} Display text
+   */
+  formatRule(rule, guildId) {
+    return `${rule.allowed ? '✅ Granted to' : '⛔ Denied to'} ${formatTarget(rule, guildId)}`;
+  }
+}
+
+export default new CommandPermissionService();
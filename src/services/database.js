@@ -1,4 +1,6 @@
-import { join } from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
 
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
@@ -7,6 +9,9 @@ import config from '../core/config.js';
 import logger from '../core/logger.js';
 import MigrationRunner from '../data/migrations/migrationRunner.js';
 
+// Errors raised while another connection (e.g. npm run migrate) holds a lock
+const BUSY_ERROR_CODES = ['SQLITE_BUSY', 'SQLITE_LOCKED'];
+
 /**
  * Database service for SQLite operations
  * Provides a clean interface for database interactions
@@ -15,6 +20,13 @@ class DatabaseService {
   constructor() {
     this.db = null;
     this.isConnected = false;
+    this.path = null;
+    this.readOnly = false;
+    this.busyTimeout = 5000; // How long a statement waits for another connection's lock
+    this.transactionRetries = 5; // Attempts for a transaction that finds the database busy
+    this.transactionContext = new AsyncLocalStorage(); // Context of the running transaction, see runTransaction()
+    this.lock = Promise.resolve(); // Settles when the running transaction or statement is done
+    this.savepointCount = 0; // Numbers savepoint names, so no two share one
   }
 
   /**
@@ -22,26 +34,9 @@ class DatabaseService {
    */
   async initialize() {
     try {
-      // Ensure data directory exists
-      const fs = await import('fs');
-      const dataDir = config.dataDir;
-
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-        logger.info(`Created data directory: ${dataDir}`);
-      }
-
-      // Open database connection
-      const dbPath = join(dataDir, 'bot.db');
-      this.db = await open({
-        filename: dbPath,
-        driver: sqlite3.Database
-      });
-
-      this.isConnected = true;
-      logger.info(`Connected to database: ${dbPath}`);
+      await this.connect();
 
-      // Run initial migrations
+      // Bring the schema up to date
       await this.runMigrations();
 
       logger.info('Database initialization completed');
@@ -55,48 +50,76 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Open the database connection without touching the schema
+   * Used by initialize() and by the migration CLI (npm run migrate)
+   * The location and mode come from DATABASE_PATH and DATABASE_READ_ONLY
+   */
+  async connect() {
+    const { path, readOnly } = config.database;
+    const inMemory = path === ':memory:';
+
+    if (inMemory && readOnly) {
+      throw new Error(
+        'Invalid database configuration: an in-memory database cannot be read-only'
+      );
+    }
+    if (readOnly && !existsSync(path)) {
+      throw new Error(`Read-only database not found: ${path}`);
+    }
+
+    // Ensure the database directory exists
+    if (!inMemory && !readOnly && !existsSync(dirname(path))) {
+      mkdirSync(dirname(path), { recursive: true });
+      logger.info(`Created data directory: ${dirname(path)}`);
+    }
+
+    this.db = await open({
+      filename: path,
+      driver: sqlite3.Database,
+      mode: readOnly
+        ? sqlite3.OPEN_READONLY
+        : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE
+    });
+
+    this.db.configure('busyTimeout', this.busyTimeout);
+
+    this.path = path;
+    this.readOnly = readOnly;
+    this.isConnected = true;
+    logger.info(
+      `Connected to database: ${path} (${this.getConnectionInfo().mode})`
+    );
+  }
+
   /**
    * Run database migrations
+   * The schema lives in numbered files in src/data/migrations
    */
   async runMigrations() {
     try {
-      // Create core tables first (these are not in migration files)
-      await this.db.exec(`
-        CREATE TABLE IF NOT EXISTS users (
-          id TEXT PRIMARY KEY,
-          discord_id TEXT UNIQUE NOT NULL,
-          username TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      await this.db.exec(`
-        CREATE TABLE IF NOT EXISTS guilds (
-          id TEXT PRIMARY KEY,
-          discord_id TEXT UNIQUE NOT NULL,
-          name TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Clean up old unused tables
-      const commandBindingsExists = await this.db.get(`
-        SELECT name FROM sqlite_master 
-        WHERE type='table' AND name='command_bindings'
-      `);
-
-      if (commandBindingsExists) {
-        logger.info('Removing unused command_bindings table...');
-        await this.db.exec('DROP TABLE command_bindings');
+      const migrationRunner = new MigrationRunner(this.db);
+
+      // Replicas are migrated through their primary database
+      if (this.readOnly) {
+        const outstanding = (await migrationRunner.getStatus()).filter(
+          entry => entry.status !== 'applied'
+        );
+        if (outstanding.length > 0) {
+          logger.warn(
+            `Read-only database has ${outstanding.length} migration(s) not applied, run them against the primary database`
+          );
+        }
+        return;
       }
 
-      // Run migration files
-      const migrationRunner = new MigrationRunner(this.db);
-      await migrationRunner.runPendingMigrations();
+      const applied = await migrationRunner.runPendingMigrations();
 
-      logger.info('Database migrations completed');
+      logger.info(
+        applied.length > 0
+          ? `Database migrations completed (${applied.length} applied)`
+          : 'Database schema is up to date'
+      );
     } catch (error) {
       logger.critical(
         'Database migrations failed - bot cannot function without proper schema',
@@ -122,8 +145,7 @@ class DatabaseService {
    */
   async query(sql, params = []) {
     try {
-      const db = this.getDatabase();
-      return await db.all(sql, params);
+      return await this.runStatement(db => db.all(sql, params));
     } catch (error) {
       logger.critical('Database query failed', 'database', error);
       throw error;
@@ -135,8 +157,7 @@ class DatabaseService {
    */
   async queryOne(sql, params = []) {
     try {
-      const db = this.getDatabase();
-      return await db.get(sql, params);
+      return await this.runStatement(db => db.get(sql, params));
     } catch (error) {
       logger.critical('Database single query failed', 'database', error);
       throw error;
@@ -148,16 +169,171 @@ class DatabaseService {
    */
   async execute(sql, params = []) {
     try {
-      const db = this.getDatabase();
-      const result = await db.run(sql, params);
-      return result;
+      return await this.runStatement(db => db.run(sql, params));
     } catch (error) {
       logger.critical('Database execute operation failed', 'database', error);
       throw error;
     }
   }
 
+  /**
+   * Run several statements as one unit of work
+   * Every query made while the callback runs, through tx or this service, is
+   * committed together, and nothing is kept if the callback throws. Inside
+   * another transaction it becomes a savepoint, so a failure only undoes its
+   * own statements. Statements from outside wait until the transaction is
+   * finished. If the database stays busy or locked the whole callback is run
+   * again, so it should not do anything besides database work
+   * @param {Function} work - async tx => result, tx has query, queryOne, execute and transaction
+   * @returns {Promise<*>} What the callback returned
+   */
+  async transaction(work) {
+    const current = this.getActiveTransaction();
+    if (current) {
+      // Savepoints of one transaction run one after another, since releasing
+      // or rolling back one would also end any savepoint opened after it
+      return this.withLock(() => this.runSavepoint(current, work), current);
+    }
+
+    return this.withLock(() => this.retryTransaction(work));
+  }
+
+  /**
+   * Run a top-level transaction, starting over while the database is busy
+   * @private
+   * @param {Function} work - async tx => result
+   * @returns {Promise<*>} What the callback returned
+   */
+  async retryTransaction(work) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.runTransaction(work);
+      } catch (error) {
+        if (
+          !BUSY_ERROR_CODES.includes(error.code) ||
+          attempt >= this.transactionRetries
+        ) {
+          throw error;
+        }
+
+        const delay = 100 * 2 ** (attempt - 1);
+        logger.warn(
+          `Database busy (${error.code}), retrying transaction in ${delay}ms (attempt ${attempt + 1}/${this.transactionRetries})`
+        );
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Run a callback in a new top-level transaction
+   * @private
+   * @param {Function} work - async tx => result
+   * @returns {Promise<*>} What the callback returned
+   */
+  async runTransaction(work) {
+    const db = this.getDatabase();
+    // finished is set once the transaction ends: timers and promises started
+    // by the callback keep this context but must not use the transaction
+    const context = { parent: null, finished: false, lock: Promise.resolve() };
+
+    // IMMEDIATE takes the write lock up front, so a busy database fails here
+    await db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = await this.transactionContext.run(context, () =>
+        work(this)
+      );
+      await db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      // A failed COMMIT can leave nothing to roll back
+      await db.exec('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      context.finished = true;
+    }
+  }
+
+  /**
+   * Run a callback in a savepoint of the running transaction
+   * @private
+   * @param {Object} parent - Context of the enclosing transaction
+   * @param {Function} work - async tx => result
+   * @returns {Promise<*>} What the callback returned
+   */
+  async runSavepoint(parent, work) {
+    const db = this.getDatabase();
+    const name = `savepoint_${++this.savepointCount}`;
+    const context = { parent, finished: false, lock: Promise.resolve() };
 
+    await db.exec(`SAVEPOINT ${name}`);
+    try {
+      const result = await this.transactionContext.run(context, () =>
+        work(this)
+      );
+      await db.exec(`RELEASE ${name}`);
+      return result;
+    } catch (error) {
+      await db.exec(`ROLLBACK TO ${name}`);
+      await db.exec(`RELEASE ${name}`);
+      throw error;
+    } finally {
+      context.finished = true;
+    }
+  }
+
+  /**
+   * Get the innermost transaction or savepoint the caller is still part of
+   * Work that outlives a savepoint belongs to the enclosing transaction, and
+   * work that outlives the transaction to none
+   * @private
+   * @returns {Object|null} Transaction context, or null outside a transaction
+   */
+  getActiveTransaction() {
+    let context = this.transactionContext.getStore();
+    while (context?.finished) {
+      context = context.parent;
+    }
+    return context || null;
+  }
+
+  /**
+   * Run a statement, waiting for the running transaction unless the
+   * statement is part of it
+   * @private
+   * @param {Function} statement - db => Promise
+   * @returns {Promise<*>} The statement's result
+   */
+  runStatement(statement) {
+    const db = this.getDatabase();
+    if (this.getActiveTransaction()) {
+      return statement(db);
+    }
+    return this.withLock(() => statement(db));
+  }
+
+  /**
+   * Run a callback once everything queued before it has finished
+   * @private
+   * @param {Function} callback - async () => result
+   * @param {Object} holder - Whose queue to join: this service (the whole
+   * database) or a transaction context (its savepoints)
+   * @returns {Promise<*>} What the callback returned
+   */
+  async withLock(callback, holder = this) {
+    const previous = holder.lock;
+    let release;
+    holder.lock = new Promise(resolve => {
+      release = resolve;
+    });
+
+    await previous;
+    try {
+      return await callback();
+    } finally {
+      release();
+    }
+  }
 
   /**
    * Close database connection
@@ -170,6 +346,20 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Where the database is and how it was opened
+   * @returns {Object} { path, mode, connected } - mode is 'in-memory', 'read-only' or 'read-write'
+   */
+  getConnectionInfo() {
+    let mode = 'read-write';
+    if (this.path === ':memory:') {
+      mode = 'in-memory';
+    } else if (this.readOnly) {
+      mode = 'read-only';
+    }
+    return { path: this.path, mode, connected: this.isConnected };
+  }
+
   /**
    * Check if database is connected
    */
@@ -0,0 +1,138 @@
+import logger from '../core/logger.js';
+import config from '../core/config.js';
+import guildRepository from '../data/repositories/guildRepository.js';
+
+import database from './database.js';
+import guildSettingsService from './guildSettings.js';
+import commandPermissionService from './commandPermissions.js';
+
+/**
+ * Service for the lifecycle of a guild's stored data
+ * When the bot is removed from a guild its data is kept for a grace period
+ * (GUILD_DATA_GRACE_DAYS), then deleted from every table keyed by guild_id
+ */
+class GuildDataService {
+  /**
+   * Schedule a guild's data for deletion
+   * Keeps the original removal time if the guild was already scheduled
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} guildName - Guild name, for the logs
+   */
+  async markRemoved(guildId, guildName = null) {
+    try {
+      await database.execute(
+        `INSERT INTO guild_removals (guild_id, guild_name)
+         VALUES (?, ?)
+         ON CONFLICT (guild_id) DO NOTHING`,
+        [guildId, guildName]
+      );
+
+      logger.info(
+        `Scheduled data of guild ${guildName || guildId} for deletion in ${config.guildCleanup.graceDays} day(s)`
+      );
+    } catch (error) {
+      logger.high('Failed to schedule guild data deletion', 'guildData', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep a guild's data, e.g. because the bot was added back
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} True if a deletion was cancelled
+   */
+  async cancelRemoval(guildId) {
+    try {
+      const result = await database.execute(
+        'DELETE FROM guild_removals WHERE guild_id = ?',
+        [guildId]
+      );
+
+      if (result.changes > 0) {
+        logger.info(`Cancelled data deletion of guild ${guildId}`);
+      }
+      return result.changes > 0;
+    } catch (error) {
+      logger.high('Failed to cancel guild data deletion', 'guildData', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the data of every guild the bot is still in
+   * Covers guilds that added the bot back while it was offline
+   * @param {Array<string>} guildIds - IDs of the guilds the bot is in
+   * @returns {Promise<number>} Number of deletions cancelled
+   */
+  async cancelRemovals(guildIds) {
+    let cancelled = 0;
+    for (const guildId of guildIds) {
+      if (await this.cancelRemoval(guildId)) cancelled++;
+    }
+    return cancelled;
+  }
+
+  /**
+   * Delete the data of every guild whose grace period is over
+   * @returns {Promise<number>} Number of guilds deleted
+   */
+  async purgeExpired() {
+    try {
+      const expired = await database.query(
+        `SELECT guild_id, guild_name FROM guild_removals
+         WHERE removed_at <= datetime('now', ?)`,
+        [`-${config.guildCleanup.graceDays} days`]
+      );
+
+      for (const removal of expired) {
+        await this.purgeGuild(removal.guild_id);
+        logger.info(
+          `Deleted data of guild ${removal.guild_name || removal.guild_id} after its grace period`
+        );
+      }
+      return expired.length;
+    } catch (error) {
+      logger.high('Failed to delete expired guild data', 'guildData', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete everything stored for a guild
+   * Every table with a guild_id column is cleared, so tables added later are
+   * covered without changes here
+   * @param {string} guildId - Discord guild ID
+   */
+  async purgeGuild(guildId) {
+    try {
+      const tables = await database.query(
+        `SELECT name FROM sqlite_master
+         WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'guild_removals'`
+      );
+
+      await database.transaction(async tx => {
+        for (const { name } of tables) {
+          const columns = await tx.query(`PRAGMA table_info("${name}")`);
+          if (columns.some(column => column.name === 'guild_id')) {
+            await tx.execute(`DELETE FROM "${name}" WHERE guild_id = ?`, [
+              guildId
+            ]);
+          }
+        }
+        // The guilds table is keyed by Discord ID instead
+        await guildRepository.remove(guildId);
+        await tx.execute('DELETE FROM guild_removals WHERE guild_id = ?', [
+          guildId
+        ]);
+      });
+
+      guildSettingsService.invalidateCache(guildId);
+      commandPermissionService.clearCache(guildId);
+    } catch (error) {
+      logger.high('Failed to delete guild data', 'guildData', error);
+      throw error;
+    }
+  }
+}
+
+export default new GuildDataService();
@@ -1,16 +1,45 @@
+import { ChannelType } from 'discord.js';
+
 import logger from '../core/logger.js';
+import config from '../core/config.js';
+import guildSettingsRepository from '../data/repositories/guildSettingsRepository.js';
 
 import database from './database.js';
+import settingsRegistry from './settingsRegistry.js';
+
+// Channel-bound resource whose allow and deny lists each command follows
+const COMMAND_CHANNEL_RESOURCES = {
+  leaderboard: 'leaderboard',
+  stats: 'stats',
+  rank: 'stats',
+  profile: 'stats'
+};
 
 /**
  * Service for managing guild settings
  * Handles guild-specific configurations like channel and role bindings
+ * Settings are declared in the settings registry and stored as JSON values
+ * in the guild_setting_values table
  */
 class GuildSettingsService {
+  constructor() {
+    // Last known permission_failure_mode of each guild, kept in memory because
+    // it is needed when the database is unavailable
+    this.failureModes = new Map(); // guildId -> 'open' | 'closed'
+
+    // Read-through cache of getGuildSettings, invalidated by every write
+    this.cache = new Map(); // guildId -> { settings, expiresAt }
+    this.cacheTtl = 60 * 1000; // Re-read settings at least once a minute
+    this.cacheStats = { hits: 0, misses: 0, invalidations: 0 };
+  }
+
   /**
    * Get all settings for a guild
+   * Unset settings are filled in with their registry defaults. Results are
+   * cached for a minute; callers get their own copy, so changing it does not
+   * change the cache
    * @param {string} guildId - Discord guild ID
-   * @returns {Promise<Object|null>} Guild settings object or null if not found
+   * @returns {Promise<Object|null>} Guild settings object (keyed by setting key) or null if nothing is set
    */
   async getGuildSettings(guildId) {
     try {
@@ -22,17 +51,45 @@ class GuildSettingsService {
         return null;
       }
 
+      const cached = this.cache.get(guildId);
+      if (cached && cached.expiresAt > Date.now()) {
+        this.cacheStats.hits++;
+        return structuredClone(cached.settings);
+      }
+      this.cacheStats.misses++;
+
       // Check if database is connected
       if (!database.isDatabaseConnected()) {
         throw new Error('Database not initialized');
       }
 
-      const settings = await database.queryOne(
-        'SELECT * FROM guild_settings WHERE guild_id = ?',
-        [guildId]
-      );
+      const values = await guildSettingsRepository.getValues(guildId);
+
+      if (values.size === 0) {
+        this.failureModes.delete(guildId);
+        this.cacheSettings(guildId, null);
+        return null;
+      }
 
-      return settings;
+      const settings = { guild_id: guildId };
+      for (const definition of settingsRegistry.list()) {
+        settings[definition.key] = definition.default;
+      }
+      for (const [key, value] of values) {
+        // Values of settings that are no longer registered are ignored
+        if (settingsRegistry.get(key)) {
+          settings[key] = JSON.parse(value);
+        }
+      }
+
+      if (settings.permission_failure_mode) {
+        this.failureModes.set(guildId, settings.permission_failure_mode);
+      } else {
+        this.failureModes.delete(guildId);
+      }
+
+      this.cacheSettings(guildId, settings);
+      return structuredClone(settings);
     } catch (error) {
       logger.high(
         'Failed to get guild settings - this affects bot functionality',
@@ -43,70 +100,83 @@ class GuildSettingsService {
     }
   }
 
+  /**
+   * Remember the settings of a guild until the cache TTL runs out
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {Object|null} settings - Settings loaded from the database
+   */
+  cacheSettings(guildId, settings) {
+    this.cache.set(guildId, {
+      settings,
+      expiresAt: Date.now() + this.cacheTtl
+    });
+  }
+
+  /**
+   * Drop cached settings so the next read goes to the database
+   * @param {string|null} guildId - Discord guild ID, or null for every guild
+   */
+  invalidateCache(guildId = null) {
+    if (guildId === null) {
+      this.cache.clear();
+    } else {
+      this.cache.delete(guildId);
+    }
+    this.cacheStats.invalidations++;
+  }
+
+  /**
+   * Settings cache metrics, for the health monitor
+   * @returns {Object} { size, hits, misses, invalidations, hitRate, ttlSeconds }
+   */
+  getCacheStats() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses;
+    return {
+      size: this.cache.size,
+      ...this.cacheStats,
+      hitRate: lookups > 0 ? this.cacheStats.hits / lookups : null,
+      ttlSeconds: this.cacheTtl / 1000
+    };
+  }
+
   /**
    * Set a specific setting for a guild
+   * The change is recorded in the guild's settings history
    * @param {string} guildId - Discord guild ID
-   * @param {string} settingKey - The setting key (stats_channel_id, leaderboard_channel_id, admin_role_id)
-   * @param {string|null} settingValue - The setting value (channel/role ID or null to clear)
-   * @returns {Promise<Object>} Updated settings object
+   * @param {string} settingKey - A setting key from the settings registry
+   * @param {*} settingValue - The setting value (null to reset it to its default)
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
+   * @returns {Promise<Object|null>} Updated settings object
    */
-  async setGuildSetting(guildId, settingKey, settingValue) {
+  async setGuildSetting(guildId, settingKey, settingValue, changedBy = null) {
     try {
       if (!guildId) {
         throw new Error('guildId is required');
       }
 
-      // Validate setting key
-      const validKeys = [
-        'stats_channel_id',
-        'leaderboard_channel_id',
-        'admin_role_id'
-      ];
-      if (!validKeys.includes(settingKey)) {
+      // Validate setting key and value against the registry
+      if (!settingsRegistry.get(settingKey)) {
         logger.medium(
           `Invalid setting key attempted: ${settingKey}`,
           'guildSettings'
         );
-        throw new Error(`Invalid setting key: ${settingKey}`);
       }
+      settingsRegistry.validate(settingKey, settingValue);
 
       // Check if database is connected
       if (!database.isDatabaseConnected()) {
         throw new Error('Database not initialized');
       }
 
-      // Check if guild settings exist
-      const existingSettings = await this.getGuildSettings(guildId);
-
-      if (existingSettings) {
-        // Update existing settings
-        await database.execute(
-          `UPDATE guild_settings SET ${settingKey} = ?, updated_at = CURRENT_TIMESTAMP WHERE guild_id = ?`,
-          [settingValue, guildId]
-        );
-      } else {
-        // Create new settings record
-        const settings = {
-          stats_channel_id: null,
-          leaderboard_channel_id: null,
-          admin_role_id: null
-        };
-        settings[settingKey] = settingValue;
-
-        await database.execute(
-          `INSERT INTO guild_settings (guild_id, stats_channel_id, leaderboard_channel_id, admin_role_id, updated_at)
-           VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-          [
-            guildId,
-            settings.stats_channel_id,
-            settings.leaderboard_channel_id,
-            settings.admin_role_id
-          ]
-        );
-      }
+      await this.writeSettings(
+        guildId,
+        [{ key: settingKey, value: settingValue }],
+        changedBy
+      );
 
       logger.info(
-        `Updated guild setting: ${settingKey} = ${settingValue} for guild ${guildId}`
+        `Updated guild setting: ${settingKey} = ${JSON.stringify(settingValue)} for guild ${guildId}`
       );
 
       // Return updated settings
@@ -121,11 +191,51 @@ class GuildSettingsService {
     }
   }
 
+  /**
+   * Set several settings for a guild as a single history version
+   * Every value is validated before anything is stored
+   * @param {string} guildId - Discord guild ID
+   * @param {Array<Object>} updates - { key, value } pairs (null value resets a setting)
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
+   * @param {string|null} note - Why the change was made (shown in the history)
+   * @returns {Promise<Object>} { version, changes } - version is null if nothing changed
+   */
+  async setGuildSettings(guildId, updates, changedBy = null, note = null) {
+    try {
+      if (!guildId) {
+        throw new Error('guildId is required');
+      }
+      for (const { key, value } of updates) {
+        settingsRegistry.validate(key, value);
+      }
+
+      const result = await this.writeSettings(
+        guildId,
+        updates,
+        changedBy,
+        note
+      );
+      await this.getGuildSettings(guildId);
+
+      logger.info(
+        `Updated ${result.changes.length} guild setting(s) for guild ${guildId}${note ? ` (${note})` : ''}`
+      );
+      return result;
+    } catch (error) {
+      logger.high(
+        'Failed to set guild settings - this affects bot configuration',
+        'guildSettings',
+        error
+      );
+      throw error;
+    }
+  }
+
   /**
    * Get a specific setting for a guild
    * @param {string} guildId - Discord guild ID
    * @param {string} settingKey - The setting key
-   * @returns {Promise<string|null>} The setting value or null if not set
+   * @returns {Promise<*>} The setting value, or its default if not set
    */
   async getGuildSetting(guildId, settingKey) {
     try {
@@ -138,7 +248,10 @@ class GuildSettingsService {
       }
 
       const settings = await this.getGuildSettings(guildId);
-      return settings ? settings[settingKey] : null;
+      if (settings) {
+        return settings[settingKey] ?? null;
+      }
+      return settingsRegistry.get(settingKey)?.default ?? null;
     } catch (error) {
       logger.high(
         'Failed to get specific guild setting - this affects bot functionality',
@@ -150,14 +263,100 @@ class GuildSettingsService {
   }
 
   /**
-   * Check if a user can use a command based on guild settings
+   * Get the channels a resource is bound to
+   * @param {string} guildId - Discord guild ID
+   * @param {string} resource - Channel-bound resource ('leaderboard' or 'stats')
+   * @returns {Promise<Object>} { allowed, denied } lists of channel/category IDs
+   */
+  async getChannelBinding(guildId, resource) {
+    const settings = await this.getGuildSettings(guildId);
+    return this.toChannelBinding(settings, resource);
+  }
+
+  /**
+   * Check a channel against a resource's allow and deny lists
+   * Deny entries win; an empty allow list allows every channel
+   * @param {Object} binding - { allowed, denied } (see getChannelBinding)
+   * @param {Array<string>} channelIds - The channel followed by its parent channel/category IDs
+   * @returns {boolean} True if the resource may be used there
+   */
+  isChannelAllowed(binding, channelIds) {
+    if (channelIds.some(id => binding.denied.includes(id))) {
+      return false;
+    }
+    return (
+      binding.allowed.length === 0 ||
+      channelIds.some(id => binding.allowed.includes(id))
+    );
+  }
+
+  /**
+   * Pick the channel a resource should be published in
+   * Categories stand for their text channels; the near channel itself, then a
+   * channel in its category, is preferred
+   * @param {Object} guild - Discord guild object with channels cache
+   * @param {string} resource - Channel-bound resource ('leaderboard' or 'stats')
+   * @param {Object|null} near - Channel to stay close to (e.g. where a command was used)
+   * @returns {Promise<Object|null>} A usable text channel, or null if none exists
+   */
+  async resolveBoundChannel(guild, resource, near = null) {
+    const binding = await this.getChannelBinding(guild.id, resource);
+
+    const candidates = [];
+    for (const id of binding.allowed) {
+      const channel = guild.channels.cache.get(id);
+      if (!channel) continue;
+
+      if (channel.type === ChannelType.GuildCategory) {
+        candidates.push(
+          ...guild.channels.cache
+            .filter(child => child.parentId === id && child.isTextBased())
+            .sort((a, b) => a.position - b.position)
+            .values()
+        );
+      } else if (channel.isTextBased()) {
+        candidates.push(channel);
+      }
+    }
+
+    const usable = candidates.filter(channel =>
+      this.isChannelAllowed(binding, [channel.id, channel.parentId])
+    );
+    if (near && usable.some(channel => channel.id === near.id)) {
+      return near;
+    }
+    if (near?.parentId) {
+      const sameCategory = usable.find(
+        channel => channel.parentId === near.parentId
+      );
+      if (sameCategory) return sameCategory;
+    }
+    return usable[0] || null;
+  }
+
+  /**
+   * Read a resource's allow and deny lists from an already loaded settings object
+   * @param {Object|null} settings - Result of getGuildSettings
+   * @param {string} resource - Channel-bound resource ('leaderboard' or 'stats')
+   * @returns {Object} { allowed, denied } lists of channel/category IDs
+   */
+  toChannelBinding(settings, resource) {
+    return {
+      allowed: settings?.[`${resource}_channels`] || [],
+      denied: settings?.[`${resource}_denied_channels`] || []
+    };
+  }
+
+  /**
+   * Check if a command may be used in a channel based on its channel bindings
+   * Who may run a command is decided by the /permissions rules (see commandPermissions.js)
    * @param {string} guildId - Discord guild ID
    * @param {string} commandName - Name of the command
    * @param {string} channelId - Discord channel ID where command was used
-   * @param {Array} userRoles - Array of role IDs the user has
-   * @returns {Promise<boolean>} True if user can use the command
+   * @param {Array} parentIds - Parent channel/category IDs of that channel (for category bindings)
+   * @returns {Promise<boolean>} True if the command can be used there
    */
-  async canUseCommand(guildId, commandName, channelId, userRoles = []) {
+  async canUseCommand(guildId, commandName, channelId, parentIds = []) {
     try {
       const settings = await this.getGuildSettings(guildId);
 
@@ -166,47 +365,40 @@ class GuildSettingsService {
         return true;
       }
 
-      switch (commandName) {
-      case 'leaderboard':
-        // Check if leaderboard is bound to a specific channel
-        if (settings.leaderboard_channel_id) {
-          return channelId === settings.leaderboard_channel_id;
-        }
-        return true;
-
-      case 'stats':
-        // Check if stats is bound to a specific channel
-        if (settings.stats_channel_id) {
-          return channelId === settings.stats_channel_id;
-        }
-        return true;
-
-      case 'bind':
-      case 'unbind':
-      case 'bindings':
-      case 'cleanup':
-        // Admin commands - check if user has admin role
-        if (settings.admin_role_id) {
-          return userRoles.includes(settings.admin_role_id);
-        }
-        return true;
-
-      default:
+      // Check the allow and deny lists of the command's channel resource
+      const resource = COMMAND_CHANNEL_RESOURCES[commandName];
+      if (!resource) {
         return true;
       }
+      return this.isChannelAllowed(this.toChannelBinding(settings, resource), [
+        channelId,
+        ...parentIds
+      ]);
     } catch (error) {
+      const failOpen = this.getPermissionFailureMode(guildId) === 'open';
       logger.high(
-        'Failed to check command permissions - security risk, failing open',
+        `Failed to check command channel bindings - failing ${failOpen ? 'open' : 'closed'}`,
         'guildSettings',
         error
       );
-      // Fail open - allow command if there's an error (security consideration)
-      return true;
+      return failOpen;
     }
   }
 
+  /**
+   * How permission checks behave when they fail
+   * Uses the guild's last known permission_failure_mode, since the lookup may
+   * be what failed, and falls back to PERMISSION_FAILURE_MODE
+   * @param {string} guildId - Discord guild ID
+   * @returns {string} 'open' (allow the command) or 'closed' (deny it)
+   */
+  getPermissionFailureMode(guildId) {
+    return this.failureModes.get(guildId) || config.permissions.failureMode;
+  }
+
   /**
    * Get health status of guild settings
+   * Every channel and role referenced by a registered setting is checked
    * @param {string} guildId - Discord guild ID
    * @param {Object} guild - Discord guild object with channels and roles cache
    * @returns {Promise<Object>} Object with health status information
@@ -228,62 +420,37 @@ class GuildSettingsService {
       const healthy = [];
       const broken = [];
 
-      // Check leaderboard channel
-      if (settings.leaderboard_channel_id) {
-        const channel = guild.channels.cache.get(
-          settings.leaderboard_channel_id
+      for (const definition of settingsRegistry.list()) {
+        const { kind, ids } = settingsRegistry.getReferences(
+          definition,
+          settings[definition.key]
         );
-        if (channel) {
-          healthy.push({
-            type: 'leaderboard_channel',
-            id: settings.leaderboard_channel_id,
-            name: channel.name,
-            target: channel
-          });
-        } else {
-          broken.push({
-            type: 'leaderboard_channel',
-            id: settings.leaderboard_channel_id,
-            name: 'Channel deleted or inaccessible'
-          });
-        }
-      }
 
-      // Check stats channel
-      if (settings.stats_channel_id) {
-        const channel = guild.channels.cache.get(settings.stats_channel_id);
-        if (channel) {
-          healthy.push({
-            type: 'stats_channel',
-            id: settings.stats_channel_id,
-            name: channel.name,
-            target: channel
-          });
-        } else {
-          broken.push({
-            type: 'stats_channel',
-            id: settings.stats_channel_id,
-            name: 'Channel deleted or inaccessible'
-          });
-        }
-      }
+        for (const id of ids) {
+          const target =
+            kind === 'channel'
+              ? guild.channels.cache.get(id)
+              : guild.roles.cache.get(id);
 
-      // Check admin role
-      if (settings.admin_role_id) {
-        const role = guild.roles.cache.get(settings.admin_role_id);
-        if (role) {
-          healthy.push({
-            type: 'admin_role',
-            id: settings.admin_role_id,
-            name: role.name,
-            target: role
-          });
-        } else {
-          broken.push({
-            type: 'admin_role',
-            id: settings.admin_role_id,
-            name: 'Role deleted'
-          });
+          if (target) {
+            healthy.push({
+              key: definition.key,
+              kind,
+              id,
+              name: target.name,
+              target
+            });
+          } else {
+            broken.push({
+              key: definition.key,
+              kind,
+              id,
+              name:
+                kind === 'channel'
+                  ? 'Channel deleted or inaccessible'
+                  : 'Role deleted'
+            });
+          }
         }
       }
 
@@ -308,10 +475,188 @@ class GuildSettingsService {
    * Clear a specific setting for a guild
    * @param {string} guildId - Discord guild ID
    * @param {string} settingKey - The setting key to clear
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
    * @returns {Promise<Object>} Updated settings object
    */
-  async clearGuildSetting(guildId, settingKey) {
-    return await this.setGuildSetting(guildId, settingKey, null);
+  async clearGuildSetting(guildId, settingKey, changedBy = null) {
+    return await this.setGuildSetting(guildId, settingKey, null, changedBy);
+  }
+
+  /**
+   * Get the change history of a guild's settings, newest version first
+   * Each version holds every setting changed together (one /bind, one rollback)
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} options - Filters
+   * @param {string|null} options.key - Only versions that changed this setting
+   * @param {number} options.limit - Maximum number of versions (default 10)
+   * @returns {Promise<Array>} Versions of { version, changedBy, note, createdAt, changes: [{ key, oldValue, newValue }] }
+   */
+  async getSettingHistory(guildId, { key = null, limit = 10 } = {}) {
+    try {
+      const versions = await guildSettingsRepository.getHistoryVersions(
+        guildId,
+        key,
+        limit
+      );
+      if (versions.length === 0) {
+        return [];
+      }
+
+      const rows = await guildSettingsRepository.getHistory(guildId, versions);
+
+      const history = [];
+      for (const row of rows) {
+        let entry = history[history.length - 1];
+        if (entry?.version !== row.version) {
+          entry = {
+            version: row.version,
+            changedBy: row.changed_by,
+            note: row.note,
+            createdAt: row.created_at,
+            changes: []
+          };
+          history.push(entry);
+        }
+        entry.changes.push({
+          key: row.key,
+          oldValue: row.old_value === null ? null : JSON.parse(row.old_value),
+          newValue: row.new_value === null ? null : JSON.parse(row.new_value)
+        });
+      }
+      return history;
+    } catch (error) {
+      logger.high('Failed to get settings history', 'guildSettings', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a guild's settings to how they were right after a version
+   * The rollback is recorded as a new version, so it can be rolled back too
+   * @param {string} guildId - Discord guild ID
+   * @param {number} version - Version to return to (0 for before the first recorded change)
+   * @param {string|null} changedBy - Discord user ID of whoever rolled back
+   * @returns {Promise<Object>} { version, changes } - the new version (null if nothing changed) and its changes
+   */
+  async rollbackToVersion(guildId, version, changedBy = null) {
+    try {
+      // Read the history and write the rollback without changes in between
+      const result = await database.transaction(() =>
+        this.writeRollback(guildId, version, changedBy)
+      );
+      await this.getGuildSettings(guildId);
+
+      logger.info(
+        `Rolled back settings of guild ${guildId} to v${version} (${result.changes.length} setting(s) changed)`
+      );
+      return result;
+    } catch (error) {
+      logger.high('Failed to roll back guild settings', 'guildSettings', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store setting values and record the ones that changed as one history version
+   * Values and history are written in one transaction, so a failure stores
+   * nothing. Values must already be validated
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {Array<Object>} updates - { key, value } pairs (null value deletes the setting)
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
+   * @param {string|null} note - Why the change was made (e.g. a rollback)
+   * @returns {Promise<Object>} { version, changes } - version is null if nothing changed
+   */
+  async writeSettings(guildId, updates, changedBy, note = null) {
+    const { version, changes } = await database.transaction(() =>
+      this.writeValues(guildId, updates, changedBy, note)
+    );
+
+    if (changes.length > 0) {
+      this.invalidateCache(guildId);
+    }
+
+    return {
+      version,
+      changes: changes.map(change => ({
+        key: change.key,
+        oldValue: change.oldValue === null ? null : JSON.parse(change.oldValue),
+        newValue: change.newValue === null ? null : JSON.parse(change.newValue)
+      }))
+    };
+  }
+
+  /**
+   * Write the values a guild had right after a version, as a new version
+   * Runs inside rollbackToVersion()'s transaction
+   * @private
+   * @returns {Promise<Object>} Result of writeSettings()
+   */
+  async writeRollback(guildId, version, changedBy) {
+    const latest = await guildSettingsRepository.getLatestVersion(guildId);
+    if (!Number.isInteger(version) || version < 0 || version > latest) {
+      throw new Error(`Invalid version: ${version} (latest is v${latest})`);
+    }
+
+    const rows = await guildSettingsRepository.getValuesAtVersion(
+      guildId,
+      version
+    );
+
+    const restored = [];
+    for (const row of rows) {
+      // Settings that are no longer registered cannot be restored
+      if (!settingsRegistry.get(row.key)) continue;
+
+      const value = row.old_value === null ? null : JSON.parse(row.old_value);
+      settingsRegistry.validate(row.key, value);
+      restored.push({ key: row.key, value });
+    }
+
+    return this.writeSettings(
+      guildId,
+      restored,
+      changedBy,
+      `Rollback to v${version}`
+    );
+  }
+
+  /**
+   * Store changed values and record them as one history version
+   * Runs inside writeSettings()'s transaction
+   * @private
+   * @returns {Promise<Object>} { version, changes } with JSON values
+   */
+  async writeValues(guildId, updates, changedBy, note) {
+    const stored = await guildSettingsRepository.getValues(guildId);
+
+    const written = [];
+    for (const { key, value } of updates) {
+      const oldValue = stored.has(key) ? stored.get(key) : null;
+      const newValue = value === null ? null : JSON.stringify(value);
+      if (oldValue === newValue) continue;
+
+      if (newValue === null) {
+        await guildSettingsRepository.deleteValue(guildId, key);
+      } else {
+        await guildSettingsRepository.setValue(guildId, key, newValue);
+      }
+      written.push({ key, oldValue, newValue });
+    }
+
+    if (written.length === 0) {
+      return { version: null, changes: written };
+    }
+
+    const next = (await guildSettingsRepository.getLatestVersion(guildId)) + 1;
+    await guildSettingsRepository.addHistory(
+      guildId,
+      next,
+      written,
+      changedBy,
+      note
+    );
+    return { version: next, changes: written };
   }
 }
 
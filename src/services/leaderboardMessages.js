@@ -0,0 +1,162 @@
+import logger from '../core/logger.js';
+
+import database from './database.js';
+
+/**
+ * Service for the auto-updating leaderboard message of each guild
+ * Remembers which message to edit so restarts never post a duplicate
+ */
+class LeaderboardMessageService {
+  /**
+   * Get the auto-updating leaderboard configuration of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} The configuration or null if not enabled
+   */
+  async getConfig(guildId) {
+    try {
+      const config = await database.queryOne(
+        'SELECT * FROM leaderboard_messages WHERE guild_id = ?',
+        [guildId]
+      );
+      return config || null;
+    } catch (error) {
+      logger.high(
+        'Failed to get leaderboard message config',
+        'leaderboardMessages',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * List every guild with an auto-updating leaderboard
+   * @returns {Promise<Array>} Configurations
+   */
+  async listConfigs() {
+    try {
+      return await database.query('SELECT * FROM leaderboard_messages');
+    } catch (error) {
+      logger.high(
+        'Failed to list leaderboard message configs',
+        'leaderboardMessages',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Enable or reconfigure the auto-updating leaderboard of a guild
+   * Keeps the remembered message so it is edited rather than reposted
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} options - Configuration
+   * @param {string} options.period - Leaderboard period to show
+   * @param {number} options.refreshMinutes - Minutes between scheduled refreshes (0 = only on score changes)
+   * @returns {Promise<Object>} The updated configuration
+   */
+  async enable(guildId, { period = 'all-time', refreshMinutes = 10 } = {}) {
+    try {
+      if (!Number.isInteger(refreshMinutes) || refreshMinutes < 0) {
+        throw new Error(
+          `Invalid refresh interval: ${refreshMinutes} (must be 0 or more minutes)`
+        );
+      }
+
+      await database.execute(
+        `INSERT INTO leaderboard_messages (guild_id, period, refresh_minutes, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (guild_id) DO UPDATE SET
+           period = excluded.period,
+           refresh_minutes = excluded.refresh_minutes,
+           updated_at = CURRENT_TIMESTAMP`,
+        [guildId, period, refreshMinutes]
+      );
+
+      logger.info(
+        `Enabled auto-updating leaderboard for guild ${guildId} (${period}, every ${refreshMinutes} min)`
+      );
+
+      return await this.getConfig(guildId);
+    } catch (error) {
+      logger.high(
+        'Failed to enable auto-updating leaderboard',
+        'leaderboardMessages',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Remember the message currently showing the guild leaderboard
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} channelId - Channel holding the message
+   * @param {string|null} messageId - The message ID
+   */
+  async setMessage(guildId, channelId, messageId) {
+    try {
+      await database.execute(
+        `UPDATE leaderboard_messages
+         SET channel_id = ?, message_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE guild_id = ?`,
+        [channelId, messageId, guildId]
+      );
+    } catch (error) {
+      logger.high(
+        'Failed to store leaderboard message ID - a duplicate may be posted',
+        'leaderboardMessages',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful refresh
+   * @param {string} guildId - Discord guild ID
+   */
+  async markRefreshed(guildId) {
+    try {
+      await database.execute(
+        'UPDATE leaderboard_messages SET last_refreshed_at = CURRENT_TIMESTAMP WHERE guild_id = ?',
+        [guildId]
+      );
+    } catch (error) {
+      logger.medium(
+        'Failed to record leaderboard refresh',
+        'leaderboardMessages',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Disable the auto-updating leaderboard of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} The removed configuration, or null if none existed
+   */
+  async disable(guildId) {
+    try {
+      const config = await this.getConfig(guildId);
+      if (config) {
+        await database.execute(
+          'DELETE FROM leaderboard_messages WHERE guild_id = ?',
+          [guildId]
+        );
+        logger.info(`Disabled auto-updating leaderboard for guild ${guildId}`);
+      }
+      return config;
+    } catch (error) {
+      logger.high(
+        'Failed to disable auto-updating leaderboard',
+        'leaderboardMessages',
+        error
+      );
+      throw error;
+    }
+  }
+}
+
+export default new LeaderboardMessageService();
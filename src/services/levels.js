@@ -0,0 +1,317 @@
+import logger from '../core/logger.js';
+
+import database from './database.js';
+import guildSettingsService from './guildSettings.js';
+import settingsRegistry from './settingsRegistry.js';
+
+/**
+ * XP needed to reach a level on each supported curve
+ */
+const CURVES = {
+  linear: (level, baseXp) => baseXp * level,
+  quadratic: (level, baseXp) => baseXp * level * level,
+  exponential: (level, baseXp) => Math.round(baseXp * 2 * (1.5 ** level - 1))
+};
+
+const MAX_LEVEL = 1000;
+
+/**
+ * Guild setting backing each levelling setting
+ * Defaults and limits are declared in the settings registry
+ */
+const SETTING_KEYS = {
+  curve: 'level_curve',
+  baseXp: 'level_base_xp',
+  announce: 'level_announce',
+  stackRoles: 'level_stack_roles'
+};
+
+/**
+ * Service for member levels derived from all-time points
+ * Applies the per-guild XP curve (a guild setting) and owns the role ladder
+ * and the level each member was last synced to
+ */
+class LevelService {
+  /**
+   * Names of the supported XP curves
+   * @returns {Array<string>} Curve names
+   */
+  getCurveNames() {
+    return Object.keys(CURVES);
+  }
+
+  /**
+   * Get the levelling settings of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object>} Settings (defaults for anything the guild has not set)
+   */
+  async getSettings(guildId) {
+    try {
+      const stored = await guildSettingsService.getGuildSettings(guildId);
+
+      const settings = {};
+      for (const [name, key] of Object.entries(SETTING_KEYS)) {
+        settings[name] = stored
+          ? stored[key]
+          : settingsRegistry.get(key).default;
+      }
+      return settings;
+    } catch (error) {
+      logger.high('Failed to get level settings', 'levels', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update some of a guild's levelling settings
+   * The changes are stored as one settings history version
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} changes - Settings to change (curve, baseXp, announce, stackRoles)
+   * @param {string|null} changedBy - Discord user ID of whoever made the change
+   * @returns {Promise<Object>} The updated settings
+   */
+  async updateSettings(guildId, changes, changedBy = null) {
+    try {
+      const updates = Object.entries(changes).map(([name, value]) => {
+        if (!SETTING_KEYS[name]) {
+          throw new Error(`Invalid level setting: ${name}`);
+        }
+        return { key: SETTING_KEYS[name], value };
+      });
+
+      await guildSettingsService.setGuildSettings(guildId, updates, changedBy);
+
+      logger.info(
+        `Updated level settings for guild ${guildId}: ${JSON.stringify(changes)}`
+      );
+      return await this.getSettings(guildId);
+    } catch (error) {
+      logger.high('Failed to update level settings', 'levels', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Total XP needed to reach a level
+   * @param {number} level - Target level
+   * @param {Object} settings - Guild level settings
+   * @returns {number} XP threshold
+   */
+  xpForLevel(level, settings) {
+    return level <= 0 ? 0 : CURVES[settings.curve](level, settings.baseXp);
+  }
+
+  /**
+   * Level reached with an amount of XP (points)
+   * @param {number} xp - Member's all-time points
+   * @param {Object} settings - Guild level settings
+   * @returns {number} Level (0 for members below the first threshold)
+   */
+  levelForXp(xp, settings) {
+    let level = 0;
+    while (level < MAX_LEVEL && this.xpForLevel(level + 1, settings) <= xp) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Describe a member's progress towards the next level
+   * @param {string} guildId - Discord guild ID
+   * @param {number} xp - Member's all-time points
+   * @returns {Promise<Object>} { level, xp, currentLevelXp, nextLevelXp }
+   */
+  async getProgress(guildId, xp) {
+    const settings = await this.getSettings(guildId);
+    const level = this.levelForXp(xp, settings);
+
+    return {
+      level,
+      xp,
+      currentLevelXp: this.xpForLevel(level, settings),
+      nextLevelXp:
+        level < MAX_LEVEL ? this.xpForLevel(level + 1, settings) : null
+    };
+  }
+
+  /**
+   * Get the role ladder of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Ladder rows ({ level, role_id }), lowest level first
+   */
+  async getLevelRoles(guildId) {
+    try {
+      return await database.query(
+        'SELECT level, role_id FROM level_roles WHERE guild_id = ? ORDER BY level ASC',
+        [guildId]
+      );
+    } catch (error) {
+      logger.high('Failed to get level roles', 'levels', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grant a role at a level, replacing any role already set for that level
+   * @param {string} guildId - Discord guild ID
+   * @param {number} level - Level that grants the role
+   * @param {string} roleId - Discord role ID
+   */
+  async setLevelRole(guildId, level, roleId) {
+    try {
+      if (!Number.isInteger(level) || level < 1 || level > MAX_LEVEL) {
+        throw new Error(`Invalid level: ${level} (must be 1-${MAX_LEVEL})`);
+      }
+
+      await database.execute(
+        `INSERT INTO level_roles (guild_id, level, role_id)
+         VALUES (?, ?, ?)
+         ON CONFLICT (guild_id, level) DO UPDATE SET role_id = excluded.role_id`,
+        [guildId, level, roleId]
+      );
+
+      logger.info(`Set level ${level} role to ${roleId} for guild ${guildId}`);
+    } catch (error) {
+      logger.high('Failed to set level role', 'levels', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a rung of the role ladder
+   * @param {string} guildId - Discord guild ID
+   * @param {number} level - Level to clear
+   * @returns {Promise<string|null>} The role ID that was removed, or null if none was set
+   */
+  async removeLevelRole(guildId, level) {
+    try {
+      const row = await database.queryOne(
+        'SELECT role_id FROM level_roles WHERE guild_id = ? AND level = ?',
+        [guildId, level]
+      );
+      if (!row) {
+        return null;
+      }
+
+      await database.execute(
+        'DELETE FROM level_roles WHERE guild_id = ? AND level = ?',
+        [guildId, level]
+      );
+
+      logger.info(`Removed level ${level} role from guild ${guildId}`);
+      return row.role_id;
+    } catch (error) {
+      logger.high('Failed to remove level role', 'levels', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check which ladder roles still exist in the guild
+   * @param {string} guildId - Discord guild ID
+   * @param {Guild} guild - Discord guild object
+   * @returns {Promise<Object>} { healthy, broken, healthyCount, brokenCount }
+   */
+  async getLadderHealth(guildId, guild) {
+    try {
+      const ladder = await this.getLevelRoles(guildId);
+      const healthy = [];
+      const broken = [];
+
+      for (const rung of ladder) {
+        const role = guild.roles.cache.get(rung.role_id);
+        if (role) {
+          healthy.push({
+            level: rung.level,
+            id: rung.role_id,
+            name: role.name,
+            target: role
+          });
+        } else {
+          broken.push({
+            level: rung.level,
+            id: rung.role_id,
+            name: 'Role deleted or inaccessible'
+          });
+        }
+      }
+
+      return {
+        healthy,
+        broken,
+        healthyCount: healthy.length,
+        brokenCount: broken.length
+      };
+    } catch (error) {
+      logger.high('Failed to check level role health', 'levels', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the level a member was last synced to
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<number>} Stored level (0 if never synced)
+   */
+  async getMemberLevel(guildId, userId) {
+    try {
+      const row = await database.queryOne(
+        'SELECT level FROM member_levels WHERE guild_id = ? AND user_id = ?',
+        [guildId, userId]
+      );
+      return row ? row.level : 0;
+    } catch (error) {
+      logger.high('Failed to get member level', 'levels', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the level a member's roles now reflect
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {number} level - Synced level
+   */
+  async setMemberLevel(guildId, userId, level) {
+    try {
+      await database.execute(
+        `INSERT INTO member_levels (guild_id, user_id, level, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (guild_id, user_id) DO UPDATE SET
+           level = excluded.level,
+           updated_at = CURRENT_TIMESTAMP`,
+        [guildId, userId, level]
+      );
+    } catch (error) {
+      logger.high('Failed to store member level', 'levels', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List members whose stored level may not match their points
+   * Covers everyone with points or a stored level, so demotions to level 0
+   * are found as well
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Rows of { user_id, total, level }
+   */
+  async getTrackedMembers(guildId) {
+    try {
+      return await database.query(
+        `SELECT user_id, SUM(total) AS total, MAX(level) AS level FROM (
+           SELECT user_id, total, 0 AS level FROM scores WHERE guild_id = ?
+           UNION ALL
+           SELECT user_id, 0 AS total, level FROM member_levels WHERE guild_id = ?
+         )
+         GROUP BY user_id`,
+        [guildId, guildId]
+      );
+    } catch (error) {
+      logger.high('Failed to list tracked member levels', 'levels', error);
+      throw error;
+    }
+  }
+}
+
+export default new LevelService();
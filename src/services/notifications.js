@@ -0,0 +1,278 @@
+import { createHash } from 'crypto';
+
+import { PermissionFlagsBits } from 'discord.js';
+
+import logger from '../core/logger.js';
+
+import database from './database.js';
+import guildSettingsService from './guildSettings.js';
+
+const DEDUPE_HOURS = 24;
+const RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Every message the bot sends to guild admins
+ * Fields: title, render(guild, params) (message body), cooldownMinutes (at
+ * most one notification of the type per guild in that time, 0 for no limit),
+ * systemChannelFallback (post in the server's system channel when nobody
+ * could be DMed)
+ */
+const NOTIFICATIONS = {
+  'leaderboard-unbound': {
+    title: '🔔 **Configuration Notice**',
+    cooldownMinutes: 24 * 60,
+    render: guild =>
+      `The leaderboard channel is not set up for **${guild.name}**, so the leaderboard can be used in every channel.\n\n` +
+      'Run `/setup` in your server to walk through every setting, or use `/bind` to keep the leaderboard to specific channels.'
+  },
+  'leaderboard-channel-missing': {
+    title: '🔔 **Configuration Issue**',
+    cooldownMinutes: 60,
+    render: (guild, { channelId }) =>
+      `The leaderboard channel (ID: ${channelId}) is not found in **${guild.name}**.\n\n` +
+      'This usually happens when the channel was deleted or the bot does not have access to it.\n\n' +
+      'Please reconfigure the leaderboard channel using the `/bind` command.'
+  },
+  'leaderboard-channel-unusable': {
+    title: '🔔 **Configuration Issue**',
+    cooldownMinutes: 60,
+    render: (guild, { channelIds }) =>
+      `None of the leaderboard channels in **${guild.name}** can show the leaderboard: ${channelIds.map(id => `<#${id}>`).join(', ')}.\n\n` +
+      'A category only works once it has a text channel, and deleted channels cannot be used.\n\n' +
+      'Please add a text channel with `/bind` or remove the entries with `/unbind`.'
+  },
+  'settings-cleanup': {
+    title: '🧹 **Configuration Cleanup**',
+    cooldownMinutes: 0,
+    render: (guild, { lines }) =>
+      [
+        `Something the bot was set up to use in **${guild.name}** was deleted:`,
+        ...lines.map(line => `• ${line}`),
+        '',
+        'Review the settings with `/status`. Setting changes can be undone with `/settings rollback`.'
+      ].join('\n')
+  },
+  'setup-welcome': {
+    title: '👋 **Thanks for adding me!**',
+    cooldownMinutes: 0,
+    systemChannelFallback: true,
+    render: guild =>
+      `Run \`/setup\` in **${guild.name}** to pick the leaderboard and stats channels, the admin role and the other settings step by step.\n\n` +
+      'Until then every command works in every channel and admin commands need the Manage Server permission.'
+  }
+};
+
+/**
+ * Check whether the bot can post in a channel
+ * @param {Guild} guild - Discord guild object
+ * @param {Object|null} channel - Discord channel object
+ * @returns {boolean} True if messages can be sent there
+ */
+function canPostIn(guild, channel) {
+  return Boolean(
+    channel?.isTextBased() &&
+      channel
+        .permissionsFor(guild.members.me)
+        ?.has([
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages
+        ])
+  );
+}
+
+/**
+ * Service for notifying guild admins
+ * Messages go to the guild's admin alert channel if one is bound, otherwise
+ * to the admin role members (or the owner) by DM. Each notification type is
+ * rate limited per guild and identical messages are only sent once a day, so
+ * commands that keep hitting the same problem do not flood the admins
+ */
+class GuildNotificationService {
+  constructor() {
+    this.sending = new Set(); // guildId:type of notifications being delivered
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Send a notification from the catalogue to a guild's admins
+   * Never throws; a notification that cannot be delivered is only logged
+   * @param {Guild} guild - Discord guild object
+   * @param {string} type - Notification type (see NOTIFICATIONS)
+   * @param {Object} params - Values used by the message
+   * @returns {Promise<Object>} { sent, via, reason } - via is 'channel', 'dm' or 'system-channel'
+   */
+  async notifyAdmins(guild, type, params = {}) {
+    const key = `${guild.id}:${type}`;
+    let reserved = false;
+
+    try {
+      const notification = NOTIFICATIONS[type];
+      if (!notification) {
+        throw new Error(`Unknown notification type: ${type}`);
+      }
+
+      const message =
+        `${notification.title}\n\n${notification.render(guild, params)}`.slice(
+          0,
+          2000
+        );
+      const fingerprint = createHash('sha1').update(message).digest('hex');
+
+      // Claim the type before checking, so simultaneous calls send it once
+      let reason = 'already being sent';
+      if (!this.sending.has(key)) {
+        this.sending.add(key);
+        reserved = true;
+        reason = await this.getSuppression(
+          guild.id,
+          type,
+          notification,
+          fingerprint
+        );
+      }
+      if (reason) {
+        logger.debug(
+          `Skipped ${type} notification for ${guild.name}: ${reason}`
+        );
+        return { sent: false, via: null, reason };
+      }
+
+      const via = await this.deliver(guild, notification, message);
+      if (!via) {
+        logger.warn(`Nobody could be notified about ${type} in ${guild.name}`);
+        return { sent: false, via: null, reason: 'no reachable admin' };
+      }
+
+      await this.recordSent(guild.id, type, fingerprint);
+      logger.info(`Sent ${type} notification for ${guild.name} via ${via}`);
+      return { sent: true, via, reason: null };
+    } catch (error) {
+      logger.medium(
+        `Failed to send ${type} notification for guild ${guild.id}`,
+        'notifications',
+        error
+      );
+      return { sent: false, via: null, reason: error.message };
+    } finally {
+      if (reserved) this.sending.delete(key);
+    }
+  }
+
+  /**
+   * Work out why a notification should not be sent right now
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} type - Notification type
+   * @param {Object} notification - Catalogue entry
+   * @param {string} fingerprint - Hash of the message text
+   * @returns {Promise<string|null>} The reason, or null if it may be sent
+   */
+  async getSuppression(guildId, type, notification, fingerprint) {
+    if (notification.cooldownMinutes > 0) {
+      const recent = await database.queryOne(
+        `SELECT 1 FROM admin_notifications
+         WHERE guild_id = ? AND type = ? AND sent_at > datetime('now', ?)`,
+        [guildId, type, `-${notification.cooldownMinutes} minutes`]
+      );
+      if (recent) return 'rate limited';
+    }
+
+    const duplicate = await database.queryOne(
+      `SELECT 1 FROM admin_notifications
+       WHERE guild_id = ? AND type = ? AND fingerprint = ?
+         AND sent_at > datetime('now', ?)`,
+      [guildId, type, fingerprint, `-${DEDUPE_HOURS} hours`]
+    );
+    return duplicate ? 'duplicate' : null;
+  }
+
+  /**
+   * Deliver a message to the alert channel, the admins' DMs or, for
+   * notifications that allow it, the system channel
+   * @private
+   * @param {Guild} guild - Discord guild object
+   * @param {Object} notification - Catalogue entry
+   * @param {string} message - Message text
+   * @returns {Promise<string|null>} Where it was delivered, or null if nowhere
+   */
+  async deliver(guild, notification, message) {
+    const settings = await guildSettingsService.getGuildSettings(guild.id);
+
+    const alertChannel = settings?.admin_alert_channel_id
+      ? guild.channels.cache.get(settings.admin_alert_channel_id)
+      : null;
+    if (canPostIn(guild, alertChannel)) {
+      try {
+        await alertChannel.send(message);
+        return 'channel';
+      } catch (channelError) {
+        logger.warn(
+          `Failed to post in admin alert channel #${alertChannel.name}: ${channelError.message}`
+        );
+      }
+    }
+
+    // Admin role members, or the owner if there is no admin role
+    const adminRole = settings?.admin_role_id
+      ? guild.roles.cache.get(settings.admin_role_id)
+      : null;
+    const recipients =
+      adminRole && adminRole.members.size > 0
+        ? [...adminRole.members.values()]
+        : [await guild.fetchOwner()];
+
+    let delivered = 0;
+    for (const member of recipients) {
+      try {
+        await member.send(message);
+        delivered++;
+      } catch (dmError) {
+        logger.warn(
+          `Failed to send DM to admin ${member.user.tag}: ${dmError.message}`
+        );
+      }
+    }
+    if (delivered > 0) {
+      return 'dm';
+    }
+
+    if (
+      notification.systemChannelFallback &&
+      canPostIn(guild, guild.systemChannel)
+    ) {
+      await guild.systemChannel.send(message);
+      return 'system-channel';
+    }
+    return null;
+  }
+
+  /**
+   * Remember that a notification was sent
+   * Old entries are pruned at most once an hour
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} type - Notification type
+   * @param {string} fingerprint - Hash of the message text
+   */
+  async recordSent(guildId, type, fingerprint) {
+    await database.execute(
+      `INSERT INTO admin_notifications (guild_id, type, fingerprint)
+       VALUES (?, ?, ?)
+       ON CONFLICT (guild_id, type, fingerprint) DO UPDATE SET
+         sent_at = CURRENT_TIMESTAMP`,
+      [guildId, type, fingerprint]
+    );
+
+    if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+      this.lastPrunedAt = Date.now();
+      await database.execute(
+        `DELETE FROM admin_notifications
+         WHERE sent_at < datetime('now', ?)`,
+        [`-${RETENTION_DAYS} days`]
+      );
+    }
+  }
+}
+
+export default new GuildNotificationService();
@@ -0,0 +1,448 @@
+import { EventEmitter } from 'events';
+
+import logger from '../core/logger.js';
+
+import database from './database.js';
+import guildSettingsService from './guildSettings.js';
+
+/**
+ * Window expressions for each ranking strategy, given rows ordered by total
+ * competition: tied members share a place and the next place is skipped (1224)
+ * dense: tied members share a place and no place is skipped (1223)
+ * earliest: ties go to whoever reached the total first (1234)
+ */
+const RANKING_STRATEGIES = {
+  competition: 'RANK() OVER (ORDER BY total DESC)',
+  dense: 'DENSE_RANK() OVER (ORDER BY total DESC)',
+  earliest:
+    'ROW_NUMBER() OVER (ORDER BY total DESC, achieved_at ASC, user_id ASC)'
+};
+
+const DEFAULT_RANKING_STRATEGY = 'competition';
+
+/**
+ * Service for managing member scores
+ * Every change is written to the score_events ledger first, and the
+ * per-member totals in the scores table are kept in sync with it
+ * Emits 'scoreChanged' ({ guildId, userId, delta, total, source }) after
+ * every recorded event
+ */
+class ScoreService extends EventEmitter {
+  /**
+   * Award points to a member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID receiving the points
+   * @param {number} amount - Positive number of points to award
+   * @param {Object} options - Ledger metadata
+   * @param {string|null} options.awardedBy - Discord user ID who awarded the points
+   * @param {string|null} options.reason - Why the points were awarded
+   * @param {string} options.source - What produced the event (default: 'manual')
+   * @returns {Promise<Object>} The recorded event and the member's new total
+   */
+  async awardPoints(guildId, userId, amount, options = {}) {
+    this.validateAmount(amount);
+    return await this.recordEvent(guildId, userId, amount, options);
+  }
+
+  /**
+   * Deduct points from a member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID losing the points
+   * @param {number} amount - Positive number of points to deduct
+   * @param {Object} options - Ledger metadata (see awardPoints)
+   * @returns {Promise<Object>} The recorded event and the member's new total
+   */
+  async deductPoints(guildId, userId, amount, options = {}) {
+    this.validateAmount(amount);
+    return await this.recordEvent(guildId, userId, -amount, options);
+  }
+
+  /**
+   * Set a member's total to an exact value
+   * Records the difference as a ledger event so the total stays rebuildable
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {number} target - The member's new total
+   * @param {Object} options - Ledger metadata (see awardPoints)
+   * @returns {Promise<Object>} The recorded event (null if unchanged) and the member's new total
+   */
+  async setScore(guildId, userId, target, options = {}) {
+    if (!Number.isInteger(target)) {
+      throw new Error(`Invalid score: ${target} (must be an integer)`);
+    }
+
+    const current = await this.getScore(guildId, userId);
+    if (current === target) {
+      return { event: null, total: current };
+    }
+
+    return await this.recordEvent(guildId, userId, target - current, {
+      source: 'set',
+      ...options
+    });
+  }
+
+  /**
+   * Reset a member's total to zero
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object} options - Ledger metadata (see awardPoints)
+   * @returns {Promise<Object>} The recorded event (null if unchanged) and the member's new total
+   */
+  async resetScore(guildId, userId, options = {}) {
+    return await this.setScore(guildId, userId, 0, {
+      source: 'reset',
+      ...options
+    });
+  }
+
+  /**
+   * Reset every member total in a guild to zero
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} options - Ledger metadata (see awardPoints)
+   * @returns {Promise<number>} Number of members whose score was reset
+   */
+  async resetGuild(guildId, options = {}) {
+    try {
+      const members = await database.query(
+        'SELECT user_id FROM scores WHERE guild_id = ? AND total <> 0',
+        [guildId]
+      );
+
+      for (const member of members) {
+        await this.resetScore(guildId, member.user_id, options);
+      }
+
+      logger.info(`Reset ${members.length} score(s) in guild ${guildId}`);
+      return members.length;
+    } catch (error) {
+      logger.high('Failed to reset guild scores', 'scores', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent ledger events for a member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of events (default: 10)
+   * @returns {Promise<Array>} Ledger rows, newest first
+   */
+  async getEvents(guildId, userId, { limit = 10 } = {}) {
+    try {
+      return await database.query(
+        `SELECT id, delta, reason, awarded_by, source, created_at
+         FROM score_events
+         WHERE guild_id = ? AND user_id = ?
+         ORDER BY id DESC
+         LIMIT ?`,
+        [guildId, userId, limit]
+      );
+    } catch (error) {
+      logger.high('Failed to get score events', 'scores', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a member's current total
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<number>} The member's total (0 if they have no score)
+   */
+  async getScore(guildId, userId) {
+    try {
+      const row = await database.queryOne(
+        'SELECT total FROM scores WHERE guild_id = ? AND user_id = ?',
+        [guildId, userId]
+      );
+      return row ? row.total : 0;
+    } catch (error) {
+      logger.high('Failed to get member score', 'scores', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a member's position on the guild leaderboard
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object|null} window - Optional { since, until } timestamps to rank points earned in
+   * @returns {Promise<Object|null>} { rank, position, total, sharedBy, rankedMembers } or null if the member is unranked
+   * (position is the member's row on the leaderboard, which differs from rank when places are shared)
+   */
+  async getRank(guildId, userId, window = null) {
+    try {
+      const source = this.buildTotalsSource(guildId, window);
+      const ranking = await this.buildRankingColumns(guildId);
+      const row = await database.queryOne(
+        `SELECT rank, position, total, shared_by AS sharedBy, ranked_members AS rankedMembers FROM (
+           SELECT user_id, total, ${ranking},
+             ROW_NUMBER() OVER (ORDER BY total DESC, achieved_at ASC, user_id ASC) AS position,
+             COUNT(*) OVER () AS ranked_members
+           FROM (${source.sql})
+           WHERE total <> 0
+         ) WHERE user_id = ?`,
+        [...source.params, userId]
+      );
+      return row || null;
+    } catch (error) {
+      logger.high('Failed to get member rank', 'scores', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get ranked leaderboard rows for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Maximum number of rows (default: 10)
+   * @param {number} options.offset - Number of rows to skip (default: 0)
+   * @param {Object|null} options.window - Optional { since, until } timestamps to rank points earned in
+   * @returns {Promise<Array>} Rows of { user_id, total, rank, shared_by }, ties ordered by who got there first
+   */
+  async getLeaderboard(
+    guildId,
+    { limit = 10, offset = 0, window = null } = {}
+  ) {
+    try {
+      const source = this.buildTotalsSource(guildId, window);
+      const ranking = await this.buildRankingColumns(guildId);
+      return await database.query(
+        `SELECT user_id, total, ${ranking}
+         FROM (${source.sql})
+         WHERE total <> 0
+         ORDER BY rank, achieved_at ASC, user_id ASC
+         LIMIT ? OFFSET ?`,
+        [...source.params, limit, offset]
+      );
+    } catch (error) {
+      logger.high('Failed to get leaderboard', 'scores', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the members that appear on the guild leaderboard
+   * @param {string} guildId - Discord guild ID
+   * @param {Object|null} window - Optional { since, until } timestamps to rank points earned in
+   * @returns {Promise<number>} Number of ranked members
+   */
+  async getRankedMemberCount(guildId, window = null) {
+    try {
+      const source = this.buildTotalsSource(guildId, window);
+      const row = await database.queryOne(
+        `SELECT COUNT(*) AS count FROM (${source.sql}) WHERE total <> 0`,
+        source.params
+      );
+      return row.count;
+    } catch (error) {
+      logger.high('Failed to count ranked members', 'scores', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Names of the supported ranking strategies
+   * @returns {Array<string>} Strategy names
+   */
+  getRankingStrategies() {
+    return Object.keys(RANKING_STRATEGIES);
+  }
+
+  /**
+   * Get the ranking strategy a guild uses for tied scores
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<string>} Strategy name (competition when unset)
+   */
+  async getRankingStrategy(guildId) {
+    const strategy = await guildSettingsService.getGuildSetting(
+      guildId,
+      'ranking_strategy'
+    );
+    return RANKING_STRATEGIES[strategy] ? strategy : DEFAULT_RANKING_STRATEGY;
+  }
+
+  /**
+   * Choose how a guild ranks tied scores
+   * @param {string} guildId - Discord guild ID
+   * @param {string} strategy - competition, dense or earliest
+   * @param {string|null} changedBy - Discord user ID of the admin
+   * @returns {Promise<string>} The stored strategy
+   */
+  async setRankingStrategy(guildId, strategy, changedBy = null) {
+    try {
+      if (!RANKING_STRATEGIES[strategy]) {
+        throw new Error(
+          `Invalid ranking strategy: ${strategy} (use ${this.getRankingStrategies().join(', ')})`
+        );
+      }
+
+      await guildSettingsService.setGuildSetting(
+        guildId,
+        'ranking_strategy',
+        strategy,
+        changedBy
+      );
+      return strategy;
+    } catch (error) {
+      logger.high('Failed to set ranking strategy', 'scores', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute every member total in a guild from the score_events ledger
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} Number of member totals rebuilt
+   */
+  async rebuildTotals(guildId) {
+    try {
+      // One transaction, so readers never see the guild without totals and a
+      // failure keeps the old ones
+      const result = await database.transaction(async tx => {
+        await tx.execute('DELETE FROM scores WHERE guild_id = ?', [guildId]);
+        return tx.execute(
+          `INSERT INTO scores (guild_id, user_id, total, created_at, updated_at)
+           SELECT guild_id, user_id, SUM(delta), MIN(created_at), MAX(created_at)
+           FROM score_events
+           WHERE guild_id = ?
+           GROUP BY guild_id, user_id`,
+          [guildId]
+        );
+      });
+
+      logger.info(
+        `Rebuilt ${result.changes} score total(s) from ledger for guild ${guildId}`
+      );
+      return result.changes;
+    } catch (error) {
+      logger.high('Failed to rebuild score totals', 'scores', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a ledger event and apply it to the member's total
+   * @private
+   */
+  async recordEvent(guildId, userId, delta, options = {}) {
+    const { awardedBy = null, reason = null, source = 'manual' } = options;
+
+    try {
+      if (!guildId || !userId) {
+        throw new Error('guildId and userId are required');
+      }
+
+      // The event and the total are written together, so the totals always
+      // match the ledger
+      const { result, total } = await database.transaction(async tx => {
+        const inserted = await tx.execute(
+          `INSERT INTO score_events (guild_id, user_id, delta, reason, awarded_by, source)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [guildId, userId, delta, reason, awardedBy, source]
+        );
+
+        await tx.execute(
+          `INSERT INTO scores (guild_id, user_id, total, updated_at)
+           VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+           ON CONFLICT (guild_id, user_id) DO UPDATE SET
+             total = total + excluded.total,
+             updated_at = CURRENT_TIMESTAMP`,
+          [guildId, userId, delta]
+        );
+
+        return {
+          result: inserted,
+          total: await this.getScore(guildId, userId)
+        };
+      });
+
+      logger.info(
+        `Score event #${result.lastID}: ${delta > 0 ? '+' : ''}${delta} for user ${userId} in guild ${guildId} (${source}${awardedBy ? ` by ${awardedBy}` : ''})`
+      );
+
+      this.emit('scoreChanged', { guildId, userId, delta, total, source });
+
+      return {
+        event: {
+          id: result.lastID,
+          guildId,
+          userId,
+          delta,
+          reason,
+          awardedBy,
+          source
+        },
+        total
+      };
+    } catch (error) {
+      logger.high(
+        'Failed to record score event - member totals may be stale',
+        'scores',
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Build the sub-select producing (user_id, total, achieved_at) rows
+   * Totals are summed from the ledger, optionally within a window.
+   * achieved_at is when the member first reached that total: the time of the
+   * earliest event after which their running total equalled it
+   * @private
+   */
+  buildTotalsSource(guildId, window) {
+    const conditions = ['guild_id = ?'];
+    const params = [guildId];
+
+    if (window?.since) {
+      conditions.push('created_at >= ?');
+      params.push(window.since);
+    }
+    if (window?.until) {
+      conditions.push('created_at < ?');
+      params.push(window.until);
+    }
+
+    return {
+      sql: `SELECT user_id, MAX(total) AS total,
+              MIN(CASE WHEN running_total = total THEN created_at END) AS achieved_at
+            FROM (
+              SELECT user_id, created_at,
+                SUM(delta) OVER (PARTITION BY user_id ORDER BY created_at, id) AS running_total,
+                SUM(delta) OVER (PARTITION BY user_id) AS total
+              FROM score_events
+              WHERE ${conditions.join(' AND ')}
+            )
+            GROUP BY user_id`,
+      params
+    };
+  }
+
+  /**
+   * Build the rank and shared_by select columns for a guild's strategy
+   * shared_by is the number of members holding the same place
+   * @private
+   */
+  async buildRankingColumns(guildId) {
+    const strategy = await this.getRankingStrategy(guildId);
+    const sharedBy =
+      strategy === 'earliest' ? '1' : 'COUNT(*) OVER (PARTITION BY total)';
+    return `${RANKING_STRATEGIES[strategy]} AS rank, ${sharedBy} AS shared_by`;
+  }
+
+  /**
+   * Ensure an award/deduct amount is a positive integer
+   * @private
+   */
+  validateAmount(amount) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error(`Invalid amount: ${amount} (must be a positive integer)`);
+    }
+  }
+}
+
+export default new ScoreService();
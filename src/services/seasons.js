@@ -0,0 +1,236 @@
+import logger from '../core/logger.js';
+
+import database from './database.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rolling leaderboard periods, keyed by the value of the /leaderboard period option
+ */
+const ROLLING_PERIODS = {
+  daily: { label: 'Daily (last 24 hours)', days: 1 },
+  weekly: { label: 'Weekly (last 7 days)', days: 7 },
+  monthly: { label: 'Monthly (last 30 days)', days: 30 }
+};
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP stores it (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp in 'YYYY-MM-DD HH:MM:SS' form
+ */
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parse and validate a 'YYYY-MM-DD' date string
+ * @param {string} value - Date string
+ * @returns {Date} The parsed date (midnight UTC)
+ */
+function parseDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  // Date rolls impossible days over (2025-02-30 becomes March 2nd), so the
+  // parsed date must print back as the input
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+    Number.isNaN(date.getTime()) ||
+    date.toISOString().slice(0, 10) !== value
+  ) {
+    throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+/**
+ * Service for managing scoring seasons and leaderboard time windows
+ * Seasons are stored per guild alongside guild_settings
+ */
+class SeasonService {
+  /**
+   * Create a named season for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Season name (unique per guild)
+   * @param {string} startDate - First day of the season (YYYY-MM-DD, UTC)
+   * @param {string} endDate - Last day of the season (YYYY-MM-DD, UTC, inclusive)
+   * @param {string|null} createdBy - Discord user ID who created the season
+   * @returns {Promise<Object>} The created season
+   */
+  async createSeason(guildId, name, startDate, endDate, createdBy = null) {
+    try {
+      if (!guildId || !name) {
+        throw new Error('guildId and name are required');
+      }
+
+      if (parseDate(endDate) < parseDate(startDate)) {
+        throw new Error('Invalid season: end date is before start date');
+      }
+
+      const existing = await this.getSeason(guildId, name);
+      if (existing) {
+        throw new Error(`Season already exists: ${name}`);
+      }
+
+      await database.execute(
+        `INSERT INTO guild_seasons (guild_id, name, start_date, end_date, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [guildId, name, startDate, endDate, createdBy]
+      );
+
+      logger.info(
+        `Created season "${name}" (${startDate} to ${endDate}) for guild ${guildId}`
+      );
+
+      return await this.getSeason(guildId, name);
+    } catch (error) {
+      logger.medium('Failed to create season', 'seasons', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a season by name
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Season name
+   * @returns {Promise<Object|null>} The season or null if not found
+   */
+  async getSeason(guildId, name) {
+    try {
+      const season = await database.queryOne(
+        'SELECT * FROM guild_seasons WHERE guild_id = ? AND name = ? COLLATE NOCASE',
+        [guildId, name]
+      );
+      return season || null;
+    } catch (error) {
+      logger.high('Failed to get season', 'seasons', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a season by ID
+   * @param {string} guildId - Discord guild ID
+   * @param {number} seasonId - Season ID
+   * @returns {Promise<Object|null>} The season or null if not found
+   */
+  async getSeasonById(guildId, seasonId) {
+    try {
+      const season = await database.queryOne(
+        'SELECT * FROM guild_seasons WHERE guild_id = ? AND id = ?',
+        [guildId, seasonId]
+      );
+      return season || null;
+    } catch (error) {
+      logger.high('Failed to get season', 'seasons', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all seasons of a guild, most recent first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array>} Seasons
+   */
+  async listSeasons(guildId) {
+    try {
+      return await database.query(
+        'SELECT * FROM guild_seasons WHERE guild_id = ? ORDER BY start_date DESC',
+        [guildId]
+      );
+    } catch (error) {
+      logger.high('Failed to list seasons', 'seasons', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the season running today, if any
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} The active season or null
+   */
+  async getActiveSeason(guildId) {
+    try {
+      const today = toSqlTimestamp(new Date()).slice(0, 10);
+      const season = await database.queryOne(
+        `SELECT * FROM guild_seasons
+         WHERE guild_id = ? AND start_date <= ? AND end_date >= ?
+         ORDER BY start_date DESC
+         LIMIT 1`,
+        [guildId, today, today]
+      );
+      return season || null;
+    } catch (error) {
+      logger.high('Failed to get active season', 'seasons', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a season
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Season name
+   * @returns {Promise<boolean>} True if a season was deleted
+   */
+  async deleteSeason(guildId, name) {
+    try {
+      const result = await database.execute(
+        'DELETE FROM guild_seasons WHERE guild_id = ? AND name = ? COLLATE NOCASE',
+        [guildId, name]
+      );
+
+      if (result.changes > 0) {
+        logger.info(`Deleted season "${name}" for guild ${guildId}`);
+      }
+      return result.changes > 0;
+    } catch (error) {
+      logger.medium('Failed to delete season', 'seasons', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a leaderboard period into a ranking window
+   * @param {string} guildId - Discord guild ID
+   * @param {string} period - 'daily', 'weekly', 'monthly', 'all-time' or 'season'
+   * @param {string|null} seasonName - Season to rank (defaults to the active season)
+   * @returns {Promise<Object>} { period, label, window } where window is null for all-time
+   */
+  async resolvePeriod(guildId, period = 'all-time', seasonName = null) {
+    if (ROLLING_PERIODS[period]) {
+      const { label, days } = ROLLING_PERIODS[period];
+      return {
+        period,
+        label,
+        window: { since: toSqlTimestamp(new Date(Date.now() - days * DAY_MS)) }
+      };
+    }
+
+    if (period === 'season') {
+      const season = seasonName
+        ? await this.getSeason(guildId, seasonName)
+        : await this.getActiveSeason(guildId);
+
+      if (!season) {
+        throw new Error(
+          seasonName
+            ? `Season not found: ${seasonName}`
+            : 'Season not found: no season is running today'
+        );
+      }
+
+      const until = new Date(parseDate(season.end_date).getTime() + DAY_MS);
+      return {
+        period,
+        season,
+        label: `Season: ${season.name} (${season.start_date} to ${season.end_date})`,
+        window: {
+          since: toSqlTimestamp(parseDate(season.start_date)),
+          until: toSqlTimestamp(until)
+        }
+      };
+    }
+
+    return { period: 'all-time', label: 'All-time', window: null };
+  }
+}
+
+export default new SeasonService();
@@ -0,0 +1,469 @@
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+/**
+ * Validation and display rules for each setting type
+ * parse() turns text typed into a command into a value, check() validates a
+ * value before it is stored
+ */
+const TYPES = {
+  channel: {
+    label: 'Channel',
+    parse: text => text.replace(/^<#(\d+)>$/, '$1'),
+    check: (value, definition) => {
+      if (typeof value !== 'string' || !SNOWFLAKE_PATTERN.test(value)) {
+        throw new Error(`Invalid ${definition.name}: expected a channel`);
+      }
+    },
+    format: value => `<#${value}>`
+  },
+  role: {
+    label: 'Role',
+    parse: text => text.replace(/^<@&(\d+)>$/, '$1'),
+    check: (value, definition) => {
+      if (typeof value !== 'string' || !SNOWFLAKE_PATTERN.test(value)) {
+        throw new Error(`Invalid ${definition.name}: expected a role`);
+      }
+    },
+    format: value => `<@&${value}>`
+  },
+  number: {
+    label: 'Number',
+    parse: text => Number(text),
+    check: (value, definition) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Invalid ${definition.name}: expected a number`);
+      }
+      if (definition.integer && !Number.isInteger(value)) {
+        throw new Error(`Invalid ${definition.name}: expected a whole number`);
+      }
+      if (definition.min !== undefined && value < definition.min) {
+        throw new Error(
+          `Invalid ${definition.name}: must be at least ${definition.min}`
+        );
+      }
+      if (definition.max !== undefined && value > definition.max) {
+        throw new Error(
+          `Invalid ${definition.name}: must be at most ${definition.max}`
+        );
+      }
+    },
+    format: value => `${value}`
+  },
+  boolean: {
+    label: 'On/Off',
+    parse: text => {
+      const normalized = text.trim().toLowerCase();
+      if (['true', 'on', 'yes', '1'].includes(normalized)) return true;
+      if (['false', 'off', 'no', '0'].includes(normalized)) return false;
+      return text;
+    },
+    check: (value, definition) => {
+      if (typeof value !== 'boolean') {
+        throw new Error(`Invalid ${definition.name}: expected on or off`);
+      }
+    },
+    format: value => (value ? 'On' : 'Off')
+  },
+  string: {
+    label: 'Text',
+    parse: text => text.trim(),
+    check: (value, definition) => {
+      if (typeof value !== 'string' || value.length === 0) {
+        throw new Error(`Invalid ${definition.name}: expected text`);
+      }
+      if (definition.choices && !definition.choices.includes(value)) {
+        throw new Error(
+          `Invalid ${definition.name}: ${value} (use ${definition.choices.join(', ')})`
+        );
+      }
+    },
+    format: value => `\`${value}\``
+  },
+  list: {
+    label: 'List',
+    parse: (text, definition) =>
+      text
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => TYPES[definition.itemType].parse(item, definition)),
+    check: (value, definition) => {
+      if (!Array.isArray(value)) {
+        throw new Error(`Invalid ${definition.name}: expected a list`);
+      }
+      for (const item of value) {
+        TYPES[definition.itemType].check(item, definition);
+      }
+    },
+    format: (value, definition) =>
+      value.length > 0
+        ? value.map(item => TYPES[definition.itemType].format(item)).join(', ')
+        : 'Empty'
+  }
+};
+
+/**
+ * Settings every guild has
+ * Channel lists may hold categories, which cover every channel inside them
+ * Fields: key (storage key), name (used by /bind and /unbind), label,
+ * description (shown by /setup), emoji, type, itemType (lists only), default,
+ * choices/min/max/integer (optional limits), validate (optional extra check),
+ * unsetText (shown by /status when unset)
+ */
+const CORE_SETTINGS = [
+  {
+    key: 'leaderboard_channels',
+    name: 'leaderboard',
+    label: 'Leaderboard Channels',
+    description:
+      'Channels or categories where the leaderboard can be used and is posted. Leave empty to allow it anywhere.',
+    emoji: '📊',
+    type: 'list',
+    itemType: 'channel',
+    default: [],
+    unsetText: 'Not configured (unrestricted)'
+  },
+  {
+    key: 'leaderboard_denied_channels',
+    name: 'leaderboard_deny',
+    label: 'Leaderboard Blocked Channels',
+    description:
+      'Channels or categories where the leaderboard can never be used.',
+    emoji: '🚫',
+    type: 'list',
+    itemType: 'channel',
+    default: [],
+    unsetText: 'None'
+  },
+  {
+    key: 'stats_channels',
+    name: 'stats',
+    label: 'Stats Channels',
+    description:
+      'Channels or categories where stats commands like /rank can be used. Leave empty to allow them anywhere.',
+    emoji: '📈',
+    type: 'list',
+    itemType: 'channel',
+    default: [],
+    unsetText: 'Not configured (unrestricted)'
+  },
+  {
+    key: 'stats_denied_channels',
+    name: 'stats_deny',
+    label: 'Stats Blocked Channels',
+    description:
+      'Channels or categories where stats commands can never be used.',
+    emoji: '🚫',
+    type: 'list',
+    itemType: 'channel',
+    default: [],
+    unsetText: 'None'
+  },
+  {
+    key: 'admin_role_id',
+    name: 'admin_role',
+    label: 'Admin Role',
+    description:
+      'Role whose members may use the admin commands. Without one, the Manage Server permission is required.',
+    emoji: '👑',
+    type: 'role',
+    default: null,
+    unsetText: 'Not configured (Manage Server permission required)'
+  },
+  {
+    key: 'admin_alert_channel_id',
+    name: 'admin_alerts',
+    label: 'Admin Alert Channel',
+    description:
+      'Channel where the bot posts configuration problems for admins. Without one, admins are sent a DM.',
+    emoji: '📣',
+    type: 'channel',
+    default: null,
+    unsetText: 'Not configured (admins are DMed)'
+  },
+  {
+    key: 'ranking_strategy',
+    name: 'ranking_strategy',
+    label: 'Ranking Strategy',
+    description:
+      'How tied scores are ranked: competition (1, 2, 2, 4), dense (1, 2, 2, 3) or earliest (whoever reached the score first ranks higher).',
+    emoji: '🏅',
+    type: 'string',
+    choices: ['competition', 'dense', 'earliest'],
+    default: 'competition',
+    unsetText: 'Competition (default)'
+  },
+  {
+    key: 'permission_failure_mode',
+    name: 'permission_failure_mode',
+    label: 'Permission Check Failures',
+    description:
+      'Whether commands are allowed (open) or denied (closed) when a permission check fails.',
+    emoji: '🛡️',
+    type: 'string',
+    choices: ['open', 'closed'],
+    default: null,
+    unsetText: 'Bot default (PERMISSION_FAILURE_MODE)'
+  },
+  {
+    key: 'activity_enabled',
+    name: 'activity',
+    label: 'Activity Points',
+    description: 'Whether members earn points by chatting.',
+    emoji: '💬',
+    type: 'boolean',
+    default: false,
+    unsetText: 'Off (default)'
+  },
+  {
+    key: 'activity_points_per_message',
+    name: 'activity_points',
+    label: 'Points Per Message',
+    description: 'Points a member earns for a message that passes the rules.',
+    emoji: '➕',
+    type: 'number',
+    integer: true,
+    min: 1,
+    max: 1000,
+    default: 1,
+    unsetText: '1 (default)'
+  },
+  {
+    key: 'activity_cooldown_seconds',
+    name: 'activity_cooldown',
+    label: 'Activity Cooldown',
+    description:
+      'Seconds a member has to wait after earning activity points before earning them again.',
+    emoji: '⏱️',
+    type: 'number',
+    integer: true,
+    min: 0,
+    max: 86400,
+    default: 60,
+    unsetText: '60 seconds (default)'
+  },
+  {
+    key: 'activity_min_length',
+    name: 'activity_min_length',
+    label: 'Activity Minimum Length',
+    description: 'Characters a message needs to earn activity points.',
+    emoji: '📏',
+    type: 'number',
+    integer: true,
+    min: 0,
+    max: 2000,
+    default: 5,
+    unsetText: '5 characters (default)'
+  },
+  {
+    key: 'activity_excluded_channels',
+    name: 'activity_exclude',
+    label: 'Activity Excluded Channels',
+    description:
+      'Channels or categories where messages never earn activity points.',
+    emoji: '🔇',
+    type: 'list',
+    itemType: 'channel',
+    default: [],
+    unsetText: 'None'
+  },
+  {
+    key: 'level_curve',
+    name: 'level_curve',
+    label: 'Level Curve',
+    description:
+      'How quickly the points needed per level grow: linear, quadratic or exponential.',
+    emoji: '📐',
+    type: 'string',
+    choices: ['linear', 'quadratic', 'exponential'], // CURVES in levels.js
+    default: 'quadratic',
+    unsetText: 'Quadratic (default)'
+  },
+  {
+    key: 'level_base_xp',
+    name: 'level_base_xp',
+    label: 'Level Base XP',
+    description: 'Points needed for level 1.',
+    emoji: '🎯',
+    type: 'number',
+    integer: true,
+    min: 1,
+    max: 1000000,
+    default: 100,
+    unsetText: '100 (default)'
+  },
+  {
+    key: 'level_announce',
+    name: 'level_announce',
+    label: 'Level-Up Announcements',
+    description: 'Whether level-ups are announced in the stats channel.',
+    emoji: '🎉',
+    type: 'boolean',
+    default: true,
+    unsetText: 'On (default)'
+  },
+  {
+    key: 'level_stack_roles',
+    name: 'level_stack_roles',
+    label: 'Stack Level Roles',
+    description:
+      'Whether members keep the roles of lower levels. When off, only the highest level role is kept.',
+    emoji: '🪜',
+    type: 'boolean',
+    default: true,
+    unsetText: 'On (default)'
+  }
+];
+
+/**
+ * Registry of guild settings
+ * Each setting declares its type, default and validation, so storing a new
+ * setting needs no schema change and /bind, /unbind and /status pick it up
+ * automatically
+ */
+class SettingsRegistry {
+  constructor() {
+    this.definitions = new Map(); // key -> definition
+  }
+
+  /**
+   * Add a setting to the registry
+   * @param {Object} definition - Setting definition (see CORE_SETTINGS)
+   * @returns {Object} The registered definition
+   */
+  register(definition) {
+    const { key, name, type } = definition;
+
+    if (!key || !name) {
+      throw new Error('Setting definitions need a key and a name');
+    }
+    if (this.definitions.has(key) || this.findByName(name)) {
+      throw new Error(`Setting already registered: ${key}`);
+    }
+    if (!TYPES[type] || (type === 'list' && !TYPES[definition.itemType])) {
+      throw new Error(`Unknown setting type for ${key}: ${type}`);
+    }
+
+    const registered = {
+      label: name,
+      emoji: '⚙️',
+      default: type === 'list' ? [] : null,
+      unsetText: 'Not configured',
+      ...definition
+    };
+    this.definitions.set(key, registered);
+    return registered;
+  }
+
+  /**
+   * Get a setting definition by storage key
+   * @param {string} key - Setting key
+   * @returns {Object|null} The definition, or null if unknown
+   */
+  get(key) {
+    return this.definitions.get(key) || null;
+  }
+
+  /**
+   * Get a setting definition by the name used in commands
+   * @param {string} name - Setting name (e.g. 'leaderboard')
+   * @returns {Object|null} The definition, or null if unknown
+   */
+  findByName(name) {
+    for (const definition of this.definitions.values()) {
+      if (definition.name === name) return definition;
+    }
+    return null;
+  }
+
+  /**
+   * List every registered setting in registration order
+   * @returns {Array<Object>} Setting definitions
+   */
+  list() {
+    return [...this.definitions.values()];
+  }
+
+  /**
+   * Validate a value for a setting
+   * @param {string} key - Setting key
+   * @param {*} value - Value to store (null clears the setting)
+   * @returns {*} The value
+   */
+  validate(key, value) {
+    const definition = this.get(key);
+    if (!definition) {
+      throw new Error(`Invalid setting key: ${key}`);
+    }
+    if (value === null) {
+      return null;
+    }
+
+    TYPES[definition.type].check(value, definition);
+    if (definition.validate) {
+      definition.validate(value);
+    }
+    return value;
+  }
+
+  /**
+   * Turn text typed into a command into a value of the setting's type
+   * @param {string} key - Setting key
+   * @param {string} text - Raw text
+   * @returns {*} The parsed value (still to be validated)
+   */
+  parse(key, text) {
+    const definition = this.get(key);
+    if (!definition) {
+      throw new Error(`Invalid setting key: ${key}`);
+    }
+    return TYPES[definition.type].parse(text, definition);
+  }
+
+  /**
+   * Render a value for display in Discord
+   * @param {string} key - Setting key
+   * @param {*} value - Stored value
+   * @returns {string} Display text
+   */
+  format(key, value) {
+    const definition = this.get(key);
+    if (value === null || value === undefined) {
+      return definition.unsetText;
+    }
+    return TYPES[definition.type].format(value, definition);
+  }
+
+  /**
+   * Human readable name of a setting's type
+   * @param {Object} definition - Setting definition
+   * @returns {string} Type label
+   */
+  getTypeLabel(definition) {
+    return definition.type === 'list'
+      ? `List of ${TYPES[definition.itemType].label.toLowerCase()}s`
+      : TYPES[definition.type].label;
+  }
+
+  /**
+   * Discord IDs referenced by a value, grouped by what they point at
+   * @param {Object} definition - Setting definition
+   * @param {*} value - Stored value
+   * @returns {Object} { kind: 'channel'|'role'|null, ids: Array<string> }
+   */
+  getReferences(definition, value) {
+    const kind =
+      definition.type === 'list' ? definition.itemType : definition.type;
+    if (value === null || (kind !== 'channel' && kind !== 'role')) {
+      return { kind: null, ids: [] };
+    }
+    return { kind, ids: Array.isArray(value) ? value : [value] };
+  }
+}
+
+const settingsRegistry = new SettingsRegistry();
+for (const definition of CORE_SETTINGS) {
+  settingsRegistry.register(definition);
+}
+
+export default settingsRegistry;
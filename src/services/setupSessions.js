@@ -0,0 +1,85 @@
+import logger from '../core/logger.js';
+
+import database from './database.js';
+
+/**
+ * Service for /setup wizard progress
+ * Each guild has at most one session holding the current step and the
+ * setting values picked so far, which are only applied when the wizard is saved
+ */
+class SetupSessionService {
+  /**
+   * Get the unfinished setup of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} { guildId, userId, step, draft, createdAt, updatedAt } or null
+   */
+  async getSession(guildId) {
+    try {
+      const row = await database.queryOne(
+        'SELECT * FROM setup_sessions WHERE guild_id = ?',
+        [guildId]
+      );
+      if (!row) {
+        return null;
+      }
+
+      return {
+        guildId: row.guild_id,
+        userId: row.user_id,
+        step: row.step,
+        draft: JSON.parse(row.draft),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      };
+    } catch (error) {
+      logger.high('Failed to get setup session', 'setupSessions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update the setup of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} session - Progress to store
+   * @param {string} session.userId - Discord user ID of the admin running it
+   * @param {number} session.step - Index of the current step
+   * @param {Object} session.draft - Picked values, keyed by setting key (null resets a setting)
+   */
+  async saveSession(guildId, { userId, step, draft }) {
+    try {
+      await database.execute(
+        `INSERT INTO setup_sessions (guild_id, user_id, step, draft, updated_at)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (guild_id) DO UPDATE SET
+           user_id = excluded.user_id,
+           step = excluded.step,
+           draft = excluded.draft,
+           updated_at = CURRENT_TIMESTAMP`,
+        [guildId, userId, step, JSON.stringify(draft)]
+      );
+    } catch (error) {
+      logger.high('Failed to save setup session', 'setupSessions', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the setup of a guild once it is saved or cancelled
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} True if a session was removed
+   */
+  async deleteSession(guildId) {
+    try {
+      const result = await database.execute(
+        'DELETE FROM setup_sessions WHERE guild_id = ?',
+        [guildId]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      logger.high('Failed to delete setup session', 'setupSessions', error);
+      throw error;
+    }
+  }
+}
+
+export default new SetupSessionService();
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import database from '../src/services/database.js';
+import activityService from '../src/services/activity.js';
+import scoreService from '../src/services/scores.js';
+
+const EXCLUDED_CATEGORY = '300000000000000001';
+
+/**
+ * Send a message through the activity rules
+ */
+function message(guildId, content, overrides = {}) {
+  return activityService.handleMessage({
+    guildId,
+    userId: 'member-1',
+    channelId: 'channel-1',
+    parentIds: [],
+    content,
+    ...overrides
+  });
+}
+
+before(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+  await database.initialize();
+});
+
+after(() => database.close());
+
+test('nothing is awarded until activity points are enabled', async () => {
+  assert.equal((await message('g-off', 'hello everyone')).reason, 'disabled');
+  assert.equal(await scoreService.getScore('g-off', 'member-1'), 0);
+});
+
+test('short, repeated and excluded messages earn nothing', async () => {
+  await activityService.updateRules('g-spam', {
+    enabled: true,
+    pointsPerMessage: 3,
+    cooldownSeconds: 0,
+    minLength: 5
+  });
+  await activityService.excludeChannel('g-spam', EXCLUDED_CATEGORY);
+
+  assert.deepEqual(await message('g-spam', 'hello everyone'), {
+    awarded: true,
+    reason: 'awarded',
+    total: 3
+  });
+  // Case and spacing do not make a repeat new
+  assert.equal(
+    (await message('g-spam', '  HELLO   everyone ')).reason,
+    'duplicate'
+  );
+  assert.equal((await message('g-spam', ' hi  ')).reason, 'too-short');
+  assert.equal(
+    (
+      await message('g-spam', 'something new', {
+        channelId: 'thread-1',
+        parentIds: ['channel-2', EXCLUDED_CATEGORY]
+      })
+    ).reason,
+    'excluded-channel'
+  );
+
+  assert.equal(await scoreService.getScore('g-spam', 'member-1'), 3);
+});
+
+test('the cooldown and duplicate window expire', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  await activityService.updateRules('g-cooldown', {
+    enabled: true,
+    cooldownSeconds: 60
+  });
+
+  assert.equal((await message('g-cooldown', 'first message')).awarded, true);
+  assert.equal(
+    (await message('g-cooldown', 'second message')).reason,
+    'cooldown'
+  );
+
+  t.mock.timers.tick(61 * 1000);
+  assert.equal((await message('g-cooldown', 'third message')).awarded, true);
+
+  // Repeats are remembered for ten minutes
+  t.mock.timers.tick(61 * 1000);
+  assert.equal(
+    (await message('g-cooldown', 'first message')).reason,
+    'duplicate'
+  );
+  t.mock.timers.tick(10 * 60 * 1000);
+  assert.equal((await message('g-cooldown', 'first message')).awarded, true);
+});
+
+test('rules are validated by the settings registry', async () => {
+  await assert.rejects(
+    activityService.updateRules('g-invalid', { pointsPerMessage: 0 }),
+    /must be at least 1/
+  );
+  await assert.rejects(
+    activityService.updateRules('g-invalid', { pointsPerMessage: 1.5 }),
+    /whole number/
+  );
+  await assert.rejects(activityService.updateRules('g-invalid', { bonus: 1 }), {
+    message: 'Invalid activity rule: bonus'
+  });
+});
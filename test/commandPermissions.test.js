@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import database from '../src/services/database.js';
+import commandPermissionService from '../src/services/commandPermissions.js';
+import guildSettingsService from '../src/services/guildSettings.js';
+
+const GUILD = '200000000000000000';
+const MOD_ROLE = '200000000000000001';
+const MUTED_ROLE = '200000000000000002';
+const ADMIN_ROLE = '200000000000000003';
+const CHANNEL = '200000000000000010';
+const CATEGORY = '200000000000000011';
+
+/**
+ * Evaluate a command for a plain member, with overrides
+ */
+function evaluate(overrides = {}) {
+  return commandPermissionService.evaluate({
+    guildId: GUILD,
+    commandName: 'points',
+    userId: 'member-1',
+    roleIds: [GUILD],
+    channelIds: [CHANNEL, CATEGORY],
+    adminOnly: true,
+    isAdministrator: false,
+    canManageGuild: false,
+    ...overrides
+  });
+}
+
+before(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+  delete process.env.PERMISSION_FAILURE_MODE;
+  await database.initialize();
+});
+
+after(() => database.close());
+
+test('admin-only commands need Manage Server when no admin role is bound', async () => {
+  assert.equal((await evaluate()).allowed, false);
+  assert.deepEqual(await evaluate({ canManageGuild: true }), {
+    allowed: true,
+    reason: 'Manage Server permission'
+  });
+  assert.deepEqual(await evaluate({ adminOnly: false }), {
+    allowed: true,
+    reason: 'Open command'
+  });
+});
+
+test('a bound admin role replaces Manage Server', async () => {
+  await guildSettingsService.setGuildSetting(
+    GUILD,
+    'admin_role_id',
+    ADMIN_ROLE
+  );
+
+  assert.equal((await evaluate({ canManageGuild: true })).allowed, false);
+  assert.equal(
+    (await evaluate({ roleIds: [GUILD, ADMIN_ROLE] })).allowed,
+    true
+  );
+
+  await guildSettingsService.clearGuildSetting(GUILD, 'admin_role_id');
+});
+
+test('rules grant and deny commands in order', async () => {
+  await commandPermissionService.setRule(
+    GUILD,
+    'points',
+    'role',
+    MOD_ROLE,
+    true
+  );
+  await commandPermissionService.setRule(
+    GUILD,
+    'points',
+    'role',
+    MUTED_ROLE,
+    false
+  );
+  await commandPermissionService.setRule(GUILD, 'points', 'role', GUILD, false);
+
+  // A specific role grant beats the @everyone denial
+  assert.equal((await evaluate({ roleIds: [GUILD, MOD_ROLE] })).allowed, true);
+  // Denials beat grants between specific roles
+  assert.equal(
+    (await evaluate({ roleIds: [GUILD, MOD_ROLE, MUTED_ROLE] })).allowed,
+    false
+  );
+  // @everyone applies when no specific role matches, even to Manage Server
+  assert.equal((await evaluate({ canManageGuild: true })).allowed, false);
+
+  // A user rule beats role rules
+  await commandPermissionService.setRule(
+    GUILD,
+    'points',
+    'user',
+    'member-1',
+    true
+  );
+  assert.equal(
+    (await evaluate({ roleIds: [GUILD, MUTED_ROLE] })).allowed,
+    true
+  );
+
+  // A denied category covers its channels, even for granted users
+  await commandPermissionService.setRule(
+    GUILD,
+    'points',
+    'channel',
+    CATEGORY,
+    false
+  );
+  assert.equal((await evaluate()).allowed, false);
+
+  // Administrators are never locked out
+  assert.equal((await evaluate({ isAdministrator: true })).allowed, true);
+
+  await commandPermissionService.resetCommand(GUILD, 'points');
+});
+
+test('a failed check follows the permission failure mode', async t => {
+  t.mock.method(commandPermissionService, 'getRules', async () => {
+    throw new Error('database is locked');
+  });
+
+  const closed = await evaluate({ canManageGuild: true, adminOnly: false });
+  assert.equal(closed.allowed, false);
+  assert.match(closed.reason, /could not be checked/);
+
+  await guildSettingsService.setGuildSetting(
+    GUILD,
+    'permission_failure_mode',
+    'open'
+  );
+  assert.deepEqual(await evaluate(), {
+    allowed: true,
+    reason: 'Permission check failed (failing open)'
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, test } from 'node:test';
+
+import database from '../src/services/database.js';
+
+/**
+ * Values stored in the test table, in insertion order
+ */
+async function values() {
+  const rows = await database.query('SELECT value FROM items ORDER BY rowid');
+  return rows.map(row => row.value);
+}
+
+before(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+  await database.initialize();
+  await database.execute('CREATE TABLE items (value TEXT NOT NULL)');
+});
+
+beforeEach(() => database.execute('DELETE FROM items'));
+
+after(() => database.close());
+
+test('a failing transaction stores nothing', async () => {
+  await assert.rejects(
+    database.transaction(async tx => {
+      await tx.execute('INSERT INTO items VALUES (?)', ['a']);
+      throw new Error('boom');
+    }),
+    { message: 'boom' }
+  );
+  assert.deepEqual(await values(), []);
+});
+
+test('a failing nested transaction only rolls back its savepoint', async () => {
+  await database.transaction(async tx => {
+    await tx.execute('INSERT INTO items VALUES (?)', ['outer']);
+    await assert.rejects(
+      tx.transaction(async inner => {
+        await inner.execute('INSERT INTO items VALUES (?)', ['inner']);
+        throw new Error('inner failed');
+      })
+    );
+    await tx.execute('INSERT INTO items VALUES (?)', ['after']);
+  });
+  assert.deepEqual(await values(), ['outer', 'after']);
+});
+
+test('parallel nested transactions each keep their own savepoint', async () => {
+  await database.transaction(async tx => {
+    await Promise.all([
+      tx.transaction(inner =>
+        inner.execute('INSERT INTO items VALUES (?)', ['one'])
+      ),
+      tx
+        .transaction(async inner => {
+          await inner.execute('INSERT INTO items VALUES (?)', ['two']);
+          throw new Error('two failed');
+        })
+        .catch(() => {}),
+      tx.transaction(inner =>
+        inner.execute('INSERT INTO items VALUES (?)', ['three'])
+      )
+    ]);
+  });
+  assert.deepEqual(await values(), ['one', 'three']);
+});
+
+test('work left running after a commit is not part of the transaction', async () => {
+  let late;
+  await database.transaction(async tx => {
+    await tx.execute('INSERT INTO items VALUES (?)', ['committed']);
+    late = new Promise(resolve => setTimeout(resolve, 10)).then(() =>
+      database.transaction(inner =>
+        inner.execute('INSERT INTO items VALUES (?)', ['late'])
+      )
+    );
+  });
+
+  // The late write must wait for the next transaction instead of joining it,
+  // so rolling that one back keeps the late write
+  const next = database.transaction(async tx => {
+    await tx.execute('INSERT INTO items VALUES (?)', ['next']);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    throw new Error('next failed');
+  });
+  await assert.rejects(next, { message: 'next failed' });
+  await late;
+
+  assert.deepEqual(await values(), ['committed', 'late']);
+});
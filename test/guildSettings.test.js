@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import database from '../src/services/database.js';
+import guildSettingsService from '../src/services/guildSettings.js';
+
+const CHANNEL_A = '100000000000000001';
+const CHANNEL_B = '100000000000000002';
+
+before(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+  await database.initialize();
+});
+
+after(() => database.close());
+
+test('every change is recorded as a history version', async () => {
+  await guildSettingsService.setGuildSettings(
+    'g-history',
+    [
+      { key: 'leaderboard_channels', value: [CHANNEL_A] },
+      { key: 'ranking_strategy', value: 'dense' }
+    ],
+    'admin-1'
+  );
+  await guildSettingsService.setGuildSetting(
+    'g-history',
+    'ranking_strategy',
+    'earliest',
+    'admin-2'
+  );
+
+  // Writing the same value again is not a change
+  const unchanged = await guildSettingsService.setGuildSettings('g-history', [
+    { key: 'ranking_strategy', value: 'earliest' }
+  ]);
+  assert.equal(unchanged.version, null);
+
+  const history = await guildSettingsService.getSettingHistory('g-history');
+  assert.deepEqual(
+    history.map(({ version, changedBy, changes }) => ({
+      version,
+      changedBy,
+      changes
+    })),
+    [
+      {
+        version: 2,
+        changedBy: 'admin-2',
+        changes: [
+          { key: 'ranking_strategy', oldValue: 'dense', newValue: 'earliest' }
+        ]
+      },
+      {
+        version: 1,
+        changedBy: 'admin-1',
+        changes: [
+          {
+            key: 'leaderboard_channels',
+            oldValue: null,
+            newValue: [CHANNEL_A]
+          },
+          { key: 'ranking_strategy', oldValue: null, newValue: 'dense' }
+        ]
+      }
+    ]
+  );
+});
+
+test('rollback restores the values of an earlier version', async () => {
+  await guildSettingsService.setGuildSettings('g-rollback', [
+    { key: 'leaderboard_channels', value: [CHANNEL_A] },
+    { key: 'ranking_strategy', value: 'dense' }
+  ]);
+  await guildSettingsService.setGuildSettings('g-rollback', [
+    { key: 'leaderboard_channels', value: [CHANNEL_A, CHANNEL_B] },
+    { key: 'activity_enabled', value: true }
+  ]);
+
+  const result = await guildSettingsService.rollbackToVersion(
+    'g-rollback',
+    1,
+    'admin-1'
+  );
+  assert.equal(result.version, 3);
+
+  const settings = await guildSettingsService.getGuildSettings('g-rollback');
+  assert.deepEqual(settings.leaderboard_channels, [CHANNEL_A]);
+  assert.equal(settings.ranking_strategy, 'dense');
+  assert.equal(settings.activity_enabled, false); // back to its default
+
+  // The rollback is a version of its own and can be undone
+  await guildSettingsService.rollbackToVersion('g-rollback', 2);
+  const undone = await guildSettingsService.getGuildSettings('g-rollback');
+  assert.deepEqual(undone.leaderboard_channels, [CHANNEL_A, CHANNEL_B]);
+  assert.equal(undone.activity_enabled, true);
+});
+
+test('rollback to version 0 clears every setting', async () => {
+  await guildSettingsService.setGuildSetting(
+    'g-zero',
+    'ranking_strategy',
+    'dense'
+  );
+  await guildSettingsService.rollbackToVersion('g-zero', 0);
+  assert.equal(await guildSettingsService.getGuildSettings('g-zero'), null);
+});
+
+test('invalid values and versions are refused', async () => {
+  await assert.rejects(
+    guildSettingsService.setGuildSetting(
+      'g-invalid',
+      'ranking_strategy',
+      'random'
+    ),
+    /Invalid ranking_strategy/
+  );
+  await assert.rejects(guildSettingsService.rollbackToVersion('g-invalid', 5), {
+    message: 'Invalid version: 5 (latest is v0)'
+  });
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { exportLeaderboard } from '../src/features/leaderboard/leaderboardExport.js';
+import scoreService from '../src/services/scores.js';
+
+const guild = {
+  id: 'guild-1',
+  client: { users: { cache: new Map() } },
+  members: {
+    cache: new Map([
+      ['1', { displayName: '=HYPERLINK("x")' }],
+      ['2', { displayName: '-minus' }]
+    ]),
+    fetch: async () => {}
+  }
+};
+
+test('CSV export keeps negative scores numeric and neutralises text', async t => {
+  t.mock.method(scoreService, 'getLeaderboard', async () => [
+    { rank: 1, user_id: '1', total: 12 },
+    { rank: 2, user_id: '2', total: -5 }
+  ]);
+
+  const files = [];
+  for await (const file of exportLeaderboard(
+    guild,
+    { period: 'all', window: null },
+    'csv'
+  )) {
+    files.push(file.attachment.attachment.toString());
+  }
+
+  assert.deepEqual(files[0].trim().split('\n'), [
+    'rank,user_id,display_name,score',
+    '1,1,"\'=HYPERLINK(""x"")",12',
+    "2,2,'-minus,-5"
+  ]);
+});
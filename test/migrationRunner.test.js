@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+
+import MigrationRunner from '../src/data/migrations/migrationRunner.js';
+
+let db;
+let runner;
+
+/**
+ * Versions currently applied
+ */
+async function appliedVersions() {
+  const status = await runner.getStatus();
+  return status
+    .filter(entry => entry.status === 'applied')
+    .map(entry => entry.version);
+}
+
+before(async () => {
+  db = await open({ filename: ':memory:', driver: sqlite3.Database });
+  runner = new MigrationRunner(db);
+  await runner.up();
+});
+
+after(() => db.close());
+
+test('down() refuses to cross an irreversible migration', async () => {
+  const applied = await appliedVersions();
+  const steps = applied.length - applied.indexOf(3);
+
+  await assert.rejects(runner.down(steps), {
+    message: 'Migration 003_move_guild_settings.js cannot be reverted'
+  });
+
+  // Nothing was reverted, not even the reversible migrations after it
+  assert.deepEqual(await appliedVersions(), applied);
+});
+
+test('reversible migrations go down and up again', async () => {
+  const applied = await appliedVersions();
+
+  const reverted = await runner.down(1);
+  assert.deepEqual(
+    reverted.map(migration => migration.version),
+    [applied.at(-1)]
+  );
+  assert.deepEqual(await appliedVersions(), applied.slice(0, -1));
+
+  await runner.up();
+  assert.deepEqual(await appliedVersions(), applied);
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import QueryBuilder from '../src/data/queryBuilder.js';
+
+const builder = new QueryBuilder('guilds', [
+  'id',
+  'name',
+  'left_at',
+  'updated_at'
+]);
+
+test('select turns conditions into parameters', () => {
+  assert.deepEqual(
+    builder.select({
+      columns: ['id', 'name'],
+      where: { name: 'x', left_at: null, id: ['1', '2'] },
+      orderBy: ['name desc'],
+      limit: 5
+    }),
+    {
+      sql: 'SELECT id, name FROM guilds WHERE name = ? AND left_at IS NULL AND id IN (?, ?) ORDER BY name DESC LIMIT ?',
+      params: ['x', '1', '2', 5]
+    }
+  );
+});
+
+test('an empty IN list matches nothing', () => {
+  assert.deepEqual(builder.count({ id: [] }), {
+    sql: 'SELECT COUNT(*) AS count FROM guilds WHERE 0',
+    params: []
+  });
+});
+
+test('unknown columns and bad orders are refused', () => {
+  assert.throws(
+    () => builder.select({ where: { 'name; DROP TABLE guilds': 1 } }),
+    /Unknown column/
+  );
+  assert.throws(() => builder.select({ orderBy: ['name SIDEWAYS'] }), {
+    message: 'Invalid order: name SIDEWAYS'
+  });
+  assert.throws(() => builder.select({ limit: -1 }), /Invalid limit/);
+  assert.throws(() => new QueryBuilder('bad table', ['id']), {
+    message: 'Invalid identifier: bad table'
+  });
+});
+
+test('update and delete refuse to touch every row', () => {
+  assert.throws(() => builder.update({ name: 'x' }, {}), /every row/);
+  assert.throws(() => builder.delete({}), /every row/);
+});
+
+test('writes refresh updated_at unless it is written explicitly', () => {
+  assert.deepEqual(builder.update({ name: 'x' }, { id: '1' }), {
+    sql: 'UPDATE guilds SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    params: ['x', '1']
+  });
+  assert.equal(
+    builder.upsert({ id: '1', name: 'x' }, ['id']).sql,
+    'INSERT INTO guilds (id, name) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET name = excluded.name, updated_at = CURRENT_TIMESTAMP WHERE guilds.name IS NOT excluded.name'
+  );
+  assert.equal(
+    builder.upsert({ id: '1' }, ['id']).sql,
+    'INSERT INTO guilds (id) VALUES (?) ON CONFLICT (id) DO NOTHING'
+  );
+});
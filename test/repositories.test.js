@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import database from '../src/services/database.js';
+import guildRepository from '../src/data/repositories/guildRepository.js';
+import guildSettingsRepository from '../src/data/repositories/guildSettingsRepository.js';
+
+before(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+  await database.initialize();
+});
+
+after(() => database.close());
+
+test('guilds are saved, marked as left and brought back', async () => {
+  await guildRepository.save('100000000000000001', 'Alpha');
+  await guildRepository.save('100000000000000002', 'Beta');
+
+  assert.equal(await guildRepository.markLeft('100000000000000002'), true);
+  assert.equal(await guildRepository.markLeft('100000000000000002'), false);
+  assert.deepEqual(
+    (await guildRepository.findCurrent()).map(guild => guild.name),
+    ['Alpha']
+  );
+
+  await guildRepository.save('100000000000000002', 'Beta Renamed');
+  const guild = await guildRepository.findByDiscordId('100000000000000002');
+  assert.equal(guild.name, 'Beta Renamed');
+  assert.equal(guild.left_at, null);
+
+  assert.equal(await guildRepository.remove('100000000000000001'), true);
+  assert.equal(
+    await guildRepository.findByDiscordId('100000000000000001'),
+    null
+  );
+});
+
+test('setting values are upserted and deleted', async () => {
+  await guildSettingsRepository.setValue(
+    'g-repo',
+    'ranking_strategy',
+    '"dense"'
+  );
+  await guildSettingsRepository.setValue(
+    'g-repo',
+    'ranking_strategy',
+    '"earliest"'
+  );
+  await guildSettingsRepository.setValue('g-repo', 'activity_enabled', 'true');
+
+  assert.deepEqual(
+    await guildSettingsRepository.getValues('g-repo'),
+    new Map([
+      ['ranking_strategy', '"earliest"'],
+      ['activity_enabled', 'true']
+    ])
+  );
+
+  await guildSettingsRepository.deleteValue('g-repo', 'activity_enabled');
+  assert.equal(await guildSettingsRepository.count({ guild_id: 'g-repo' }), 1);
+});
+
+test('history versions are read newest first', async () => {
+  await guildSettingsRepository.addHistory(
+    'g-history',
+    1,
+    [{ key: 'ranking_strategy', oldValue: null, newValue: '"dense"' }],
+    'u1',
+    null
+  );
+  await guildSettingsRepository.addHistory(
+    'g-history',
+    2,
+    [{ key: 'ranking_strategy', oldValue: '"dense"', newValue: '"earliest"' }],
+    'u1',
+    null
+  );
+
+  assert.equal(await guildSettingsRepository.getLatestVersion('g-history'), 2);
+  assert.deepEqual(
+    await guildSettingsRepository.getHistoryVersions('g-history', null, 10),
+    [2, 1]
+  );
+  assert.deepEqual(
+    await guildSettingsRepository.getValuesAtVersion('g-history', 1),
+    [{ key: 'ranking_strategy', old_value: '"dense"' }]
+  );
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import database from '../src/services/database.js';
+import scoreService from '../src/services/scores.js';
+
+/**
+ * Write ledger events with fixed timestamps, then rebuild the totals
+ * @param {string} guildId - Guild to fill
+ * @param {Array<Array>} events - [userId, delta, createdAt] entries
+ */
+async function seedLedger(guildId, events) {
+  for (const [userId, delta, createdAt] of events) {
+    await database.execute(
+      'INSERT INTO score_events (guild_id, user_id, delta, created_at) VALUES (?, ?, ?, ?)',
+      [guildId, userId, delta, createdAt]
+    );
+  }
+  await scoreService.rebuildTotals(guildId);
+}
+
+/**
+ * Leaderboard of a guild as [userId, rank] pairs
+ */
+async function ranks(guildId, window = null) {
+  const rows = await scoreService.getLeaderboard(guildId, { window });
+  return rows.map(row => [row.user_id, row.rank]);
+}
+
+before(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+  await database.initialize();
+
+  // a and b tie on 20, c trails; b reached 20 first, a has the lower ID
+  await seedLedger('g-ties', [
+    ['a', 20, '2026-01-01 10:00:00'],
+    ['b', 20, '2026-01-01 09:00:00'],
+    ['c', 5, '2026-01-01 08:00:00']
+  ]);
+});
+
+after(() => database.close());
+
+test('competition ranking shares places and skips the next one', async () => {
+  await scoreService.setRankingStrategy('g-ties', 'competition');
+  assert.deepEqual(await ranks('g-ties'), [
+    ['b', 1],
+    ['a', 1],
+    ['c', 3]
+  ]);
+});
+
+test('dense ranking shares places without skipping', async () => {
+  await scoreService.setRankingStrategy('g-ties', 'dense');
+  assert.deepEqual(await ranks('g-ties'), [
+    ['b', 1],
+    ['a', 1],
+    ['c', 2]
+  ]);
+
+  const rank = await scoreService.getRank('g-ties', 'a');
+  assert.equal(rank.rank, 1);
+  assert.equal(rank.position, 2);
+  assert.equal(rank.sharedBy, 2);
+});
+
+test('earliest ranking gives the tie to whoever reached the total first', async () => {
+  await scoreService.setRankingStrategy('g-ties', 'earliest');
+  assert.deepEqual(await ranks('g-ties'), [
+    ['b', 1],
+    ['a', 2],
+    ['c', 3]
+  ]);
+});
+
+test('earliest ranking uses when the current total was first reached', async () => {
+  // x passed 15 first but only came back down to it last; y got there first
+  await seedLedger('g-reached', [
+    ['x', 20, '2026-02-01 08:00:00'],
+    ['y', 10, '2026-02-01 09:00:00'],
+    ['y', 5, '2026-02-01 10:00:00'],
+    ['x', -5, '2026-02-01 11:00:00']
+  ]);
+  await scoreService.setRankingStrategy('g-reached', 'earliest');
+
+  assert.deepEqual(await ranks('g-reached'), [
+    ['y', 1],
+    ['x', 2]
+  ]);
+
+  // Within a window only the events inside it count
+  assert.deepEqual(await ranks('g-reached', { since: '2026-02-01 09:30:00' }), [
+    ['y', 1],
+    ['x', 2]
+  ]);
+});
+
+test('members with a zero total are not ranked', async () => {
+  await seedLedger('g-zero', [
+    ['a', 5, '2026-03-01 08:00:00'],
+    ['a', -5, '2026-03-01 09:00:00']
+  ]);
+  assert.deepEqual(await ranks('g-zero'), []);
+  assert.equal(await scoreService.getRank('g-zero', 'a'), null);
+});